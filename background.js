@@ -1,24 +1,127 @@
 ﻿/**
  * Background Service Worker for DotNCue
- * Handles extension lifecycle events and message passing
+ * Handles extension lifecycle events and message passing, and brokers all
+ * note storage and AI calls for the content script and sidebar
  */
 
+importScripts('context-rules.js', 'tags.js', 'wiki-links.js', 'vault.js', 'note-db.js', 'note-store.js', 'note-trash.js', 'context-links.js', 'context-manager.js', 'note-links.js', 'migrations.js', 'reminders.js', 'note-search.js', 'note-relevance.js', 'note-transfer.js', 'note-sync.js');
+
+// ID of the dynamically registered content script for user-defined sites
+const CUSTOM_RULES_SCRIPT_ID = 'dotncue-custom-rules';
+
+// Content script files, in the same order as manifest.json's content_scripts
+const CONTENT_SCRIPT_FILES = [
+  'context-rules.js',
+  'messaging.js',
+  'detectors/registry.js',
+  'detectors/gmail.js',
+  'detectors/meet.js',
+  'detectors/docs.js',
+  'detectors/calendar.js',
+  'detectors/youtube.js',
+  'detectors/custom.js',
+  'content.js'
+];
+
+// Storage key holding the user's settings (Groq API key, model, prompt, sidebarSide, syncEnabled,
+// vaultLockMinutes, trashRetentionDays, relatedThreshold); while the vault is on the API key is stored sealed, as apiKeySealed
+const SETTINGS_KEY = 'settings';
+
+const DEFAULT_SETTINGS = {
+  syncEnabled: false,
+  vaultLockMinutes: VAULT_DEFAULT_LOCK_MINUTES,
+  trashRetentionDays: TRASH_DEFAULT_RETENTION_DAYS,
+  relatedThreshold: RELATED_DEFAULT_THRESHOLD,
+  apiKey: '',
+  model: 'llama-3.3-70b-versatile',
+  prompt: 'Analyze the following web page content and provide a concise, informative summary in 2-3 sentences. Focus on the main topic, key points, and any important takeaways. Keep it brief and actionable.\n\nContent:\n{content}'
+};
+
+/**
+ * Storage/API broker actions, called with callBackground() (see messaging.js)
+ * Each handler gets the request (and its sender) and resolves with the result sent back.
+ */
+const API_HANDLERS = {
+  getNotes: (request) => getNotes(request.key),
+  getNotesForKeys: (request) => getNotesForKeys(request.keys),
+  hasNotes: (request) => hasNotes(request.keys),
+  addNote: (request) => addNote(request.key, request.note),
+  updateNote: (request) => updateNote(request.key, request.noteId, request.changes, {
+    recordRevision: request.recordRevision !== false
+  }),
+  trashNote: (request) => trashNote(request.key, request.noteId),
+  restoreNote: (request) => restoreNote(request.noteId),
+  listTrash: () => listTrash(),
+  purgeNote: (request) => purgeNote(request.noteId),
+  emptyTrash: () => emptyTrash(),
+  updateContextTitle: (request) => updateContextTitle(request.key, request.title),
+  listContexts: () => listContexts(),
+  renameContext: (request) => renameContext(request.key, request.title),
+  mergeContexts: (request) => mergeContexts(request.fromKey, request.toKey),
+  moveNote: (request) => moveNoteToContext(request.key, request.noteId, request.toKey),
+  removeContextAlias: (request) => removeContextAlias(request.alias),
+  resolveWikiLink: (request) => resolveWikiLink(request.target),
+  listBacklinks: (request) => listBacklinks(request.key, request.title),
+  listAllNotes: () => listAllNotes(),
+  queryNotes: (request) => queryNotes(request.query),
+  getStorageUsage: () => getStorageUsage(),
+  listTags: () => listTags(),
+  searchNotes: (request) => searchNotes(request.query, request.limit),
+  exportNotes: (request) => exportNotes(request.format, request.noteRefs, request.filter),
+  importNotes: (request) => importNotes(request.json),
+  getSyncStatus: () => getSyncStatus(),
+  syncNotes: () => syncNotes(),
+  listSyncConflicts: () => listSyncConflicts(),
+  resolveSyncConflict: (request) => resolveSyncConflict(request.noteId, request.useOther),
+  getVaultStatus: () => getVaultStatus(),
+  enableVault: (request) => enableVault(request.passphrase),
+  disableVault: (request) => disableVault(request.passphrase),
+  unlockVault: (request) => unlockVault(request.passphrase),
+  lockVault: () => lockVault(),
+  findRelatedNotes: (request) => findRelatedNotes(request.context, request.excludeKeys),
+  setReminder: (request) => setReminder(request.key, request.noteId, request.dueAt),
+  listReminders: (request) => listReminders(request.before),
+  openNote: (request) => openNote(request.key, request.noteId),
+  takeNoteFocus: (request, sender) => takeNoteFocus(sender),
+  resolveContext: (request) => resolveContext(request.context),
+  getCustomRules: () => getCustomRules(),
+  addCustomRule: (request) => addCustomRule(request.rule),
+  deleteCustomRule: (request) => deleteCustomRule(request.ruleId),
+  getSettings: () => getSettings(),
+  saveSettings: (request) => saveSettings(request.settings),
+  getSidebarSide: () => getSidebarSide(),
+  saveSidebarSide: (request) => saveSidebarSide(request.side),
+  analyzeContent: (request) => analyzeContent(request.content)
+};
+
+// The broker actions content scripts may call; all others answer only the sidebar,
+// so notes, settings and the API key never reach a page's content script
+const CONTENT_API_ACTIONS = ['resolveContext', 'hasNotes', 'getCustomRules', 'takeNoteFocus', 'getSidebarSide', 'saveSidebarSide'];
+
+// Storage migrations in progress; API requests and note work wait for them.
+// Every start finishes a run an earlier service worker didn't (see migrations.js).
+let migrationRun = resumeMigrations().catch(error => {
+  console.error('DotNCue: Storage migration failed:', error);
+});
+
 // Initialize extension on installation
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     console.log('DotNCue installed successfully');
     
-    // Initialize storage structure if needed
-    chrome.storage.local.get(null, (data) => {
-      if (!data.notes_index) {
-        chrome.storage.local.set({
-          notes_index: {} // Will store context_key -> notes[] mapping
-        });
-      }
-    });
+    // Nothing older to migrate
+    migrationRun = migrationRun.then(() => chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: SCHEMA_VERSION }));
   } else if (details.reason === 'update') {
     console.log('DotNCue updated to version ' + chrome.runtime.getManifest().version);
+    
+    migrationRun = migrationRun.then(runMigrations).catch(error => {
+      console.error('DotNCue: Storage migration failed:', error);
+    });
   }
+  
+  syncCustomRuleScripts();
+  scheduleTrashPurge();
+  migrationRun.then(scheduleAllReminders);
 });
 
 // Listen for messages from content scripts
@@ -26,13 +129,328 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // Handle any background tasks if needed
   if (request.action === 'ping') {
     sendResponse({ status: 'ok' });
+  } else if (request.action === 'registerSidebarToken') {
+    // Content script is about to hand its sidebar a message port
+    registerSidebarToken(sender, request.token).then(sendResponse);
+  } else if (request.action === 'verifySidebarToken') {
+    // Sidebar checks the handshake came from its own tab's content script
+    verifySidebarToken(sender, request.token).then(sendResponse);
+  } else if (API_HANDLERS[request.action]) {
+    handleApiRequest(request, sender).then(sendResponse);
+  } else {
+    sendResponse({ error: `Unknown action: ${request.action}` });
   }
   
   return true; // Keep message channel open for async response
 });
 
+/**
+ * Run a broker action, reporting failures as { error, code? } instead of throwing
+ * Requests from the sidebar count as activity for the vault's auto-lock.
+ */
+async function handleApiRequest(request, sender) {
+  const fromSidebar = isSidebarSender(sender);
+  if (!fromSidebar && !CONTENT_API_ACTIONS.includes(request.action)) {
+    console.warn('DotNCue: Refused', request.action, 'from', sender.url);
+    return { error: `${request.action} is only available to the sidebar` };
+  }
+  
+  try {
+    await migrationRun;
+    if (fromSidebar) {
+      await touchVault();
+    }
+    const result = await API_HANDLERS[request.action](request, sender);
+    return { result: result === undefined ? null : result };
+  } catch (error) {
+    console.error('DotNCue: API request failed:', request.action, error);
+    return error.code ? { error: error.message, code: error.code } : { error: error.message };
+  }
+}
+
+/**
+ * Check whether a message comes from a DotNCue sidebar
+ */
+function isSidebarSender(sender) {
+  return Boolean(sender.url?.startsWith(chrome.runtime.getURL('sidebar.html')));
+}
+
+/**
+ * Remember the handshake token a tab's content script is sending to its sidebar
+ * (session storage survives the service worker being suspended)
+ */
+async function registerSidebarToken(sender, token) {
+  if (!sender.tab || !token) {
+    return { ok: false };
+  }
+  
+  await chrome.storage.session.set({ [`sidebar_token_${sender.tab.id}`]: token });
+  return { ok: true };
+}
+
+/**
+ * Check a sidebar's handshake token against the one its tab registered
+ * Tokens are single-use.
+ */
+async function verifySidebarToken(sender, token) {
+  if (!sender.tab || !isSidebarSender(sender)) {
+    return { valid: false };
+  }
+  
+  const key = `sidebar_token_${sender.tab.id}`;
+  const { [key]: expected } = await chrome.storage.session.get([key]);
+  const valid = Boolean(expected) && expected === token;
+  
+  if (valid) {
+    await chrome.storage.session.remove(key);
+  }
+  return { valid: valid };
+}
+
 // Keep service worker alive if needed
 chrome.runtime.onStartup.addListener(() => {
   console.log('DotNCue service worker started');
+  syncCustomRuleScripts();
+  migrationRun.then(() => {
+    scheduleAllReminders();
+    syncNotes().catch(() => {});
+    purgeExpiredTrash().catch(error => {
+      console.error('DotNCue: Failed to purge the trash:', error);
+    });
+  });
 });
 
+// Re-register the custom site content script when rules or permissions change,
+// start, stop or run sync, and re-index renamed contexts for search
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  handleSyncStorageChange(changes, areaName);
+  if (areaName !== 'local') return;
+  
+  if (changes[CUSTOM_RULES_KEY]) {
+    syncCustomRuleScripts();
+  }
+  if (changes[CONTEXT_NAMES_KEY]) {
+    retitleSearchIndex(changes[CONTEXT_NAMES_KEY]);
+  }
+});
+
+// Keep reminders, the search and link indexes and sync current when notes change (see note-db.js)
+onNoteChanges((changes) => {
+  syncReminderAlarms(changes);
+  updateSearchIndex(changes);
+  updateLinkIndex(changes);
+  scheduleSync();
+});
+
+// Reminders: raise the notification when due, handle clicks on it (see reminders.js);
+// also the sync catch-up, the vault's auto-lock and the daily trash purge
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(REMINDER_PREFIX)) {
+    migrationRun.then(() => handleReminderAlarm(alarm)).catch(error => {
+      console.error('DotNCue: Failed to raise reminder:', error);
+    });
+  } else if (alarm.name === SYNC_ALARM) {
+    migrationRun.then(syncNotes).catch(() => {});
+  } else if (alarm.name === VAULT_LOCK_ALARM) {
+    lockVault();
+  } else if (alarm.name === TRASH_PURGE_ALARM) {
+    migrationRun.then(purgeExpiredTrash).catch(error => {
+      console.error('DotNCue: Failed to purge the trash:', error);
+    });
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(REMINDER_PREFIX)) {
+    handleReminderClick(notificationId).catch(error => {
+      console.error('DotNCue: Failed to open reminder:', error);
+    });
+  }
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  if (notificationId.startsWith(REMINDER_PREFIX)) {
+    handleReminderClick(notificationId, buttonIndex).catch(error => {
+      console.error('DotNCue: Failed to update reminder:', error);
+    });
+  }
+});
+
+chrome.permissions.onAdded.addListener(syncCustomRuleScripts);
+chrome.permissions.onRemoved.addListener(syncCustomRuleScripts);
+
+/**
+ * Register the content script on every site covered by a user-defined rule
+ * whose host permission has been granted
+ */
+async function syncCustomRuleScripts() {
+  const rules = await getCustomRules();
+  
+  // Only patterns whose origin the user actually granted
+  const matches = [];
+  for (const rule of rules) {
+    const origin = getPatternOrigin(rule.pattern);
+    if (origin && !matches.includes(rule.pattern) &&
+        await chrome.permissions.contains({ origins: [origin] })) {
+      matches.push(rule.pattern);
+    }
+  }
+  
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_RULES_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_RULES_SCRIPT_ID] });
+  }
+  
+  if (matches.length === 0) return;
+  
+  try {
+    await chrome.scripting.registerContentScripts([{
+      id: CUSTOM_RULES_SCRIPT_ID,
+      matches: matches,
+      js: CONTENT_SCRIPT_FILES,
+      css: ['sidebar.css'],
+      runAt: 'document_idle',
+      persistAcrossSessions: true
+    }]);
+    console.log('DotNCue: Content script registered for custom sites', matches);
+  } catch (error) {
+    console.error('DotNCue: Failed to register custom site content script:', error);
+  }
+}
+
+/**
+ * Get the user-defined context rules
+ */
+async function getCustomRules() {
+  const { [CUSTOM_RULES_KEY]: rules = [] } = await chrome.storage.local.get([CUSTOM_RULES_KEY]);
+  return rules;
+}
+
+/**
+ * Add a context rule and resolve with all rules
+ */
+function addCustomRule(rule) {
+  return withKeyLock(CUSTOM_RULES_KEY, async () => {
+    const rules = await getCustomRules();
+    rules.push(rule);
+    await chrome.storage.local.set({ [CUSTOM_RULES_KEY]: rules });
+    return rules;
+  });
+}
+
+/**
+ * Remove a context rule and resolve with the remaining rules
+ */
+function deleteCustomRule(ruleId) {
+  return withKeyLock(CUSTOM_RULES_KEY, async () => {
+    const rules = (await getCustomRules()).filter(rule => rule.id !== ruleId);
+    await chrome.storage.local.set({ [CUSTOM_RULES_KEY]: rules });
+    return rules;
+  });
+}
+
+/**
+ * Get the user's settings, filling in defaults
+ * A sealed API key reads as empty while the vault is locked.
+ */
+async function getSettings() {
+  const { [SETTINGS_KEY]: saved = {} } = await chrome.storage.local.get([SETTINGS_KEY]);
+  const { apiKeySealed, ...settings } = { ...DEFAULT_SETTINGS, ...saved };
+  
+  if (apiKeySealed) {
+    const key = await getVaultKey();
+    settings.apiKey = key ? await unsealText(key, apiKeySealed) : '';
+  }
+  return settings;
+}
+
+/**
+ * Get which side of the page the sidebar opens on ('left' or 'right', or
+ * undefined before it was first chosen), for content scripts
+ */
+async function getSidebarSide() {
+  const { [SETTINGS_KEY]: saved = {} } = await chrome.storage.local.get([SETTINGS_KEY]);
+  return saved.sidebarSide;
+}
+
+/**
+ * Save which side of the page the sidebar opens on
+ */
+async function saveSidebarSide(side) {
+  if (side !== 'left' && side !== 'right') {
+    throw new Error(`Invalid sidebar side: ${side}`);
+  }
+  await saveSettings({ sidebarSide: side });
+  return side;
+}
+
+/**
+ * Merge changes into the saved settings and resolve with the result
+ */
+function saveSettings(updates) {
+  return withKeyLock(SETTINGS_KEY, async () => {
+    const { [SETTINGS_KEY]: saved = {} } = await chrome.storage.local.get([SETTINGS_KEY]);
+    const settings = { ...DEFAULT_SETTINGS, ...saved, ...updates };
+    if (!settings.prompt) {
+      settings.prompt = DEFAULT_SETTINGS.prompt;
+    }
+    
+    // A new API key is sealed while the vault is on; otherwise the stored one is kept as is
+    if (updates.apiKey !== undefined) {
+      delete settings.apiKeySealed;
+      if (settings.apiKey && await getVaultConfig()) {
+        settings.apiKeySealed = await sealText(await requireVaultKey(), settings.apiKey);
+        settings.apiKey = '';
+      }
+    }
+    
+    await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+    return getSettings();
+  });
+}
+
+/**
+ * Summarize page content with the Groq API
+ */
+async function analyzeContent(content) {
+  const settings = await getSettings();
+  if (!settings.apiKey) {
+    throw await isVaultLocked() ? vaultLockedError() : new Error('No Groq API key set');
+  }
+  
+  // Prepare prompt
+  const prompt = settings.prompt.replace('{content}', content);
+  
+  // Call Groq API
+  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${settings.apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: settings.model,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.7,
+      max_tokens: 500
+    })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`API error: ${response.statusText}`);
+  }
+  
+  const data = await response.json();
+  const summary = data.choices[0]?.message?.content;
+  
+  if (!summary) {
+    throw new Error('No summary generated');
+  }
+  
+  return summary;
+}
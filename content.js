@@ -9,6 +9,17 @@ let sidebarInjected = false;
 let sidebarOpen = false;
 let toggleButton = null;
 let sidebarSide = 'right'; // 'left' or 'right'
+let customRules = []; // User-defined context rules (see context-rules.js)
+let sidebarChannel = null; // Typed channel to the sidebar (see messaging.js)
+let sidebarReady = false; // Sidebar verified the handshake
+let pendingSidebarMessages = []; // Sent before the sidebar was ready
+let navigationTimer = null; // Debounces navigation triggers
+let cancelSettle = null; // Stops the in-progress wait for the page to settle
+
+// Navigation settling timings
+const NAVIGATION_DEBOUNCE_MS = 150; // Collapse pushState/observer/title triggers into one
+const SETTLE_CHECK_MS = 50; // Throttle re-checks while waiting for the page
+const SETTLE_TIMEOUT_MS = 5000; // Give up waiting and use what was detected
 
 /**
  * Initialize the extension when page loads
@@ -23,8 +34,16 @@ function initialize() {
 }
 
 async function init() {
+  // Load user-defined rules before detection, and keep them current
+  customRules = await loadCustomRules();
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[CUSTOM_RULES_KEY]) {
+      customRules = changes[CUSTOM_RULES_KEY].newValue || [];
+    }
+  });
+  
   // Detect current page context
-  currentContext = detectContext();
+  currentContext = await resolveContext(detectContext());
   
   if (!currentContext) {
     console.log('DotNCue: Unsupported page');
@@ -34,7 +53,7 @@ async function init() {
   console.log('DotNCue: Detected context', currentContext);
   
   // Load sidebar side preference
-  const savedSide = localStorage.getItem('dotncue-side') || localStorage.getItem('context-buddy-side');
+  const savedSide = await loadSidebarSide();
   if (savedSide === 'left' || savedSide === 'right') {
     sidebarSide = savedSide;
   }
@@ -42,333 +61,148 @@ async function init() {
   // Create toggle button
   createToggleButton();
   
-  // Listen for messages from sidebar
-  window.addEventListener('message', (event) => {
-    if (event.data && event.data.type === 'SWITCH_SIDE') {
-      switchSide();
-    } else if (event.data && event.data.type === 'CLOSE_SIDEBAR') {
-      closeSidebar();
-    } else if (event.data && event.data.type === 'GET_PAGE_CONTENT') {
-      // Extract page content and send back to sidebar
-      const pageContent = extractPageContent();
-      const iframe = document.getElementById('context-buddy-iframe');
-      if (iframe && iframe.contentWindow) {
-        iframe.contentWindow.postMessage({
-          type: 'PAGE_CONTENT',
-          content: pageContent
-        }, '*');
-      }
-    }
-  });
+  // Check if notes exist for this context or anyone in it
+  const peopleKeys = (currentContext.people || []).map(person => person.key);
+  const hasNotes = await checkForNotes([currentContext.key, ...peopleKeys]);
   
-  // Check if notes exist for this context
-  const hasNotes = await checkForNotes(currentContext.key);
+  // Tabs opened from a reminder open the sidebar on that note
+  const focus = await takeNoteFocus();
   
-  if (hasNotes) {
+  if (hasNotes || focus) {
     // Auto-open sidebar if notes exist
     openSidebar();
   }
+  if (focus) {
+    sendToSidebar(MESSAGE_TYPES.FOCUS_NOTE, { noteId: focus.noteId, contextKey: focus.key });
+  }
   
   // Listen for URL changes (for SPAs like Gmail, YouTube)
   observeUrlChanges();
 }
 
 /**
- * Detect page context based on current URL and page content
+ * Detect page context using the registered detector for the current URL
  */
 function detectContext() {
-  const url = window.location.href;
-  const hostname = window.location.hostname;
-  
-  // Gmail detection
-  if (hostname === 'mail.google.com') {
-    return detectGmailContext();
-  }
-  
-  // Google Meet detection
-  if (hostname === 'meet.google.com') {
-    return detectMeetContext();
-  }
-  
-  // Google Docs detection
-  if (hostname === 'docs.google.com') {
-    return detectDocsContext();
-  }
-  
-  // Google Calendar detection
-  if (hostname === 'calendar.google.com') {
-    return detectCalendarContext();
-  }
-  
-  // YouTube detection
-  if (hostname === 'www.youtube.com') {
-    return detectYouTubeContext();
+  const detector = findDetector(window.location.href);
+  return detector ? detector.detect() : null;
+}
+
+/**
+ * Get the current page's watch key (see registerDetector), or '' if it has none
+ */
+function getWatchKey() {
+  const detector = findDetector(window.location.href);
+  return detector && detector.watchKey ? detector.watchKey() : '';
+}
+
+/**
+ * Load user-defined context rules
+ */
+async function loadCustomRules() {
+  try {
+    return await callBackground('getCustomRules');
+  } catch (error) {
+    console.error('DotNCue: Failed to load custom rules:', error);
+    return [];
   }
-  
-  return null;
 }
 
 /**
- * Detect Gmail context (email subject, sender, thread)
+ * Load the sidebar side preference from settings
+ * Older versions kept it in each site's localStorage (dotncue-side, or
+ * context-buddy-side before the rename), out of the service worker's reach,
+ * so whichever page finds one first hands it over.
  */
-function detectGmailContext() {
-  // Try to extract email subject from various Gmail UI elements
-  let title = '';
-  let sender = '';
-  let threadId = '';
-  
-  // Get subject from email view
-  const subjectElement = document.querySelector('h2.hP') || 
-                         document.querySelector('[data-legacy-thread-id]');
-  
-  if (subjectElement) {
-    title = subjectElement.textContent?.trim() || '';
-    
-    // Get thread ID from URL
-    const threadMatch = window.location.href.match(/\/mail\/u\/\d+\/#[^\/]+\/([a-zA-Z0-9]+)/);
-    if (threadMatch) {
-      threadId = threadMatch[1];
+async function loadSidebarSide() {
+  const legacySide = localStorage.getItem('dotncue-side') || localStorage.getItem('context-buddy-side');
+  
+  try {
+    const side = await callBackground('getSidebarSide');
+    if (legacySide) {
+      localStorage.removeItem('dotncue-side');
+      localStorage.removeItem('context-buddy-side');
+      if (!side) {
+        await callBackground('saveSidebarSide', { side: legacySide });
+        return legacySide;
+      }
     }
+    return side;
+  } catch (error) {
+    console.error('DotNCue: Failed to load sidebar side:', error);
+    return legacySide;
   }
-  
-  // Try to get sender email
-  const senderElement = document.querySelector('span.go[email]');
-  if (senderElement) {
-    sender = senderElement.getAttribute('email') || '';
-  }
-  
-  // Fallback: use page title
-  if (!title) {
-    title = document.title.replace(' - Gmail', '').trim();
-  }
-  
-  // Create context key
-  const key = sender ? `gmail:${sender}` : `gmail:${title}`;
-  
-  return {
-    app: 'gmail',
-    title: title || 'Gmail',
-    sender: sender,
-    participants: sender ? [sender] : [],
-    threadId: threadId,
-    url: window.location.href,
-    key: key
-  };
 }
 
 /**
- * Detect Google Meet context (meeting title, participants)
+ * Apply the storage-backed links (Meet <-> Calendar, people) to a freshly
+ * detected context; the service worker owns that data (see context-links.js)
  */
-function detectMeetContext() {
-  let title = '';
-  let participants = [];
-  
-  // Try to get meeting title
-  const titleElement = document.querySelector('[data-meeting-title]') ||
-                       document.querySelector('div[jsname="rQC7Ie"]');
-  
-  if (titleElement) {
-    title = titleElement.textContent?.trim() || '';
-  }
+async function resolveContext(context) {
+  if (!context) return context;
   
-  // Fallback to page title
-  if (!title) {
-    title = document.title.replace(' - Google Meet', '').trim();
+  try {
+    return await callBackground('resolveContext', { context: context });
+  } catch (error) {
+    console.error('DotNCue: Failed to resolve context:', error);
+    return context;
   }
-  
-  // Try to get participant names from participant list
-  const participantElements = document.querySelectorAll('[data-participant-id]');
-  participants = Array.from(participantElements)
-    .map(el => el.textContent?.trim())
-    .filter(name => name && name.length > 0);
-  
-  const key = `meet:${title}`;
-  
-  return {
-    app: 'meet',
-    title: title || 'Google Meet',
-    participants: participants,
-    url: window.location.href,
-    key: key
-  };
 }
 
 /**
- * Detect Google Docs context (document title)
+ * Get the main video element on a YouTube watch page
  */
-function detectDocsContext() {
-  let title = '';
-  
-  // Get document title from the docs UI
-  const titleElement = document.querySelector('.docs-title-input') ||
-                       document.querySelector('[aria-label*="Document"]');
+function getVideoElement() {
+  if (!window.location.href.includes('watch?v=')) return null;
   
-  if (titleElement) {
-    title = titleElement.textContent?.trim() || titleElement.value?.trim() || '';
-  }
-  
-  // Fallback to page title
-  if (!title) {
-    title = document.title.replace(' - Google Docs', '').trim();
-  }
-  
-  const key = `doc:${title}`;
-  
-  return {
-    app: 'docs',
-    title: title || 'Google Docs',
-    url: window.location.href,
-    key: key
-  };
+  return document.querySelector('#movie_player video') ||
+         document.querySelector('video.html5-main-video') ||
+         document.querySelector('video');
 }
 
 /**
- * Detect Google Calendar context (event title if open)
+ * Get the current playback position in seconds, or null when there is no video
  */
-function detectCalendarContext() {
-  let title = '';
-  
-  // Try to get event title from event detail view
-  const eventElement = document.querySelector('[data-eventid] [data-title]') ||
-                       document.querySelector('div[role="dialog"] input[aria-label*="Title"]');
-  
-  if (eventElement) {
-    title = eventElement.getAttribute('data-title') || 
-            eventElement.value?.trim() || 
-            eventElement.textContent?.trim() || '';
-  }
-  
-  // Fallback
-  if (!title) {
-    title = 'Google Calendar';
-  }
-  
-  const key = title !== 'Google Calendar' ? `calendar:${title}` : 'calendar:general';
+function getPlaybackTime() {
+  const video = getVideoElement();
+  if (!video || isNaN(video.currentTime)) return null;
   
-  return {
-    app: 'calendar',
-    title: title,
-    url: window.location.href,
-    key: key
-  };
+  return video.currentTime;
 }
 
 /**
- * Detect YouTube context (video title, channel)
+ * Seek the video to the given position in seconds
  */
-function detectYouTubeContext() {
-  let title = '';
-  let channel = '';
-  const url = window.location.href;
-  
-  console.log('DotNCue: detectYouTubeContext called for URL:', url);
-  console.log('DotNCue: Current document.title:', document.title);
+function seekVideo(time) {
+  const video = getVideoElement();
+  if (!video || typeof time !== 'number' || isNaN(time)) return;
   
-  // Check if we're on the homepage specifically
-  if (url === 'https://www.youtube.com/' || url === 'https://www.youtube.com') {
-    return {
-      app: 'youtube',
-      title: 'Home Page',
-      channel: '',
-      participants: [],
-      url: url,
-      key: 'youtube:Home Page'
-    };
-  }
-  
-  // Check if we're on a video page
-  const isVideoPage = url.includes('watch?v=');
-  
-  if (isVideoPage) {
-    // Get video title - Updated selectors for current YouTube structure
-    const titleElement = document.querySelector('h1.ytd-watch-metadata yt-formatted-string') ||
-                         document.querySelector('h1.ytd-video-primary-info-renderer yt-formatted-string') ||
-                         document.querySelector('ytd-watch-metadata h1 yt-formatted-string') ||
-                         document.querySelector('h1.style-scope.ytd-watch-metadata') ||
-                         document.querySelector('h1 yt-formatted-string');
-    
-    if (titleElement) {
-      title = titleElement.textContent?.trim() || '';
-      console.log('DotNCue: Title from DOM element:', title);
-    }
-    
-    // If no title found via selectors, try getting from page title
-    if (!title || title === 'YouTube') {
-      // Force re-read of document.title (don't use cached value)
-      const pageTitle = document.querySelector('title')?.textContent || document.title;
-      console.log('DotNCue: Title from document.title:', pageTitle);
-      
-      // YouTube video titles are in format "Video Title - YouTube"
-      if (pageTitle && pageTitle !== 'YouTube' && !pageTitle.includes('watch?v=')) {
-        title = pageTitle.replace(' - YouTube', '').trim();
-        console.log('DotNCue: Extracted title:', title);
-      }
-    }
-    
-    // Get channel name - Updated selectors
-    const channelElement = document.querySelector('ytd-channel-name#channel-name a') ||
-                          document.querySelector('ytd-video-owner-renderer ytd-channel-name a') ||
-                          document.querySelector('#owner-name a') ||
-                          document.querySelector('ytd-channel-name a');
-    
-    if (channelElement) {
-      channel = channelElement.textContent?.trim() || '';
-    }
-  } else {
-    // For other YouTube pages, determine based on URL path
-    const path = window.location.pathname;
-    
-    if (path.includes('/results')) {
-      // Search results page
-      const query = new URLSearchParams(window.location.search).get('search_query');
-      title = query ? `Search: ${query}` : 'YouTube Search';
-    } else if (path.includes('/channel/') || path.includes('/@')) {
-      // Channel page - try to get channel name
-      const channelNameElement = document.querySelector('ytd-channel-name yt-formatted-string') ||
-                                 document.querySelector('#channel-name yt-formatted-string');
-      if (channelNameElement) {
-        title = channelNameElement.textContent?.trim() || 'YouTube Channel';
-      } else {
-        title = 'YouTube Channel';
-      }
-    } else if (path.includes('/feed/subscriptions')) {
-      title = 'Subscriptions';
-    } else if (path.includes('/feed/trending')) {
-      title = 'Trending';
-    } else if (path.includes('/feed/library')) {
-      title = 'Library';
-    } else if (path.includes('/feed/history')) {
-      title = 'History';
-    } else {
-      // Default for other YouTube pages
-      title = 'YouTube';
-    }
+  video.currentTime = time;
+  console.log('DotNCue: Seeked video to', time);
+}
+
+/**
+ * Check if notes exist for any of the given context keys
+ */
+async function checkForNotes(contextKeys) {
+  try {
+    return await callBackground('hasNotes', { keys: contextKeys });
+  } catch (error) {
+    console.error('DotNCue: Failed to check for notes:', error);
+    return false;
   }
-  
-  console.log('DotNCue: Final detected title:', title);
-  
-  const key = `youtube:${title}`;
-  
-  return {
-    app: 'youtube',
-    title: title || 'YouTube',
-    channel: channel,
-    participants: channel ? [channel] : [],
-    url: url,
-    key: key
-  };
 }
 
 /**
- * Check if notes exist for the given context key
+ * Get the note this tab was opened to show ({ key, noteId }), if any
  */
-async function checkForNotes(contextKey) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get([contextKey], (result) => {
-      const notes = result[contextKey];
-      resolve(notes && notes.length > 0);
-    });
-  });
+async function takeNoteFocus() {
+  try {
+    return await callBackground('takeNoteFocus');
+  } catch (error) {
+    console.error('DotNCue: Failed to check for a note to show:', error);
+    return null;
+  }
 }
 
 /**
@@ -406,7 +240,9 @@ function switchSide() {
   
   // Switch side
   sidebarSide = sidebarSide === 'right' ? 'left' : 'right';
-  localStorage.setItem('dotncue-side', sidebarSide);
+  callBackground('saveSidebarSide', { side: sidebarSide }).catch(error => {
+    console.error('DotNCue: Failed to save sidebar side:', error);
+  });
   
   // Update toggle button arrow
   if (toggleButton) {
@@ -439,27 +275,8 @@ function openSidebar() {
     sidebar.classList.add('open');
     sidebarOpen = true;
     
-    // Send context to sidebar
-    const iframe = sidebar.querySelector('iframe');
-    if (iframe && iframe.contentWindow) {
-      // Wait for iframe to load
-      const sendContext = () => {
-        iframe.contentWindow.postMessage({
-          type: 'CONTEXT_UPDATE',
-          context: currentContext
-        }, '*');
-      };
-      
-      // If iframe is already loaded, send immediately
-      if (iframe.contentDocument && iframe.contentDocument.readyState === 'complete') {
-        setTimeout(sendContext, 100);
-      } else {
-        // Otherwise wait for load event
-        iframe.addEventListener('load', () => {
-          setTimeout(sendContext, 100);
-        }, { once: true });
-      }
-    }
+    // Send context to sidebar (queued until the handshake completes)
+    sendToSidebar(MESSAGE_TYPES.CONTEXT_UPDATE, { context: currentContext });
   }
   
   // Update toggle button
@@ -499,39 +316,93 @@ function injectSidebar() {
   iframe.src = chrome.runtime.getURL('sidebar.html');
   iframe.id = 'context-buddy-iframe';
   
+  // Open the message channel once the sidebar document has loaded
+  iframe.addEventListener('load', () => connectSidebar(iframe));
+  
   sidebarContainer.appendChild(iframe);
   document.body.appendChild(sidebarContainer);
   
   sidebarInjected = true;
 }
 
+/**
+ * Open a private message channel to the sidebar iframe (handshake in messaging.js)
+ */
+async function connectSidebar(iframe) {
+  if (sidebarChannel) {
+    sidebarChannel.close();
+  }
+  sidebarReady = false;
+  
+  // One-time token the sidebar verifies with the service worker
+  const token = crypto.randomUUID();
+  await chrome.runtime.sendMessage({ action: 'registerSidebarToken', token: token });
+  
+  const channel = new MessageChannel();
+  sidebarChannel = createPortChannel(channel.port1, {
+    [MESSAGE_TYPES.READY]: () => {
+      console.log('DotNCue: Sidebar connected');
+      sidebarReady = true;
+      pendingSidebarMessages.forEach(({ type, payload }) => sidebarChannel.send(type, payload));
+      pendingSidebarMessages = [];
+    },
+    [MESSAGE_TYPES.SWITCH_SIDE]: () => switchSide(),
+    [MESSAGE_TYPES.CLOSE_SIDEBAR]: () => closeSidebar(),
+    [MESSAGE_TYPES.GET_PAGE_CONTENT]: () => extractPageContent(),
+    [MESSAGE_TYPES.GET_PLAYBACK_TIME]: () => getPlaybackTime(),
+    [MESSAGE_TYPES.SEEK_VIDEO]: (payload) => seekVideo(payload.time)
+  });
+  
+  // Only the extension's own origin can receive this, so the page never sees the port
+  iframe.contentWindow.postMessage(
+    createMessage(MESSAGE_TYPES.HANDSHAKE, { token: token }),
+    EXTENSION_ORIGIN,
+    [channel.port2]
+  );
+}
+
+/**
+ * Send a message to the sidebar, queueing it until the sidebar is ready
+ */
+function sendToSidebar(type, payload) {
+  if (sidebarChannel && sidebarReady) {
+    sidebarChannel.send(type, payload);
+    return;
+  }
+  
+  // Only the latest context matters
+  if (type === MESSAGE_TYPES.CONTEXT_UPDATE) {
+    pendingSidebarMessages = pendingSidebarMessages.filter(message => message.type !== type);
+  }
+  pendingSidebarMessages.push({ type, payload });
+}
+
 /**
  * Observe URL changes for single-page applications
  */
 function observeUrlChanges() {
   let lastUrl = window.location.href;
-  let lastTitle = document.title;
+  let lastWatchKey = getWatchKey();
   
   // Use MutationObserver to detect URL changes
   const observer = new MutationObserver(() => {
     const currentUrl = window.location.href;
-    const currentTitle = document.title;
+    const currentWatchKey = getWatchKey();
     
     // Check for URL change
     if (lastUrl !== currentUrl) {
       console.log('DotNCue: URL changed from', lastUrl, 'to', currentUrl);
       lastUrl = currentUrl;
-      lastTitle = currentTitle;
+      lastWatchKey = currentWatchKey;
       
       // Re-detect context with retry mechanism for dynamic content
       waitForContextAndUpdate();
     }
-    // Check for title change (important for YouTube video pages)
-    else if (lastTitle !== currentTitle && currentUrl.includes('watch?v=')) {
-      console.log('DotNCue: Title changed from', lastTitle, 'to', currentTitle);
-      lastTitle = currentTitle;
+    // Check for in-page changes the detector watches (video title, rename, event dialog)
+    else if (lastWatchKey !== currentWatchKey) {
+      console.log('DotNCue: Watch key changed from', lastWatchKey, 'to', currentWatchKey);
+      lastWatchKey = currentWatchKey;
       
-      // Title changed on video page, update context
       waitForContextAndUpdate();
     }
   });
@@ -543,10 +414,10 @@ function observeUrlChanges() {
   
   // Watch for title changes specifically
   const titleObserver = new MutationObserver(() => {
-    const currentTitle = document.title;
-    if (lastTitle !== currentTitle && window.location.href.includes('watch?v=')) {
-      console.log('DotNCue: Document title changed to', currentTitle);
-      lastTitle = currentTitle;
+    const currentWatchKey = getWatchKey();
+    if (lastWatchKey !== currentWatchKey) {
+      console.log('DotNCue: Document title changed to', document.title);
+      lastWatchKey = currentWatchKey;
       waitForContextAndUpdate();
     }
   });
@@ -567,33 +438,29 @@ function observeUrlChanges() {
   history.pushState = function() {
     originalPushState.apply(this, arguments);
     console.log('DotNCue: pushState detected');
-    // Force update for navigation
-    waitForContextAndUpdate(true);
+    waitForContextAndUpdate();
   };
   
   history.replaceState = function() {
     originalReplaceState.apply(this, arguments);
     console.log('DotNCue: replaceState detected');
-    // Force update for navigation
-    waitForContextAndUpdate(true);
+    waitForContextAndUpdate();
   };
   
   // Listen for popstate (back/forward button)
   window.addEventListener('popstate', () => {
     console.log('DotNCue: popstate detected (back/forward button)');
     lastUrl = window.location.href;
-    lastTitle = document.title;
-    // Force update immediately for back/forward navigation with lenient timing
-    waitForContextAndUpdate(true);
+    lastWatchKey = getWatchKey();
+    waitForContextAndUpdate();
   });
   
   // Listen for YouTube's navigation events
   window.addEventListener('yt-navigate-finish', () => {
     console.log('DotNCue: yt-navigate-finish detected');
     lastUrl = window.location.href;
-    lastTitle = document.title;
-    // Force update for YouTube navigation
-    waitForContextAndUpdate(true);
+    lastWatchKey = getWatchKey();
+    waitForContextAndUpdate();
   });
   
   window.addEventListener('yt-navigate-start', () => {
@@ -610,171 +477,167 @@ function observeUrlChanges() {
     if (!document.hidden && window.location.href !== lastUrl) {
       console.log('DotNCue: Page visible and URL changed');
       lastUrl = window.location.href;
-      lastTitle = document.title;
-      // Force update when returning to tab
-      waitForContextAndUpdate(true);
+      lastWatchKey = getWatchKey();
+      waitForContextAndUpdate();
     }
   });
 }
 
 /**
- * Wait for context elements to load and update sidebar
+ * Re-detect the context after a navigation
+ * Triggers arriving together (pushState, the URL observer, the title observer,
+ * YouTube's events) are debounced into a single settle per navigation.
  */
-function waitForContextAndUpdate(forceUpdate = false) {
+function waitForContextAndUpdate() {
+  clearTimeout(navigationTimer);
+  navigationTimer = setTimeout(settleContext, NAVIGATION_DEBOUNCE_MS);
+}
+
+/**
+ * Wait until the page's detector reports it has settled, then update the context
+ * Re-checks on DOM mutations and the detector's readyEvents instead of polling;
+ * shows a loading state only if the page isn't ready straight away.
+ */
+function settleContext() {
+  // A newer navigation replaces any wait still in progress
+  if (cancelSettle) {
+    cancelSettle();
+  }
+  
   const url = window.location.href;
+  const detector = findDetector(url);
+  const readyEvents = detector?.readyEvents || [];
+  let loadingShown = false;
+  let checkTimer = null;
+  
+  const observer = new MutationObserver(() => scheduleCheck());
+  const timeout = setTimeout(() => {
+    console.log('DotNCue: Page did not settle in time, using current detection');
+    finish(detectContext());
+  }, SETTLE_TIMEOUT_MS);
+  
+  const cleanup = () => {
+    observer.disconnect();
+    readyEvents.forEach(eventName => window.removeEventListener(eventName, scheduleCheck));
+    clearTimeout(timeout);
+    clearTimeout(checkTimer);
+    cancelSettle = null;
+  };
   
-  // Immediately send loading state to sidebar
-  if (sidebarOpen) {
-    const iframe = document.getElementById('context-buddy-iframe');
-    if (iframe && iframe.contentWindow) {
-      iframe.contentWindow.postMessage({
-        type: 'CONTEXT_UPDATE',
-        context: {
-          app: 'youtube',
-          title: 'Loading...',
-          url: url,
-          key: 'youtube:loading',
-          isLoading: true
-        }
-      }, '*');
+  const finish = (newContext) => {
+    cleanup();
+    if (newContext) {
+      updateContext(newContext, loadingShown);
     }
-  }
+  };
   
-  console.log('DotNCue: URL changed to', url, '- waiting for title to update...');
+  function scheduleCheck() {
+    if (checkTimer) return;
+    checkTimer = setTimeout(() => {
+      checkTimer = null;
+      check();
+    }, SETTLE_CHECK_MS);
+  }
   
-  // Wait for page to fully update (2 seconds)
-  setTimeout(() => {
-    console.log('DotNCue: Starting context detection, current document.title:', document.title);
-    
-    let attempts = 0;
-    const maxAttempts = 25; // Try for up to 5 seconds after initial wait
-    let lastSeenTitle = document.title;
-    
-    const checkAndUpdate = () => {
-      attempts++;
-      const currentDocTitle = document.title;
-      
-      // Check if title changed since last check
-      if (currentDocTitle !== lastSeenTitle) {
-        console.log('DotNCue: Title changed from', lastSeenTitle, 'to', currentDocTitle);
-        lastSeenTitle = currentDocTitle;
-      }
-      
-      const newContext = detectContext();
-      
-      if (!newContext) {
-        if (attempts < maxAttempts) {
-          setTimeout(checkAndUpdate, 200);
-        }
-        return;
-      }
-      
-      // For YouTube homepage, update immediately
-      if (url === 'https://www.youtube.com/' || url === 'https://www.youtube.com') {
-        console.log('DotNCue: Homepage detected');
-        updateContext(newContext);
-        return;
-      }
-      
-      // For YouTube video pages, wait for actual video title
-      const isYouTubeVideoPage = newContext.app === 'youtube' && url.includes('watch?v=');
-      
-      if (isYouTubeVideoPage) {
-        // Check if we have a real video title (not just default/fallback)
-        const hasRealTitle = newContext.title && 
-                            newContext.title !== 'YouTube' &&
-                            newContext.title !== 'Loading...' &&
-                            newContext.title.length > 0 &&
-                            !newContext.title.includes('watch?v=');
-        
-        console.log('DotNCue: Video page - Title:', newContext.title, 'Valid:', hasRealTitle);
-        
-        // Update if we have a real title or exhausted attempts
-        if (hasRealTitle || attempts >= maxAttempts) {
-          updateContext(newContext);
-        } else {
-          // Keep trying
-          setTimeout(checkAndUpdate, 200);
-        }
-      } else {
-        // For other pages (search, channel, etc.), update immediately
-        updateContext(newContext);
-      }
-    };
+  function check() {
+    const newContext = detectContext();
+    const settled = newContext && (!detector?.isSettled || detector.isSettled(newContext));
     
-    function updateContext(newContext) {
-      const previousUrl = currentContext?.url;
-      const previousTitle = currentContext?.title;
-      currentContext = newContext;
-      
-      // Send update to sidebar if it's open
-      if (sidebarOpen) {
-        const iframe = document.getElementById('context-buddy-iframe');
-        if (iframe && iframe.contentWindow) {
-          iframe.contentWindow.postMessage({
-            type: 'CONTEXT_UPDATE',
-            context: currentContext
-          }, '*');
-        }
-      }
-      
-      // Log the update
-      console.log('DotNCue: âœ“ Context FINALIZED');
-      console.log('  Previous:', previousTitle, '('+previousUrl+')');
-      console.log('  Current:', currentContext.title, '('+currentContext.url+')');
+    if (settled) {
+      finish(newContext);
+      return true;
     }
-    
-    // Start checking immediately (after initial delay)
-    checkAndUpdate();
-  }, 2000); // 2 second initial delay
+    return false;
+  }
+  
+  cancelSettle = cleanup;
+  
+  if (check()) return;
+  
+  console.log('DotNCue: Waiting for', detector?.name || 'page', 'to settle at', url);
+  loadingShown = sendLoadingState(url);
+  
+  observer.observe(document, {
+    subtree: true,
+    childList: true,
+    characterData: true
+  });
+  readyEvents.forEach(eventName => window.addEventListener(eventName, scheduleCheck));
+}
+
+/**
+ * Tell the sidebar a new context is on its way (app-neutral, no key)
+ * Returns whether the sidebar was open to receive it.
+ */
+function sendLoadingState(url) {
+  if (!sidebarOpen) return false;
+  
+  sendToSidebar(MESSAGE_TYPES.CONTEXT_UPDATE, {
+    context: {
+      title: 'Loading...',
+      url: url,
+      isLoading: true
+    }
+  });
+  return true;
+}
+
+/**
+ * Apply a newly detected context and send it to the sidebar
+ * Skipped when nothing changed, unless the sidebar is showing a loading state.
+ */
+async function updateContext(newContext, force = false) {
+  const previousContext = currentContext;
+  const resolved = await resolveContext(newContext);
+  
+  const unchanged = previousContext &&
+                    previousContext.key === resolved.key &&
+                    previousContext.title === resolved.title &&
+                    previousContext.url === resolved.url;
+  if (unchanged && !force) return;
+  
+  currentContext = resolved;
+  
+  // Send update to sidebar if it's open
+  if (sidebarOpen) {
+    sendToSidebar(MESSAGE_TYPES.CONTEXT_UPDATE, { context: currentContext });
+  }
+  
+  // Log the update
+  console.log('DotNCue: Context updated');
+  console.log('  Previous:', previousContext?.title, '(' + previousContext?.url + ')');
+  console.log('  Current:', currentContext.title, '(' + currentContext.url + ')');
 }
 
 /**
  * Extract meaningful text content from the current page
  */
 function extractPageContent() {
-  const hostname = window.location.hostname;
-  let content = '';
-  
-  // Gmail specific extraction
-  if (hostname === 'mail.google.com') {
-    const subject = document.querySelector('h2.hP')?.textContent || '';
-    const emailBody = document.querySelector('.a3s.aiL')?.textContent || '';
-    content = `Subject: ${subject}\n\n${emailBody}`.substring(0, 3000);
-  }
-  // YouTube specific extraction
-  else if (hostname === 'www.youtube.com') {
-    const title = document.querySelector('h1.ytd-video-primary-info-renderer')?.textContent || 
-                  document.querySelector('h1 yt-formatted-string')?.textContent || '';
-    const description = document.querySelector('#description yt-formatted-string')?.textContent || '';
-    content = `Title: ${title}\n\nDescription: ${description}`.substring(0, 3000);
-  }
-  // Google Docs specific extraction
-  else if (hostname === 'docs.google.com') {
-    const docTitle = document.querySelector('.docs-title-input')?.textContent || '';
-    const docContent = document.querySelector('.kix-page')?.textContent || '';
-    content = `Title: ${docTitle}\n\n${docContent}`.substring(0, 3000);
-  }
-  // Generic extraction for other pages
-  else {
-    const title = document.title;
-    const mainContent = document.querySelector('main')?.textContent || 
-                       document.querySelector('article')?.textContent ||
-                       document.body.textContent;
-    
-    // Clean up the content
-    const cleaned = mainContent
-      .replace(/\s+/g, ' ')
-      .replace(/\n+/g, '\n')
-      .trim()
-      .substring(0, 3000);
-    
-    content = `Title: ${title}\n\n${cleaned}`;
-  }
+  const detector = findDetector(window.location.href);
+  const content = detector && detector.extractContent ? detector.extractContent() : extractGenericContent();
   
   return content || 'Unable to extract page content';
 }
 
+/**
+ * Generic extraction for pages whose detector has no extractContent()
+ */
+function extractGenericContent() {
+  const title = document.title;
+  const mainContent = document.querySelector('main')?.textContent || 
+                     document.querySelector('article')?.textContent ||
+                     document.body.textContent;
+  
+  // Clean up the content
+  const cleaned = mainContent
+    .replace(/\s+/g, ' ')
+    .replace(/\n+/g, '\n')
+    .trim()
+    .substring(0, 3000);
+  
+  return `Title: ${title}\n\n${cleaned}`;
+}
+
 // Start the extension
 initialize();
 
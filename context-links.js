@@ -0,0 +1,148 @@
+﻿/**
+ * Context Links for DotNCue
+ * Service worker side: applies the storage-backed links (the user's merges and
+ * renames, Meet <-> Calendar, people) to contexts the content script detects
+ */
+
+/**
+ * Apps whose participants are people (YouTube channels are not)
+ */
+const PEOPLE_APPS = ['gmail', 'calendar', 'meet'];
+
+// Local: the addresses of the user's own Google accounts, seen as context.account
+const OWN_ACCOUNTS_KEY = 'own_accounts';
+
+/**
+ * Apply the storage-backed links to a freshly detected context
+ */
+async function resolveContext(context) {
+  await learnOwnAccount(context);
+  return linkPeople(await linkMeetingContext(await applyContextEdits(context)));
+}
+
+/**
+ * Get the addresses of the user's own accounts
+ */
+async function getOwnAccounts() {
+  const { [OWN_ACCOUNTS_KEY]: accounts = [] } = await chrome.storage.local.get([OWN_ACCOUNTS_KEY]);
+  return accounts;
+}
+
+/**
+ * Remember the account a page is signed in with, so it isn't taken for
+ * someone the user shares contexts with (see note-relevance.js)
+ */
+async function learnOwnAccount(context) {
+  if (!context?.account) return;
+  
+  await withKeyLock(OWN_ACCOUNTS_KEY, async () => {
+    const accounts = await getOwnAccounts();
+    if (!accounts.includes(context.account)) {
+      await chrome.storage.local.set({ [OWN_ACCOUNTS_KEY]: [...accounts, context.account] });
+    }
+  });
+}
+
+/**
+ * Link Meet calls and their Calendar events so both show one note list
+ * Calendar events record "meeting code -> event key" in meet_links; Meet
+ * contexts with a recorded link use the event's key.
+ */
+async function linkMeetingContext(context) {
+  if (!context || !context.meetCode) return context;
+  
+  if (context.app === 'calendar') {
+    await withKeyLock('meet_links', async () => {
+      const { meet_links: links = {} } = await chrome.storage.local.get(['meet_links']);
+      const link = links[context.meetCode];
+      const attendees = context.attendees || [];
+      if (!link || link.key !== context.key || link.title !== context.title ||
+          (link.attendees || []).join() !== attendees.join()) {
+        links[context.meetCode] = { key: context.key, title: context.title, attendees: attendees };
+        await chrome.storage.local.set({ meet_links: links });
+      }
+    });
+    
+    // Fold in notes taken in the call before the link was known
+    await moveNotes(`meet:${context.meetCode}`, context.key);
+    return context;
+  }
+  
+  const { meet_links: links = {} } = await chrome.storage.local.get(['meet_links']);
+  const link = links[context.meetCode];
+  if (context.app === 'meet' && link) {
+    // Invited attendees count as participants even before they show up in the call
+    const participants = [...context.participants];
+    (link.attendees || []).forEach(email => {
+      if (!participants.includes(email)) participants.push(email);
+    });
+    
+    return {
+      ...context,
+      title: link.title || context.title,
+      participants: participants,
+      meetKey: context.key,
+      linkedEventKey: link.key,
+      key: link.key
+    };
+  }
+  
+  return context;
+}
+
+/**
+ * Get the storage key for notes about a person (email address or display name)
+ */
+function getPersonKey(identity) {
+  return `person:${identity.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+/**
+ * Attach the people present in a context as context.people ([{ key, name }])
+ * Display names learned from Gmail and Calendar (people_directory) let a Meet
+ * participant known only by name resolve to the same person as their email.
+ */
+async function linkPeople(context) {
+  if (!context || !PEOPLE_APPS.includes(context.app)) return context;
+  
+  // Learn "display name -> email" pairs seen on this page
+  const directory = await withKeyLock('people_directory', async () => {
+    const { people_directory: stored = {} } = await chrome.storage.local.get(['people_directory']);
+    let learned = false;
+    Object.entries(context.participantNames || {}).forEach(([email, name]) => {
+      const nameKey = name.trim().toLowerCase();
+      if (nameKey && stored[nameKey] !== email) {
+        stored[nameKey] = email;
+        learned = true;
+      }
+    });
+    if (learned) {
+      await chrome.storage.local.set({ people_directory: stored });
+    }
+    return stored;
+  });
+  
+  // People can be merged and renamed like any context (see context-manager.js)
+  const aliases = await getContextAliases();
+  const names = await getContextNames();
+  
+  const people = [];
+  (context.participants || []).forEach(identity => {
+    const email = identity.includes('@') ? identity.toLowerCase() : directory[identity.trim().toLowerCase()];
+    const key = followContextAlias(aliases, getPersonKey(email || identity));
+    if (people.some(person => person.key === key)) return;
+    
+    const name = email ? (context.participantNames?.[email] || (identity.includes('@') ? '' : identity)) : identity;
+    people.push({
+      key: key,
+      name: names[key] || (name && email ? `${name} (${email})` : (name || email))
+    });
+  });
+  
+  // Sender notes used to live under gmail:<address>
+  if (context.app === 'gmail' && context.sender) {
+    await moveNotes(`gmail:${context.sender}`, getPersonKey(context.sender));
+  }
+  
+  return { ...context, people: people };
+}
@@ -0,0 +1,212 @@
+﻿/**
+ * Context Manager for DotNCue
+ * Service worker side: lists every context with notes and lets the user tidy
+ * them up: rename a context, merge one into another, or move single notes
+ * between contexts.
+ *
+ * Built-in keys are stable IDs (gmail:thread:<id>, calendar:event:<series>,
+ * meet:<code>, docs:<file ID> and its sheets/slides/forms kin,
+ * youtube:video:<id>, person:<email>); only YouTube's other pages
+ * (youtube:<title>) and custom rules whose key template uses {title} still
+ * depend on titles. The same thing can still end up split over several keys:
+ * a call noted before its calendar event was seen (see linkMeetingContext),
+ * a custom rule whose template changed, the same topic across apps. A merge
+ * remembers the old key as an alias of the one it went into, and
+ * resolveContext() (see context-links.js) follows it, so later visits to the
+ * old page show the merged notes. A renamed context keeps its name when the
+ * page's own title changes.
+ * Aliases and names are kept on this device.
+ */
+
+// Local: { old key: key it was merged into }
+const CONTEXT_ALIASES_KEY = 'context_aliases';
+
+// Local: { key: title the user gave the context }
+const CONTEXT_NAMES_KEY = 'context_names';
+
+/**
+ * Get the recorded aliases: { old key: key it was merged into }
+ */
+async function getContextAliases() {
+  const { [CONTEXT_ALIASES_KEY]: aliases = {} } = await chrome.storage.local.get([CONTEXT_ALIASES_KEY]);
+  return aliases;
+}
+
+/**
+ * Get the names the user gave contexts: { key: title }
+ */
+async function getContextNames() {
+  const { [CONTEXT_NAMES_KEY]: names = {} } = await chrome.storage.local.get([CONTEXT_NAMES_KEY]);
+  return names;
+}
+
+/**
+ * Follow a key's aliases to the context it now belongs to
+ */
+function followContextAlias(aliases, key) {
+  const seen = new Set();
+  while (aliases[key] && !seen.has(key)) {
+    seen.add(key);
+    key = aliases[key];
+  }
+  return key;
+}
+
+/**
+ * Apply the user's merges and renames to a detected context
+ */
+async function applyContextEdits(context) {
+  if (!context || !context.key) return context;
+  
+  const key = followContextAlias(await getContextAliases(), context.key);
+  const title = (await getContextNames())[key];
+  if (key === context.key && !title) return context;
+  
+  return { ...context, key: key, title: title || context.title };
+}
+
+/**
+ * List every context with notes, by title: [{ key, app, title, count,
+ * updatedAt, renamed, aliases }] (aliases: the old keys merged into it)
+ * Counts come from the database's context key index and titles from the
+ * search index (see note-search.js), so no notes are read here.
+ */
+async function listContexts() {
+  const counts = await countNotesByContext();
+  const described = await describeIndexedContexts();
+  const aliases = await getContextAliases();
+  const names = await getContextNames();
+  
+  return Array.from(counts, ([key, count]) => {
+    const [keyApp, ...titleParts] = key.split(':');
+    const { app, title, updatedAt } = described.get(key) || { app: keyApp, title: titleParts.join(':'), updatedAt: 0 };
+    return {
+      key: key,
+      app: app,
+      title: names[key] || title,
+      count: count,
+      updatedAt: updatedAt,
+      renamed: Boolean(names[key]),
+      aliases: Object.keys(aliases).filter(alias => aliases[alias] === key)
+    };
+  }).sort((a, b) => a.title.localeCompare(b.title) || a.key.localeCompare(b.key));
+}
+
+/**
+ * Give a context a title of the user's choosing, or with an empty title, go
+ * back to the one its page shows
+ */
+async function renameContext(key, title) {
+  const name = String(title || '').trim();
+  
+  await withKeyLock(CONTEXT_NAMES_KEY, async () => {
+    const names = await getContextNames();
+    if (name) {
+      names[key] = name;
+    } else {
+      delete names[key];
+    }
+    await chrome.storage.local.set({ [CONTEXT_NAMES_KEY]: names });
+  });
+  
+  // The page's title comes back on the next visit (see syncStoredTitle in sidebar.js)
+  if (name) {
+    await updateContextTitle(key, name);
+  }
+  return { key: key, title: name };
+}
+
+/**
+ * Move notes from one context to another (all of them, or the given IDs)
+ * and resolve with how many moved. Moved notes take the target's title.
+ */
+function refileNotes(fromKey, toKey, noteIds = null) {
+  if (fromKey === toKey) {
+    return Promise.reject(new Error('Pick a different context'));
+  }
+  
+  return withKeyLocks([fromKey, toKey], async () => {
+    const buckets = await getNotesForKeys([fromKey, toKey]);
+    const moving = buckets[fromKey].filter(note => !noteIds || noteIds.includes(note.id));
+    if (noteIds && moving.length !== noteIds.length) {
+      throw new Error(`No such note in ${fromKey}`);
+    }
+    if (moving.length === 0) return 0;
+    
+    const names = await getContextNames();
+    const title = names[toKey] ||
+      (buckets[toKey].length > 0 ? describeNoteBucket(toKey, buckets[toKey]).title : toKey.split(':').slice(1).join(':'));
+    const moved = moving.map(note => ({
+      ...note,
+      context: note.context ? { ...note.context, key: toKey, title: title } : note.context
+    }));
+    
+    await saveNoteBuckets({
+      [toKey]: [...buckets[toKey], ...moved].sort((a, b) => a.createdAt - b.createdAt),
+      [fromKey]: buckets[fromKey].filter(note => !moving.includes(note))
+    });
+    return moved.length;
+  });
+}
+
+/**
+ * Move one note to another context and resolve with the notes left in its own
+ */
+async function moveNoteToContext(key, noteId, toKey) {
+  await refileNotes(key, toKey, [noteId]);
+  return getNotes(key);
+}
+
+/**
+ * Merge one context into another: move all its notes and remember its key
+ * as an alias, so the old page opens the merged context from now on
+ */
+async function mergeContexts(fromKey, toKey) {
+  const moved = await refileNotes(fromKey, toKey);
+  
+  await withKeyLock(CONTEXT_ALIASES_KEY, async () => {
+    const aliases = await getContextAliases();
+    
+    // Keys merged into fromKey earlier follow it, and toKey is a context again
+    Object.keys(aliases).forEach(alias => {
+      if (aliases[alias] === fromKey) aliases[alias] = toKey;
+    });
+    aliases[fromKey] = toKey;
+    delete aliases[toKey];
+    await chrome.storage.local.set({ [CONTEXT_ALIASES_KEY]: aliases });
+  });
+  
+  await withKeyLock(CONTEXT_NAMES_KEY, async () => {
+    const names = await getContextNames();
+    if (names[fromKey]) {
+      delete names[fromKey];
+      await chrome.storage.local.set({ [CONTEXT_NAMES_KEY]: names });
+    }
+  });
+  
+  // A Meet call linked to the old context opens the merged one
+  await withKeyLock('meet_links', async () => {
+    const { meet_links: links = {} } = await chrome.storage.local.get(['meet_links']);
+    const linked = Object.values(links).filter(link => link.key === fromKey);
+    if (linked.length > 0) {
+      linked.forEach(link => {
+        link.key = toKey;
+      });
+      await chrome.storage.local.set({ meet_links: links });
+    }
+  });
+  
+  console.log('DotNCue: Merged', fromKey, 'into', toKey, `(${moved} notes)`);
+  return { moved: moved };
+}
+
+/**
+ * Forget an alias, so its key opens a context of its own again
+ */
+function removeContextAlias(alias) {
+  return withKeyLock(CONTEXT_ALIASES_KEY, async () => {
+    const aliases = await getContextAliases();
+    delete aliases[alias];
+    await chrome.storage.local.set({ [CONTEXT_ALIASES_KEY]: aliases });
+  });
+}
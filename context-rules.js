@@ -0,0 +1,88 @@
+﻿/**
+ * Custom Context Rules for DotNCue
+ * Shared by the content script, sidebar and service worker: matching
+ * user-defined URL patterns and building context keys from templates
+ */
+
+/**
+ * Storage key holding the user's custom rules array
+ */
+const CUSTOM_RULES_KEY = 'custom_rules';
+
+/**
+ * Convert a Chrome match pattern (e.g. "https://jira.example.com/browse/*")
+ * into a RegExp, or null if the pattern is invalid
+ */
+function matchPatternToRegExp(pattern) {
+  const match = /^(\*|https?):\/\/(\*|(?:\*\.)?[^/*]+)(\/.*)$/.exec((pattern || '').trim());
+  if (!match) return null;
+  
+  const [, scheme, host, path] = match;
+  const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  
+  const schemePart = scheme === '*' ? 'https?' : scheme;
+  let hostPart;
+  if (host === '*') {
+    hostPart = '[^/]+';
+  } else if (host.startsWith('*.')) {
+    hostPart = `(?:[^/]+\\.)?${escape(host.slice(2))}`;
+  } else {
+    hostPart = escape(host);
+  }
+  const pathPart = path.split('*').map(escape).join('.*');
+  
+  return new RegExp(`^${schemePart}://${hostPart}${pathPart}$`);
+}
+
+/**
+ * Get the host permission origin a match pattern needs ("https://jira.example.com/*")
+ */
+function getPatternOrigin(pattern) {
+  const match = /^(\*|https?):\/\/([^/]+)\//.exec((pattern || '').trim());
+  return match ? `${match[1]}://${match[2]}/*` : null;
+}
+
+/**
+ * Find the first rule whose pattern matches the URL
+ */
+function findMatchingRule(rules, url) {
+  return (rules || []).find(rule => {
+    const regex = matchPatternToRegExp(rule.pattern);
+    return regex && regex.test(url);
+  }) || null;
+}
+
+/**
+ * Get the app name a rule reports (the key template's prefix, e.g. "jira")
+ */
+function getRuleApp(rule) {
+  const prefix = (rule.keyTemplate || '').split(':')[0].trim().toLowerCase();
+  return prefix || 'custom';
+}
+
+/**
+ * Fill a key template from a URL and page title
+ * Supports {host}, {title}, {path}, {path[n]} (split on "/", so the first
+ * segment is path[1]), {query[name]} and {hash}.
+ */
+function applyKeyTemplate(template, url, title) {
+  const parsed = new URL(url);
+  const segments = parsed.pathname.split('/');
+  
+  return template.replace(/\{(\w+)(?:\[([^\]]+)\])?\}/g, (placeholder, name, arg) => {
+    switch (name) {
+      case 'host':
+        return parsed.hostname;
+      case 'title':
+        return title || '';
+      case 'path':
+        return arg === undefined ? parsed.pathname : (segments[Number(arg)] || '');
+      case 'query':
+        return parsed.searchParams.get(arg) || '';
+      case 'hash':
+        return parsed.hash.replace(/^#/, '');
+      default:
+        return placeholder;
+    }
+  });
+}
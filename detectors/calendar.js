@@ -0,0 +1,133 @@
+﻿/**
+ * Google Calendar Detector for DotNCue
+ * Events keyed by recurring series ID, with attendees, start time and Meet link
+ */
+
+/**
+ * Detect Google Calendar context (open event, or the general calendar view)
+ * Events are keyed by their series ID so every occurrence of a recurring
+ * meeting shares one note list.
+ */
+function detectCalendarContext() {
+  const encodedEventId = getCalendarEventElementId();
+  
+  if (!encodedEventId) {
+    return {
+      app: 'calendar',
+      title: 'Google Calendar',
+      url: window.location.href,
+      key: 'calendar:general'
+    };
+  }
+  
+  const { eventId, seriesId } = parseCalendarEventId(encodedEventId);
+  
+  // Event details dialog, or the full-page event editor
+  const container = document.querySelector('div[role="dialog"]') || document;
+  
+  let title = '';
+  const titleElement = container.querySelector('#rAECCd') ||
+                       container.querySelector('[data-eventid] [data-title]') ||
+                       container.querySelector('input[aria-label*="Title"]') ||
+                       container.querySelector('[role="heading"]');
+  
+  if (titleElement) {
+    title = titleElement.getAttribute('data-title') ||
+            titleElement.value?.trim() ||
+            titleElement.textContent?.trim() || '';
+  }
+  
+  // Attendee email addresses, with display names where the chip has one; the
+  // signed-in user is at every event they see, so they don't count
+  const account = getGoogleAccountEmail();
+  const attendees = [];
+  const participantNames = {};
+  container.querySelectorAll('[data-email]').forEach(el => {
+    const email = el.getAttribute('data-email')?.trim().toLowerCase();
+    if (!email || !email.includes('@') || email === account || attendees.includes(email)) return;
+    
+    attendees.push(email);
+    if (el.getAttribute('data-name')) {
+      participantNames[email] = el.getAttribute('data-name');
+    }
+  });
+  
+  // Start time as shown in the dialog, or from the editor's date/time inputs
+  let startTime = container.querySelector('#xDetDlgWhen')?.textContent?.trim() || '';
+  if (!startTime) {
+    const startDate = container.querySelector('input[aria-label="Start date"]')?.value || '';
+    const startClock = container.querySelector('input[aria-label="Start time"]')?.value || '';
+    startTime = `${startDate} ${startClock}`.trim();
+  }
+  
+  // Google Meet link attached to the event
+  const meetLinkElement = container.querySelector('a[href^="https://meet.google.com/"]');
+  const meetLink = meetLinkElement ? meetLinkElement.href.split('?')[0] : '';
+  const meetCode = meetLink.split('/')[3] || '';
+  
+  return {
+    app: 'calendar',
+    kind: 'event',
+    title: title || 'Calendar event',
+    eventId: eventId,
+    seriesId: seriesId,
+    attendees: attendees,
+    participants: attendees,
+    participantNames: participantNames,
+    account: account,
+    startTime: startTime,
+    meetLink: meetLink,
+    meetCode: MEET_CODE_PATTERN.test(meetCode) ? meetCode : '',
+    url: window.location.href,
+    key: `calendar:event:${seriesId}`
+  };
+}
+
+/**
+ * Get the encoded ID of the event currently open in Calendar, if any
+ */
+function getCalendarEventElementId() {
+  const dialogEvent = document.querySelector('div[role="dialog"][data-eventid]') ||
+                      document.querySelector('div[role="dialog"] [data-eventid]');
+  if (dialogEvent) {
+    return dialogEvent.getAttribute('data-eventid');
+  }
+  
+  // Full-page editor: /calendar/u/0/r/eventedit/<eid>
+  const editMatch = window.location.pathname.match(/\/eventedit\/([^/?#]+)/);
+  if (editMatch) {
+    return editMatch[1];
+  }
+  
+  return new URLSearchParams(window.location.search).get('eid') || '';
+}
+
+/**
+ * Decode a Calendar event ID into the instance ID and its recurring series ID
+ * Encoded IDs are base64 of "<eventId>[_<instant>] <calendarId>".
+ */
+function parseCalendarEventId(encodedId) {
+  let decoded = encodedId;
+  try {
+    decoded = atob(encodedId.replace(/-/g, '+').replace(/_/g, '/'));
+  } catch (e) {
+    // Already a plain event ID
+  }
+  
+  const eventId = decoded.split(' ')[0] || encodedId;
+  
+  // Recurring instances carry an "_YYYYMMDD" or "_YYYYMMDDTHHMMSSZ" suffix
+  const seriesId = eventId.replace(/_\d{8}(T\d{6}Z?)?$/, '');
+  
+  return { eventId, seriesId };
+}
+
+registerDetector({
+  name: 'calendar',
+  matches: (url) => url.hostname === 'calendar.google.com',
+  detect: detectCalendarContext,
+  // An opened event is ready once its title is rendered
+  isSettled: (context) => context.kind !== 'event' || context.title !== 'Calendar event',
+  // The event dialog opens and closes without a URL change
+  watchKey: getCalendarEventElementId
+});
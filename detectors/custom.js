@@ -0,0 +1,47 @@
+﻿/**
+ * Custom Site Detector for DotNCue
+ * Applies the user's context rules (see context-rules.js) to any other site.
+ * Registered last so built-in detectors win.
+ */
+
+/**
+ * Detect context from the first user-defined rule matching this URL
+ */
+function detectCustomContext() {
+  const url = window.location.href;
+  const rule = findMatchingRule(customRules, url);
+  
+  if (!rule) return null;
+  
+  let title = '';
+  
+  // Title from the rule's selector, else the page title
+  if (rule.titleSelector) {
+    try {
+      const titleElement = document.querySelector(rule.titleSelector);
+      title = titleElement?.value?.trim() || titleElement?.textContent?.trim() || '';
+    } catch (e) {
+      console.log('DotNCue: Invalid title selector in rule', rule.name, e);
+    }
+  }
+  if (!title) {
+    title = document.title.trim();
+  }
+  
+  const app = getRuleApp(rule);
+  const key = applyKeyTemplate(rule.keyTemplate || `${app}:{path}`, url, title);
+  
+  return {
+    app: app,
+    title: title || rule.name || window.location.hostname,
+    ruleId: rule.id,
+    url: url,
+    key: key.includes(':') ? key : `${app}:${key}`
+  };
+}
+
+registerDetector({
+  name: 'custom',
+  matches: (url) => Boolean(findMatchingRule(customRules, url.href)),
+  detect: detectCustomContext
+});
@@ -0,0 +1,69 @@
+﻿/**
+ * Google Docs Detector for DotNCue
+ * Docs, Sheets, Slides and Forms files keyed by file ID
+ */
+
+/**
+ * Google Workspace editors on docs.google.com, keyed by URL path segment
+ */
+const DOCS_EDITORS = {
+  document: { app: 'docs', name: 'Google Docs' },
+  spreadsheets: { app: 'sheets', name: 'Google Sheets' },
+  presentation: { app: 'slides', name: 'Google Slides' },
+  forms: { app: 'forms', name: 'Google Forms' }
+};
+
+/**
+ * Detect Google Docs/Sheets/Slides/Forms context
+ * Keyed by the file ID from the URL so renames and duplicate titles don't
+ * split or merge notes; the title is display metadata only.
+ */
+function detectDocsContext() {
+  // e.g. /document/d/<id>/edit, /spreadsheets/u/1/d/<id>, /forms/d/e/<id>/viewform
+  const match = window.location.pathname.match(/^\/(document|spreadsheets|presentation|forms)\/(?:u\/\d+\/)?d\/(?:e\/)?([a-zA-Z0-9_-]+)/);
+  const editorName = match ? match[1] : window.location.pathname.split('/')[1];
+  const editor = DOCS_EDITORS[editorName] || DOCS_EDITORS.document;
+  const fileId = match ? match[2] : '';
+  
+  let title = '';
+  
+  // Get document title from the editor UI
+  const titleElement = document.querySelector('.docs-title-input') ||
+                       document.querySelector('[aria-label*="Document"]');
+  
+  if (titleElement) {
+    title = titleElement.value?.trim() || titleElement.textContent?.trim() || '';
+  }
+  
+  // Fallback to page title
+  if (!title) {
+    title = document.title.replace(` - ${editor.name}`, '').trim();
+  }
+  
+  // Without a file ID (e.g. the Docs home list) there is nothing stable to key on
+  const key = fileId ? `${editor.app}:${fileId}` : `${editor.app}:home`;
+  
+  return {
+    app: editor.app,
+    title: title || editor.name,
+    fileId: fileId,
+    url: window.location.href,
+    key: key
+  };
+}
+
+registerDetector({
+  name: 'docs',
+  matches: (url) => url.hostname === 'docs.google.com',
+  detect: detectDocsContext,
+  // Files are ready once the editor's title element is rendered
+  isSettled: (context) => !context.fileId || Boolean(document.querySelector('.docs-title-input')),
+  extractContent: () => {
+    const docTitle = document.querySelector('.docs-title-input')?.value ||
+                     document.querySelector('.docs-title-input')?.textContent || '';
+    const docContent = document.querySelector('.kix-page')?.textContent || '';
+    return `Title: ${docTitle}\n\n${docContent}`.substring(0, 3000);
+  },
+  // Files can be renamed in place
+  watchKey: () => document.title
+});
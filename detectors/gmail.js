@@ -0,0 +1,141 @@
+﻿/**
+ * Gmail Detector for DotNCue
+ * Threads keyed by thread ID (with their senders as participants), inbox/label views as list contexts
+ */
+
+/**
+ * Gmail views that list conversations rather than show one, mapped to display titles
+ */
+const GMAIL_LIST_VIEWS = {
+  inbox: 'Inbox',
+  starred: 'Starred',
+  snoozed: 'Snoozed',
+  imp: 'Important',
+  sent: 'Sent',
+  scheduled: 'Scheduled',
+  drafts: 'Drafts',
+  all: 'All Mail',
+  spam: 'Spam',
+  trash: 'Trash',
+  label: 'Label',
+  category: 'Category',
+  search: 'Search'
+};
+
+/**
+ * Thread IDs in the hash: 16 hex digits, or the newer form ("FMfcgz...")
+ * written in Gmail's vowel-free alphabet
+ */
+const GMAIL_THREAD_ID_PATTERN = /^(?:[0-9a-f]{16}|[B-DF-HJ-NP-TV-Zb-df-hj-np-tv-z]{20,})$/;
+
+/**
+ * Detect Gmail context (thread, sender, or list view)
+ * An open thread is keyed by its thread ID and lists everyone who wrote in it
+ * as participants, so the sidebar can show their people notes alongside it;
+ * inbox/label views are list contexts.
+ */
+function detectGmailContext() {
+  // Hash looks like "#inbox", "#label/Work", "#inbox/FMfcgz..." or "#label/Work/FMfcgz..."
+  const hashParts = window.location.hash.replace(/^#/, '').split('/').map(decodeURIComponent);
+  const view = hashParts[0] || 'inbox';
+  
+  // Get subject from email view
+  const subjectElement = document.querySelector('h2.hP');
+  
+  // One thread, one ID however it was opened: the subject's, once it is
+  // rendered (isSettled waits for it), else the hash's until then
+  const threadId = subjectElement?.getAttribute('data-legacy-thread-id') || getGmailHashThreadId(hashParts);
+  
+  if (threadId) {
+    return detectGmailThreadContext(threadId, subjectElement);
+  }
+  
+  // List view (inbox, label, search, ...)
+  let listName = hashParts.slice(0, 2).join('/');
+  let title = GMAIL_LIST_VIEWS[view] || view;
+  if ((view === 'label' || view === 'category' || view === 'search') && hashParts[1]) {
+    title = `${title}: ${hashParts[1].replace(/\+/g, ' ')}`;
+  } else {
+    listName = view;
+  }
+  
+  return {
+    app: 'gmail',
+    kind: 'list',
+    title: title,
+    participants: [],
+    url: window.location.href,
+    key: `gmail:list:${listName}`
+  };
+}
+
+/**
+ * Get the thread ID from a hash like "#inbox/<id>" or "#label/Work/<id>", or ''
+ * Its form differs from the subject's thread ID, so it only stands in until the
+ * subject renders. Searches ("#search/<query>/<id>") wait for the subject, as a
+ * query can look like anything.
+ */
+function getGmailHashThreadId(hashParts) {
+  const view = hashParts[0];
+  let prefixLength = 0;
+  if (view === 'label' || view === 'category') {
+    prefixLength = 2;
+  } else if (view !== 'search' && GMAIL_LIST_VIEWS[view]) {
+    prefixLength = 1;
+  }
+  
+  const candidate = prefixLength > 0 && hashParts.length === prefixLength + 1 ? hashParts[prefixLength] : '';
+  return GMAIL_THREAD_ID_PATTERN.test(candidate) ? candidate : '';
+}
+
+/**
+ * Build the context for an open Gmail thread
+ */
+function detectGmailThreadContext(threadId, subjectElement) {
+  let title = subjectElement?.textContent?.trim() || '';
+  
+  // Everyone who wrote in the thread; the first message's author is the sender
+  const participants = [];
+  const participantNames = {};
+  document.querySelectorAll('span.gD[email], span.go[email]').forEach(el => {
+    const email = el.getAttribute('email')?.trim().toLowerCase();
+    if (!email || participants.includes(email)) return;
+    
+    participants.push(email);
+    if (el.getAttribute('name')) {
+      participantNames[email] = el.getAttribute('name');
+    }
+  });
+  const sender = participants[0] || '';
+  
+  // Fallback: use page title
+  if (!title) {
+    title = document.title.replace(/( - \S+@\S+)? - Gmail$/, '').trim();
+  }
+  
+  return {
+    app: 'gmail',
+    kind: 'thread',
+    title: title || 'Gmail',
+    sender: sender,
+    participants: participants,
+    participantNames: participantNames,
+    account: getGoogleAccountEmail(),
+    threadId: threadId,
+    url: window.location.href,
+    key: `gmail:thread:${threadId}`
+  };
+}
+
+registerDetector({
+  name: 'gmail',
+  matches: (url) => url.hostname === 'mail.google.com',
+  detect: detectGmailContext,
+  // An opened thread is ready once its subject is rendered
+  isSettled: (context) => context.kind !== 'thread' || Boolean(document.querySelector('h2.hP')),
+  extractContent: () => {
+    const subject = document.querySelector('h2.hP')?.textContent || '';
+    const emailBody = document.querySelector('.a3s.aiL')?.textContent || '';
+    return `Subject: ${subject}\n\n${emailBody}`.substring(0, 3000);
+  }
+});
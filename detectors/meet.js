@@ -0,0 +1,64 @@
+﻿/**
+ * Google Meet Detector for DotNCue
+ * Calls keyed by meeting code
+ */
+
+/**
+ * Meeting codes look like "abc-defg-hij"
+ */
+const MEET_CODE_PATTERN = /^[a-z]{3}-[a-z]{4}-[a-z]{3}$/;
+
+/**
+ * Detect Google Meet context (meeting code, title, participants)
+ * Keyed by the meeting code; the service worker's linkMeetingContext() later
+ * swaps in the key of the Calendar event that carries the same Meet link.
+ */
+function detectMeetContext() {
+  const meetCode = window.location.pathname.split('/')[1] || '';
+  
+  if (!MEET_CODE_PATTERN.test(meetCode)) {
+    return {
+      app: 'meet',
+      title: 'Google Meet',
+      participants: [],
+      url: window.location.href,
+      key: 'meet:home'
+    };
+  }
+  
+  let title = '';
+  
+  // Try to get meeting title
+  const titleElement = document.querySelector('[data-meeting-title]') ||
+                       document.querySelector('div[jsname="rQC7Ie"]');
+  
+  if (titleElement) {
+    title = titleElement.getAttribute('data-meeting-title') || titleElement.textContent?.trim() || '';
+  }
+  
+  // Fallback to page title ("Meet - <title or code>")
+  if (!title) {
+    title = document.title.replace(/^Meet\s*[-\u2013]\s*/, '').replace(' - Google Meet', '').trim();
+  }
+  
+  // Participant names live in the name label of each tile, not the whole tile text
+  const nameElements = document.querySelectorAll('[data-participant-id] [data-self-name], [data-participant-id] .notranslate');
+  const participants = Array.from(nameElements)
+    .map(el => el.getAttribute('data-self-name') || el.textContent?.trim())
+    .filter((name, i, list) => name && name.length < 80 && !name.includes('\n') && list.indexOf(name) === i);
+  
+  return {
+    app: 'meet',
+    title: title || meetCode,
+    meetCode: meetCode,
+    participants: participants,
+    url: window.location.href,
+    key: `meet:${meetCode}`
+  };
+}
+
+registerDetector({
+  name: 'meet',
+  matches: (url) => url.hostname === 'meet.google.com',
+  detect: detectMeetContext
+});
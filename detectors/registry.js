@@ -0,0 +1,50 @@
+﻿/**
+ * Context Detector Registry for DotNCue
+ * Each supported site is a detector module that registers itself here;
+ * content.js asks the registry which detector handles the current page.
+ * Detectors are tested against saved pages in test/fixtures (npm test).
+ */
+
+// Registered detectors, checked in registration (manifest) order
+const contextDetectors = [];
+
+/**
+ * Register a context detector
+ * @param {Object} detector
+ * @param {string} detector.name - Identifier used in logs
+ * @param {function(URL): boolean} detector.matches - Whether this detector handles the URL
+ * @param {function(): Object|null} detector.detect - Build the context object for the page
+ * @param {function(): string} [detector.extractContent] - Page text for AI analysis
+ * @param {function(Object): boolean} [detector.isSettled] - Whether a context detected
+ *   after SPA navigation is final, or detection should wait for the page
+ * @param {string[]} [detector.readyEvents] - Window events that signal the page may
+ *   have settled (DOM mutations are always watched)
+ * @param {function(): string} [detector.watchKey] - Value that changes when the context
+ *   may have changed without a URL change (e.g. a dialog opening, a rename)
+ */
+function registerDetector(detector) {
+  if (!detector || !detector.name || typeof detector.matches !== 'function' ||
+      typeof detector.detect !== 'function') {
+    throw new Error('DotNCue: Detectors need a name, matches() and detect()');
+  }
+  
+  contextDetectors.push(detector);
+}
+
+/**
+ * Find the detector for a URL, or null if the page is unsupported
+ */
+function findDetector(url) {
+  const parsed = new URL(url);
+  return contextDetectors.find(detector => detector.matches(parsed)) || null;
+}
+
+/**
+ * Get the address of the Google account signed in on the page, or ''
+ * Google's account button is labelled "Google Account: <name> (<email>)".
+ */
+function getGoogleAccountEmail() {
+  const label = document.querySelector('[aria-label^="Google Account"]')?.getAttribute('aria-label') || '';
+  const match = label.match(/[^\s()<>]+@[^\s()<>]+/);
+  return match ? match[0].toLowerCase() : '';
+}
@@ -0,0 +1,160 @@
+﻿/**
+ * YouTube Detector for DotNCue
+ * Videos keyed by video ID, other pages by their type
+ */
+
+/**
+ * Detect YouTube context (video title, channel)
+ */
+function detectYouTubeContext() {
+  let title = '';
+  let channel = '';
+  let videoId = '';
+  const url = window.location.href;
+  
+  console.log('DotNCue: detectYouTubeContext called for URL:', url);
+  console.log('DotNCue: Current document.title:', document.title);
+  
+  // Check if we're on the homepage specifically
+  if (url === 'https://www.youtube.com/' || url === 'https://www.youtube.com') {
+    return {
+      app: 'youtube',
+      title: 'Home Page',
+      channel: '',
+      participants: [],
+      url: url,
+      key: 'youtube:Home Page'
+    };
+  }
+  
+  // Check if we're on a video page
+  const isVideoPage = url.includes('watch?v=');
+  
+  if (isVideoPage) {
+    videoId = new URLSearchParams(window.location.search).get('v') || '';
+    
+    // Get video title - Updated selectors for current YouTube structure
+    const titleElement = document.querySelector('h1.ytd-watch-metadata yt-formatted-string') ||
+                         document.querySelector('h1.ytd-video-primary-info-renderer yt-formatted-string') ||
+                         document.querySelector('ytd-watch-metadata h1 yt-formatted-string') ||
+                         document.querySelector('h1.style-scope.ytd-watch-metadata') ||
+                         document.querySelector('h1 yt-formatted-string');
+    
+    if (titleElement) {
+      title = titleElement.textContent?.trim() || '';
+      console.log('DotNCue: Title from DOM element:', title);
+    }
+    
+    // If no title found via selectors, try getting from page title
+    if (!title || title === 'YouTube') {
+      // Force re-read of document.title (don't use cached value)
+      const pageTitle = document.querySelector('title')?.textContent || document.title;
+      console.log('DotNCue: Title from document.title:', pageTitle);
+      
+      // YouTube video titles are in format "Video Title - YouTube"
+      if (pageTitle && pageTitle !== 'YouTube' && !pageTitle.includes('watch?v=')) {
+        title = pageTitle.replace(' - YouTube', '').trim();
+        console.log('DotNCue: Extracted title:', title);
+      }
+    }
+    
+    // Get channel name - Updated selectors
+    const channelElement = document.querySelector('ytd-channel-name#channel-name a') ||
+                          document.querySelector('ytd-video-owner-renderer ytd-channel-name a') ||
+                          document.querySelector('#owner-name a') ||
+                          document.querySelector('ytd-channel-name a');
+    
+    if (channelElement) {
+      channel = channelElement.textContent?.trim() || '';
+    }
+  } else {
+    // For other YouTube pages, determine based on URL path
+    const path = window.location.pathname;
+    
+    if (path.includes('/results')) {
+      // Search results page
+      const query = new URLSearchParams(window.location.search).get('search_query');
+      title = query ? `Search: ${query}` : 'YouTube Search';
+    } else if (path.includes('/channel/') || path.includes('/@')) {
+      // Channel page - try to get channel name
+      const channelNameElement = document.querySelector('ytd-channel-name yt-formatted-string') ||
+                                 document.querySelector('#channel-name yt-formatted-string');
+      if (channelNameElement) {
+        title = channelNameElement.textContent?.trim() || 'YouTube Channel';
+      } else {
+        title = 'YouTube Channel';
+      }
+    } else if (path.includes('/feed/subscriptions')) {
+      title = 'Subscriptions';
+    } else if (path.includes('/feed/trending')) {
+      title = 'Trending';
+    } else if (path.includes('/feed/library')) {
+      title = 'Library';
+    } else if (path.includes('/feed/history')) {
+      title = 'History';
+    } else {
+      // Default for other YouTube pages
+      title = 'YouTube';
+    }
+  }
+  
+  console.log('DotNCue: Final detected title:', title);
+  
+  // Videos are keyed by ID so notes survive title edits; other pages by their title
+  const key = videoId ? `youtube:video:${videoId}` : `youtube:${title}`;
+  
+  return {
+    app: 'youtube',
+    title: title || 'YouTube',
+    channel: channel,
+    participants: channel ? [channel] : [],
+    videoId: videoId,
+    url: url,
+    key: key
+  };
+}
+
+/**
+ * Check whether a YouTube context is final or the page is still loading
+ * (video pages keep the previous video's player and title for a moment after navigating)
+ */
+function isYouTubeContextSettled(context) {
+  if (!context.videoId) return true;
+  
+  // The watch page element switches to the new video once YouTube has navigated
+  const watchElement = document.querySelector('ytd-watch-flexy');
+  if (watchElement && watchElement.getAttribute('video-id') !== context.videoId) {
+    return false;
+  }
+  
+  // Check if we have a real video title (not just default/fallback)
+  const hasRealTitle = context.title &&
+                       context.title !== 'YouTube' &&
+                       context.title !== 'Loading...' &&
+                       context.title.length > 0 &&
+                       !context.title.includes('watch?v=');
+  
+  // The DOM heading can still show the previous video once document.title has moved on
+  const pageTitle = document.title.replace(/^\(\d+\)\s*/, '').replace(' - YouTube', '').trim();
+  const titlesAgree = !pageTitle || pageTitle === 'YouTube' || pageTitle === context.title;
+  
+  console.log('DotNCue: Video page - Title:', context.title, 'Valid:', hasRealTitle, 'Matches page:', titlesAgree);
+  
+  return Boolean(hasRealTitle) && titlesAgree;
+}
+
+registerDetector({
+  name: 'youtube',
+  matches: (url) => url.hostname === 'www.youtube.com',
+  detect: detectYouTubeContext,
+  extractContent: () => {
+    const title = document.querySelector('h1.ytd-video-primary-info-renderer')?.textContent ||
+                  document.querySelector('h1 yt-formatted-string')?.textContent || '';
+    const description = document.querySelector('#description yt-formatted-string')?.textContent || '';
+    return `Title: ${title}\n\nDescription: ${description}`.substring(0, 3000);
+  },
+  isSettled: isYouTubeContextSettled,
+  readyEvents: ['yt-navigate-finish', 'yt-page-data-updated'],
+  // Video titles arrive after the URL changes
+  watchKey: () => window.location.href.includes('watch?v=') ? document.title : ''
+});
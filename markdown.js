@@ -0,0 +1,263 @@
+﻿/**
+ * Markdown Rendering for DotNCue
+ * Sidebar only: turns note text into sanitized HTML. Supports headings, lists,
+ * task lists ("- [ ]" / "- [x]"), links, [[wiki links]], #tags, emphasis,
+ * inline and fenced code, block quotes and rules.
+ *
+ * Rendering escapes the note first, then the generated HTML goes through an
+ * allowlist sanitizer before it reaches the document, so note text can never
+ * inject markup or script.
+ */
+
+// Tags the renderer produces, with the attributes each may keep
+const MARKDOWN_ALLOWED_TAGS = {
+  P: [], BR: [], HR: [], STRONG: [], EM: [], DEL: [], CODE: [], PRE: [], BLOCKQUOTE: [],
+  H1: [], H2: [], H3: [], H4: [], H5: [], H6: [], UL: [], OL: [],
+  LI: ['class'],
+  SPAN: ['class', 'data-tag', 'data-link', 'title'],
+  A: ['href', 'title'],
+  INPUT: ['type', 'checked', 'data-task-index']
+};
+
+// Link targets that are safe to open from the sidebar
+const MARKDOWN_SAFE_URL = /^(https?:|mailto:)/i;
+
+// Matches fence lines, and list items that are tasks: "- [ ] text", "1. [x] text"
+const MARKDOWN_FENCE_LINE = /^\s*```/;
+const MARKDOWN_TASK_LINE = /^(\s*(?:[-*+]|\d+[.)])\s+)\[([ xX])\](?=\s|$)/;
+
+/**
+ * Render Markdown text as a sanitized DocumentFragment
+ */
+function renderMarkdown(text) {
+  return sanitizeHtml(markdownToHtml(text || ''));
+}
+
+/**
+ * Convert Markdown to an HTML string (all note text is escaped)
+ * Task checkboxes are numbered in source order with data-task-index.
+ */
+function markdownToHtml(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let paragraph = [];
+  let list = null; // { type: 'ul' | 'ol', items: [] }
+  let taskIndex = 0;
+  
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      html.push(`<${list.type}>${list.items.join('')}</${list.type}>`);
+      list = null;
+    }
+  };
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    
+    // Fenced code runs to the closing fence (or the end of the note)
+    if (MARKDOWN_FENCE_LINE.test(line)) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      while (i + 1 < lines.length && !MARKDOWN_FENCE_LINE.test(lines[i + 1])) {
+        code.push(lines[++i]);
+      }
+      i++; // Skip the closing fence
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+    
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+    
+    const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+      continue;
+    }
+    
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      flushList();
+      html.push('<hr>');
+      continue;
+    }
+    
+    if (/^\s*>/.test(line)) {
+      flushParagraph();
+      flushList();
+      const quote = [line.replace(/^\s*>\s?/, '')];
+      while (i + 1 < lines.length && /^\s*>/.test(lines[i + 1])) {
+        quote.push(lines[++i].replace(/^\s*>\s?/, ''));
+      }
+      html.push(`<blockquote>${quote.map(renderInlineMarkdown).join('<br>')}</blockquote>`);
+      continue;
+    }
+    
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      flushParagraph();
+      const type = /\d/.test(item[1]) ? 'ol' : 'ul';
+      if (list && list.type !== type) flushList();
+      if (!list) list = { type: type, items: [] };
+      
+      const task = MARKDOWN_TASK_LINE.exec(line);
+      if (task) {
+        const checked = task[2] !== ' ' ? ' checked' : '';
+        const label = line.slice(task[0].length).trim();
+        list.items.push(`<li class="task-item"><input type="checkbox" data-task-index="${taskIndex++}"${checked}> ${renderInlineMarkdown(label)}</li>`);
+      } else {
+        list.items.push(`<li>${renderInlineMarkdown(item[2])}</li>`);
+      }
+      continue;
+    }
+    
+    flushList();
+    paragraph.push(line);
+  }
+  
+  flushParagraph();
+  flushList();
+  return html.join('');
+}
+
+/**
+ * Render inline Markdown (code, links, [[wiki links]], #tags, emphasis) in one line of text
+ */
+function renderInlineMarkdown(text) {
+  // Code spans and links become placeholders so nothing else rewrites them
+  const tokens = [];
+  const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+  
+  let html = escapeHtml(text);
+  
+  html = html.replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`));
+  
+  // [[wiki links]] (see wiki-links.js) are opened by the sidebar, which knows where they go
+  html = html.replace(WIKI_LINK_PATTERN, (match, target, label) => {
+    const text = (label || '').trim() || (getWikiLinkNoteId(target) ? 'linked note' : target.trim());
+    return hold(`<span class="wiki-link" data-link="${target.trim()}" title="${target.trim()}">${text}</span>`);
+  });
+  
+  html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+    return MARKDOWN_SAFE_URL.test(url) ? hold(`<a href="${url}">${label}</a>`) : label;
+  });
+  
+  html = html.replace(/(^|[\s(])(https?:\/\/[^\s<]+[^\s<.,;:!?)])/g, (match, before, url) => {
+    return before + hold(`<a href="${url}">${url}</a>`);
+  });
+  
+  // #tags (see tags.js) become chips
+  html = html.replace(TAG_PATTERN, (match, before, tag) => {
+    return before + hold(`<span class="note-tag" data-tag="${normalizeTag(tag)}">#${tag}</span>`);
+  });
+  
+  html = html
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+    .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+  
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[Number(index)]);
+}
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parse HTML into a DocumentFragment, keeping only allowlisted tags and
+ * attributes; anything else is replaced by its text
+ */
+function sanitizeHtml(html) {
+  const parsed = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const fragment = document.createDocumentFragment();
+  
+  const copy = (node, parent) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      parent.appendChild(document.createTextNode(node.textContent));
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    
+    const allowedAttributes = MARKDOWN_ALLOWED_TAGS[node.tagName];
+    if (!allowedAttributes) {
+      parent.appendChild(document.createTextNode(node.textContent));
+      return;
+    }
+    
+    const element = document.createElement(node.tagName.toLowerCase());
+    allowedAttributes.forEach(name => {
+      if (node.hasAttribute(name)) {
+        element.setAttribute(name, node.getAttribute(name));
+      }
+    });
+    
+    if (node.tagName === 'A') {
+      if (!MARKDOWN_SAFE_URL.test(element.getAttribute('href') || '')) {
+        element.removeAttribute('href');
+      }
+      // Never navigate the sidebar frame itself
+      element.setAttribute('target', '_blank');
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+    if (node.tagName === 'INPUT' && element.getAttribute('type') !== 'checkbox') {
+      return;
+    }
+    
+    node.childNodes.forEach(child => copy(child, element));
+    parent.appendChild(element);
+  };
+  
+  parsed.body.childNodes.forEach(child => copy(child, fragment));
+  return fragment;
+}
+
+/**
+ * Tick or untick the nth task ("- [ ]") in Markdown text, counting tasks the
+ * same way markdownToHtml() numbers them
+ */
+function toggleMarkdownTask(text, taskIndex, checked) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let inFence = false;
+  let count = 0;
+  
+  for (let i = 0; i < lines.length; i++) {
+    if (MARKDOWN_FENCE_LINE.test(lines[i])) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+    
+    const task = MARKDOWN_TASK_LINE.exec(lines[i]);
+    if (!task) continue;
+    
+    if (count++ === taskIndex) {
+      lines[i] = `${task[1]}[${checked ? 'x' : ' '}]${lines[i].slice(task[0].length)}`;
+      break;
+    }
+  }
+  
+  return lines.join('\n');
+}
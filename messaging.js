@@ -0,0 +1,192 @@
+﻿/**
+ * Message Protocol for DotNCue
+ * Shared by the content script and sidebar: a versioned, typed protocol over a
+ * private MessageChannel, with request/response correlation
+ *
+ * Handshake: once the sidebar iframe loads, the content script registers a
+ * one-time token with the service worker, then posts HANDSHAKE (token + a
+ * MessagePort) to the iframe, targeted at the extension's origin so the page
+ * can't read it. The sidebar asks the service worker to verify the token before
+ * accepting the port and replies READY. Everything after that goes over the port.
+ *
+ * Notes, settings and AI calls never go over the port: both sides are clients
+ * of the service worker's broker API (callBackground), content scripts only of
+ * the few actions in CONTENT_API_ACTIONS (see background.js).
+ */
+
+const PROTOCOL_NAME = 'dotncue';
+const PROTOCOL_VERSION = 1;
+
+// Origin of extension pages (the sidebar iframe), e.g. "chrome-extension://<id>"
+const EXTENSION_ORIGIN = new URL(chrome.runtime.getURL('')).origin;
+
+// Default time to wait for a response before rejecting
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Every message type in the protocol
+ */
+const MESSAGE_TYPES = {
+  // Handshake
+  HANDSHAKE: 'HANDSHAKE', // content -> sidebar (window.postMessage, carries the port)
+  READY: 'READY', // sidebar -> content
+  
+  // Content script -> sidebar
+  CONTEXT_UPDATE: 'CONTEXT_UPDATE',
+  FOCUS_NOTE: 'FOCUS_NOTE', // show and highlight a note (opened from a reminder)
+  
+  // Sidebar -> content script
+  SWITCH_SIDE: 'SWITCH_SIDE',
+  CLOSE_SIDEBAR: 'CLOSE_SIDEBAR',
+  GET_PAGE_CONTENT: 'GET_PAGE_CONTENT', // request, responds with page text
+  GET_PLAYBACK_TIME: 'GET_PLAYBACK_TIME', // request, responds with seconds or null
+  SEEK_VIDEO: 'SEEK_VIDEO',
+  
+  // Replies to requests
+  RESPONSE: 'RESPONSE',
+  ERROR: 'ERROR'
+};
+
+/**
+ * Build a protocol message
+ */
+function createMessage(type, payload = {}, extra = {}) {
+  return {
+    protocol: PROTOCOL_NAME,
+    version: PROTOCOL_VERSION,
+    type: type,
+    payload: payload,
+    ...extra
+  };
+}
+
+/**
+ * Check that data is a message in this protocol version with a known type
+ */
+function isProtocolMessage(data) {
+  return Boolean(data) &&
+         data.protocol === PROTOCOL_NAME &&
+         data.version === PROTOCOL_VERSION &&
+         Object.values(MESSAGE_TYPES).includes(data.type);
+}
+
+/**
+ * Wrap a MessagePort in a typed channel
+ * handlers maps message types to functions; for requests, the handler's
+ * return value (or resolved promise) is sent back as the RESPONSE payload.
+ * Unknown or malformed messages are rejected with ERROR (or dropped if they
+ * expect no reply).
+ */
+function createPortChannel(port, handlers) {
+  const pending = new Map(); // request id -> { resolve, reject, timeout }
+  let nextId = 1;
+  
+  const reply = (replyTo, type, payload, error) => {
+    port.postMessage(createMessage(type, payload, error ? { replyTo, error } : { replyTo }));
+  };
+  
+  port.onmessage = async (event) => {
+    const message = event.data;
+    
+    if (!isProtocolMessage(message)) {
+      console.warn('DotNCue: Rejected message outside the protocol', message);
+      if (message && message.id) {
+        reply(message.id, MESSAGE_TYPES.ERROR, {}, 'Unsupported protocol or message type');
+      }
+      return;
+    }
+    
+    // Replies settle the matching request
+    if (message.type === MESSAGE_TYPES.RESPONSE || message.type === MESSAGE_TYPES.ERROR) {
+      const request = pending.get(message.replyTo);
+      if (!request) return;
+      
+      pending.delete(message.replyTo);
+      clearTimeout(request.timeout);
+      if (message.type === MESSAGE_TYPES.ERROR) {
+        request.reject(new Error(message.error || 'Request failed'));
+      } else {
+        request.resolve(message.payload);
+      }
+      return;
+    }
+    
+    const handler = handlers[message.type];
+    if (!handler) {
+      console.warn('DotNCue: No handler for message', message.type);
+      if (message.id) {
+        reply(message.id, MESSAGE_TYPES.ERROR, {}, `Unhandled message type: ${message.type}`);
+      }
+      return;
+    }
+    
+    try {
+      const result = await handler(message.payload || {});
+      if (message.id) {
+        reply(message.id, MESSAGE_TYPES.RESPONSE, result === undefined ? null : result);
+      }
+    } catch (error) {
+      console.error('DotNCue: Message handler failed:', message.type, error);
+      if (message.id) {
+        reply(message.id, MESSAGE_TYPES.ERROR, {}, error.message);
+      }
+    }
+  };
+  
+  return {
+    /**
+     * Send a one-way message
+     */
+    send(type, payload = {}) {
+      port.postMessage(createMessage(type, payload));
+    },
+    
+    /**
+     * Send a request and resolve with the response payload
+     */
+    request(type, payload = {}, timeoutMs = REQUEST_TIMEOUT_MS) {
+      const id = `${Date.now()}-${nextId++}`;
+      
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`Timed out waiting for ${type}`));
+        }, timeoutMs);
+        
+        pending.set(id, { resolve, reject, timeout });
+        port.postMessage(createMessage(type, payload, { id }));
+      });
+    },
+    
+    /**
+     * Close the port and reject outstanding requests
+     */
+    close() {
+      pending.forEach(request => {
+        clearTimeout(request.timeout);
+        request.reject(new Error('Channel closed'));
+      });
+      pending.clear();
+      port.close();
+    }
+  };
+}
+
+/**
+ * Call an action on the service worker's storage/API broker (see background.js)
+ * Resolves with the action's result, rejects with its error (carrying the
+ * error's code, if it has one).
+ */
+async function callBackground(action, params = {}) {
+  const response = await chrome.runtime.sendMessage({ ...params, action: action });
+  
+  if (!response) {
+    throw new Error(`No response to ${action}`);
+  }
+  if (response.error) {
+    const error = new Error(response.error);
+    if (response.code) error.code = response.code;
+    throw error;
+  }
+  return response.result;
+}
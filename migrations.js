@@ -0,0 +1,225 @@
+﻿/**
+ * Storage Schema for DotNCue
+ * Service worker side: the schema version stored alongside the data and the
+ * migrations that bring data written by older versions up to date
+ */
+
+/**
+ * Storage key holding the schema version the stored data is at
+ */
+const SCHEMA_VERSION_KEY = 'schema_version';
+
+/**
+ * Migrations in order; each one upgrades storage from the previous version
+ */
+const MIGRATIONS = [
+  { version: 1, description: 'Drop the unused notes_index', migrate: dropNotesIndex },
+  { version: 2, description: 'Give every note an ID and created/updated times', migrate: addNoteIds },
+  { version: 3, description: 'Re-key title-keyed videos, files and calls by ID', migrate: rekeyTitleContexts },
+  { version: 4, description: 'Move settings out of localStorage', migrate: migrateLegacySettings },
+  { version: 5, description: 'Move notes into IndexedDB', migrate: moveNotesToDatabase }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every migration newer than the stored schema version
+ * The version is saved before the first step and after each one, so an
+ * interrupted run resumes where it stopped (see resumeMigrations).
+ */
+function runMigrations() {
+  return withKeyLock(SCHEMA_VERSION_KEY, async () => {
+    const { [SCHEMA_VERSION_KEY]: storedVersion = 0 } = await chrome.storage.local.get([SCHEMA_VERSION_KEY]);
+    if (storedVersion === 0) {
+      await chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: 0 });
+    }
+    
+    if (storedVersion > SCHEMA_VERSION) {
+      console.warn(`DotNCue: Storage is at v${storedVersion}, newer than this version understands (v${SCHEMA_VERSION})`);
+      return;
+    }
+    
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= storedVersion) continue;
+      
+      console.log(`DotNCue: Migrating storage to v${migration.version}: ${migration.description}`);
+      await migration.migrate();
+      await chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: migration.version });
+    }
+  });
+}
+
+/**
+ * Finish the migrations a service worker started but was stopped before
+ * completing; runs at every service worker start. Storage without a schema
+ * version is a fresh install or predates versioning, which only onInstalled
+ * can tell apart, so that is left to it.
+ */
+async function resumeMigrations() {
+  const { [SCHEMA_VERSION_KEY]: storedVersion } = await chrome.storage.local.get([SCHEMA_VERSION_KEY]);
+  if (storedVersion === undefined || storedVersion >= SCHEMA_VERSION) return;
+  
+  await runMigrations();
+}
+
+/**
+ * Get the note buckets kept in storage.local before v5, as { key: notes[] }
+ */
+async function getLegacyNoteBuckets() {
+  const allData = await chrome.storage.local.get(null);
+  const buckets = {};
+  Object.keys(allData).forEach(key => {
+    if (isNoteBucket(key, allData[key]) && allData[key].length > 0) {
+      buckets[key] = allData[key];
+    }
+  });
+  return buckets;
+}
+
+/**
+ * v1: the installer used to create a notes_index nothing read
+ */
+async function dropNotesIndex() {
+  await chrome.storage.local.remove('notes_index');
+}
+
+/**
+ * v2: notes were bare { text, timestamp, context } objects
+ */
+async function addNoteIds() {
+  const buckets = await getLegacyNoteBuckets();
+  const updates = {};
+  
+  Object.entries(buckets).forEach(([key, notes]) => {
+    updates[key] = notes.map(note => {
+      if (note.id) return note;
+      
+      const { timestamp, ...fields } = note;
+      const createdAt = typeof timestamp === 'number' ? timestamp : Date.now();
+      return { ...fields, id: crypto.randomUUID(), createdAt: createdAt, updatedAt: createdAt };
+    });
+  });
+  
+  await chrome.storage.local.set(updates);
+}
+
+/**
+ * v3: YouTube videos, Docs files and Meet calls used to be keyed by page title
+ * (youtube:<title>, doc:<title>, meet:<title>); move each note to the ID-based
+ * key its saved URL points to. Notes whose URL has no ID stay where they are.
+ */
+async function rekeyTitleContexts() {
+  const buckets = await getLegacyNoteBuckets();
+  const updates = {};
+  const emptied = [];
+  
+  Object.entries(buckets).forEach(([key, notes]) => {
+    const remaining = [];
+    
+    notes.forEach(note => {
+      const newKey = getIdKeyForLegacyNote(key, note);
+      if (!newKey || newKey === key) {
+        remaining.push(note);
+        return;
+      }
+      
+      updates[newKey] = updates[newKey] || [...(buckets[newKey] || [])];
+      updates[newKey].push({ ...note, context: { ...note.context, key: newKey } });
+    });
+    
+    if (remaining.length === notes.length) return;
+    if (remaining.length > 0) {
+      updates[key] = remaining;
+    } else {
+      emptied.push(key);
+    }
+  });
+  
+  Object.values(updates).forEach(notes => notes.sort((a, b) => a.createdAt - b.createdAt));
+  await chrome.storage.local.set(updates);
+  await chrome.storage.local.remove(emptied.filter(key => !updates[key]));
+}
+
+/**
+ * Work out the ID-based key for a note stored under a title-based key, or null
+ */
+function getIdKeyForLegacyNote(key, note) {
+  let url;
+  try {
+    url = new URL(note.context?.url);
+  } catch (e) {
+    return null;
+  }
+  
+  if (key.startsWith('youtube:') && !key.startsWith('youtube:video:')) {
+    const videoId = url.pathname === '/watch' ? url.searchParams.get('v') : null;
+    return videoId ? `youtube:video:${videoId}` : null;
+  }
+  
+  if (key.startsWith('doc:')) {
+    const editorApps = { document: 'docs', spreadsheets: 'sheets', presentation: 'slides', forms: 'forms' };
+    const match = url.pathname.match(/^\/(document|spreadsheets|presentation|forms)\/(?:u\/\d+\/)?d\/(?:e\/)?([a-zA-Z0-9_-]+)/);
+    return match ? `${editorApps[match[1]]}:${match[2]}` : null;
+  }
+  
+  if (key.startsWith('meet:') && url.hostname === 'meet.google.com') {
+    const code = url.pathname.split('/')[1];
+    return /^[a-z]{3}-[a-z]{4}-[a-z]{3}$/.test(code) ? `meet:${code}` : null;
+  }
+  
+  return null;
+}
+
+/**
+ * v4: settings used to live in the sidebar's localStorage (dotncue-settings,
+ * or context-buddy-settings before the rename). The service worker has no
+ * localStorage, so an offscreen document reads and clears them for us.
+ */
+async function migrateLegacySettings() {
+  const url = chrome.runtime.getURL('offscreen.html');
+  const existing = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [url] });
+  if (existing.length === 0) {
+    await chrome.offscreen.createDocument({
+      url: url,
+      reasons: ['LOCAL_STORAGE'],
+      justification: 'Move settings saved by older versions into extension storage'
+    });
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'takeLegacySettings' });
+    if (response?.settings) {
+      await saveSettings(JSON.parse(response.settings));
+    }
+  } catch (error) {
+    // Unreadable legacy settings aren't worth blocking the upgrade for
+    console.error('DotNCue: Could not migrate legacy settings:', error);
+  } finally {
+    await chrome.offscreen.closeDocument();
+  }
+}
+
+/**
+ * v5: notes were kept in storage.local, one entry per context key; copy them
+ * into IndexedDB (see note-db.js), then remove the old entries. Sealed notes
+ * are copied as they are. A note ID already taken gets a new one.
+ */
+async function moveNotesToDatabase() {
+  const buckets = await getLegacyNoteBuckets();
+  const keys = Object.keys(buckets);
+  if (keys.length === 0) return;
+  
+  const seen = new Set();
+  Object.values(buckets).forEach(notes => {
+    notes.forEach((note, i) => {
+      if (seen.has(note.id)) {
+        notes[i] = { ...note, id: crypto.randomUUID() };
+      }
+      seen.add(notes[i].id);
+    });
+  });
+  
+  await writeNoteRecords(buckets);
+  await chrome.storage.local.remove(keys);
+  console.log('DotNCue: Moved', seen.size, 'notes in', keys.length, 'contexts to IndexedDB');
+}
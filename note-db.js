@@ -0,0 +1,438 @@
+﻿/**
+ * Note Database for DotNCue
+ * Service worker side: notes live in IndexedDB, one record per note, with
+ * indexes on context key, app, creation and update time and tags, so lists can
+ * be paged through without reading every note (note-store.js builds the
+ * context bucket API on top; migrations.js moved notes here from storage.local)
+ *
+ * A record is a stored note plus its contextKey, app and indexTags: all of its
+ * tags, written in the text and added as chips (see getNoteTags in tags.js),
+ * for the tags index. While the vault is on a note's text and tags are sealed
+ * with the rest of it (see vault.js), so sealed records have no indexTags and
+ * the tags index only covers unencrypted notes.
+ *
+ * storage.onChanged doesn't see IndexedDB writes, so every write reports the
+ * buckets it changed, as { key: { oldValue, newValue } }, to onNoteChanges()
+ * listeners here and to extension pages as a notesChanged message.
+ *
+ * Deleted notes wait in a second store, the trash (see note-trash.js), as
+ * { ...note, contextKey, deletedAt }.
+ */
+
+const NOTE_DB_NAME = 'dotncue';
+const NOTE_DB_VERSION = 3;
+const NOTE_STORE = 'notes';
+const TRASH_STORE = 'trash';
+
+// Opened on first use
+let noteDbOpen = null;
+
+// Called with the changes of every write
+const noteChangeListeners = [];
+
+/**
+ * Open the notes database, creating the stores and indexes it is missing
+ */
+function openNoteDb() {
+  if (!noteDbOpen) {
+    noteDbOpen = new Promise((resolve, reject) => {
+      const request = indexedDB.open(NOTE_DB_NAME, NOTE_DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(NOTE_STORE, { keyPath: 'id' });
+          store.createIndex('contextKey', 'contextKey');
+          store.createIndex('app', 'app');
+          store.createIndex('app_createdAt', ['app', 'createdAt']);
+          store.createIndex('createdAt', 'createdAt');
+          store.createIndex('updatedAt', 'updatedAt');
+          store.createIndex('tags', 'tags', { multiEntry: true });
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(TRASH_STORE, { keyPath: 'id' }).createIndex('deletedAt', 'deletedAt');
+        }
+        if (event.oldVersion < 3) {
+          // The tags index covered only chip tags; rebuild it over every tag a note has
+          const store = request.transaction.objectStore(NOTE_STORE);
+          store.deleteIndex('tags');
+          store.createIndex('tags', 'indexTags', { multiEntry: true });
+          store.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+            cursor.update(toNoteRecord(cursor.value.contextKey, fromNoteRecord(cursor.value), cursor.value.app));
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        noteDbOpen = null;
+        reject(request.error);
+      };
+    });
+  }
+  return noteDbOpen;
+}
+
+/**
+ * Resolve with an IndexedDB request's result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a task against the notes store (or another store) in one transaction
+ * Resolves with the task's result once the transaction has committed; the
+ * task may only await IndexedDB requests, or the transaction closes early.
+ */
+async function withNoteStore(mode, task, storeName = NOTE_STORE) {
+  const db = await openNoteDb();
+  const transaction = db.transaction(storeName, mode);
+  const committed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Note database transaction aborted'));
+  });
+  
+  let result;
+  try {
+    result = await task(transaction.objectStore(storeName));
+  } catch (error) {
+    try {
+      transaction.abort();
+    } catch (e) {
+      // Already finished
+    }
+    committed.catch(() => {});
+    throw error;
+  }
+  
+  await committed;
+  return result;
+}
+
+/**
+ * Get the app a note belongs to, for the app index
+ */
+function getNoteApp(key, note) {
+  return note.context?.app || key.split(':')[0];
+}
+
+/**
+ * Make the record stored for a note (see the top of this file)
+ */
+function toNoteRecord(key, note, app) {
+  return { ...note, contextKey: key, app: app, ...(note.sealed ? {} : { indexTags: getNoteTags(note) }) };
+}
+
+/**
+ * Strip a record back to the stored note
+ */
+function fromNoteRecord(record) {
+  const { contextKey, app, indexTags, ...note } = record;
+  return note;
+}
+
+/**
+ * Read the records of the given context keys (every record, without keys),
+ * as { key: records[] } with each bucket oldest first
+ */
+function readNoteRecords(keys = null) {
+  return withNoteStore('readonly', async store => {
+    let records;
+    if (keys) {
+      const index = store.index('contextKey');
+      records = (await Promise.all(keys.map(key => requestToPromise(index.getAll(key))))).flat();
+    } else {
+      records = await requestToPromise(store.getAll());
+    }
+    
+    const buckets = {};
+    (keys || []).forEach(key => {
+      buckets[key] = [];
+    });
+    records.forEach(record => {
+      (buckets[record.contextKey] = buckets[record.contextKey] || []).push(record);
+    });
+    Object.values(buckets).forEach(bucket => bucket.sort((a, b) => a.createdAt - b.createdAt));
+    return buckets;
+  });
+}
+
+/**
+ * Replace the notes of context buckets ({ key: notes[] }, [] to empty one)
+ * and report the changes. A note may move between buckets in the same write.
+ * Notes may already be sealed; apps maps note IDs to their app where the
+ * caller knows it (sealed notes keep the one they were stored with).
+ */
+async function writeNoteRecords(buckets, apps = new Map()) {
+  const keys = Object.keys(buckets);
+  if (keys.length === 0) return;
+  
+  const changes = await withNoteStore('readwrite', async store => {
+    const index = store.index('contextKey');
+    const previous = await Promise.all(keys.map(key => requestToPromise(index.getAll(key))));
+    const previousApps = new Map(previous.flat().map(record => [record.id, record.app]));
+    const keptIds = new Set(Object.values(buckets).flat().map(note => note.id));
+    
+    previous.flat().forEach(record => {
+      if (!keptIds.has(record.id)) store.delete(record.id);
+    });
+    
+    const result = {};
+    keys.forEach((key, i) => {
+      buckets[key].forEach(note => {
+        const app = apps.get(note.id) || previousApps.get(note.id) || getNoteApp(key, note);
+        store.put(toNoteRecord(key, note, app));
+      });
+      
+      const oldValue = previous[i].map(fromNoteRecord).sort((a, b) => a.createdAt - b.createdAt);
+      const newValue = [...buckets[key]].sort((a, b) => a.createdAt - b.createdAt);
+      result[key] = {
+        oldValue: oldValue.length > 0 ? oldValue : undefined,
+        newValue: newValue.length > 0 ? newValue : undefined
+      };
+    });
+    return result;
+  });
+  
+  notifyNoteChanges(changes);
+}
+
+/**
+ * Page through records, newest or oldest first, for one app and/or tag
+ * Resolves with { records, total, apps, tags }: the page, how many records
+ * match in all, and how many apps and tags those span.
+ */
+function queryNoteRecords({ app = null, tag = null, order = 'newest', offset = 0, limit = Infinity }) {
+  return withNoteStore('readonly', async store => {
+    const newestFirst = order !== 'oldest';
+    
+    // One tag's notes are few enough to sort here
+    if (tag) {
+      const matches = (await requestToPromise(store.index('tags').getAll(tag)))
+        .filter(record => !app || record.app === app)
+        .sort((a, b) => newestFirst ? b.createdAt - a.createdAt : a.createdAt - b.createdAt);
+      return {
+        records: matches.slice(offset, offset + limit),
+        total: matches.length,
+        apps: new Set(matches.map(record => record.app)).size,
+        tags: new Set(matches.flatMap(record => record.indexTags || [])).size
+      };
+    }
+    
+    const index = app ? store.index('app_createdAt') : store.index('createdAt');
+    const range = app ? IDBKeyRange.bound([app, -Infinity], [app, Infinity]) : null;
+    const total = await requestToPromise(index.count(range));
+    const records = await readCursorPage(index.openCursor(range, newestFirst ? 'prev' : 'next'), offset, limit);
+    
+    let apps;
+    let tags;
+    if (app) {
+      apps = total > 0 ? 1 : 0;
+      tags = (await readDistinctTags(store.index('app').openCursor(app))).size;
+    } else {
+      apps = (await readIndexKeys(store.index('app'))).length;
+      tags = (await readIndexKeys(store.index('tags'))).length;
+    }
+    
+    return { records: records, total: total, apps: apps, tags: tags };
+  });
+}
+
+/**
+ * Collect one page of a cursor's values
+ */
+function readCursorPage(request, offset, limit) {
+  return new Promise((resolve, reject) => {
+    const records = [];
+    let skipped = offset === 0;
+    
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || records.length >= limit) {
+        resolve(records);
+      } else if (!skipped) {
+        skipped = true;
+        cursor.advance(offset);
+      } else {
+        records.push(cursor.value);
+        cursor.continue();
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Collect the tags of every record a cursor visits
+ */
+function readDistinctTags(request) {
+  return new Promise((resolve, reject) => {
+    const tags = new Set();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(tags);
+        return;
+      }
+      (cursor.value.indexTags || []).forEach(tag => tags.add(tag));
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * List an index's distinct keys without reading records
+ */
+function readIndexKeys(index) {
+  return new Promise((resolve, reject) => {
+    const keys = [];
+    const request = index.openKeyCursor(null, 'nextunique');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(keys);
+        return;
+      }
+      keys.push(cursor.key);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Count the records under each key of an index without reading them: Map(key -> count)
+ */
+function readIndexCounts(index) {
+  return new Promise((resolve, reject) => {
+    const counts = new Map();
+    const request = index.openKeyCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(counts);
+        return;
+      }
+      counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Count the unsealed notes using each tag, from the tags index: Map(tag -> count)
+ */
+function countNoteTags() {
+  return withNoteStore('readonly', store => readIndexCounts(store.index('tags')));
+}
+
+/**
+ * Count the notes stored under each context key, from the contextKey index: Map(key -> count)
+ */
+function countNotesByContext() {
+  return withNoteStore('readonly', store => readIndexCounts(store.index('contextKey')));
+}
+
+/**
+ * List the context keys that have notes
+ */
+function listNoteKeys() {
+  return withNoteStore('readonly', store => readIndexKeys(store.index('contextKey')));
+}
+
+/**
+ * Count the notes stored under each of the given context keys: { key: count }
+ */
+function countNotesForKeys(keys) {
+  return withNoteStore('readonly', async store => {
+    const index = store.index('contextKey');
+    const counts = await Promise.all(keys.map(key => requestToPromise(index.count(key))));
+    return Object.fromEntries(keys.map((key, i) => [key, counts[i]]));
+  });
+}
+
+/**
+ * Report how much storage DotNCue uses: { usage, quota, notes, contexts }
+ * (usage and quota in bytes, across IndexedDB and extension storage)
+ */
+async function getStorageUsage() {
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  const notes = await withNoteStore('readonly', store => requestToPromise(store.count()));
+  const contexts = (await listNoteKeys()).length;
+  return { usage: usage, quota: quota, notes: notes, contexts: contexts };
+}
+
+/**
+ * Read every note in the trash, as records
+ */
+function readTrashRecords() {
+  return withNoteStore('readonly', store => requestToPromise(store.getAll()), TRASH_STORE);
+}
+
+/**
+ * Read one note in the trash, or undefined
+ */
+function readTrashRecord(id) {
+  return withNoteStore('readonly', store => requestToPromise(store.get(id)), TRASH_STORE);
+}
+
+/**
+ * Put records into the trash, replacing any with the same IDs
+ */
+function writeTrashRecords(records) {
+  return withNoteStore('readwrite', async store => {
+    records.forEach(record => store.put(record));
+  }, TRASH_STORE);
+}
+
+/**
+ * Remove notes from the trash for good: the given IDs, or everything
+ * deleted before a time ({ before }), or with neither, the whole trash.
+ * Resolves with how many were removed.
+ */
+function deleteTrashRecords({ ids = null, before = null } = {}) {
+  return withNoteStore('readwrite', async store => {
+    let keys;
+    if (ids) {
+      keys = ids;
+    } else if (before !== null) {
+      keys = await requestToPromise(store.index('deletedAt').getAllKeys(IDBKeyRange.upperBound(before, true)));
+    } else {
+      keys = await requestToPromise(store.getAllKeys());
+    }
+    
+    keys.forEach(key => store.delete(key));
+    return keys.length;
+  }, TRASH_STORE);
+}
+
+/**
+ * Call a listener with the changes of every note write
+ */
+function onNoteChanges(listener) {
+  noteChangeListeners.push(listener);
+}
+
+/**
+ * Report note changes to listeners here and to open sidebars
+ */
+function notifyNoteChanges(changes) {
+  noteChangeListeners.forEach(listener => {
+    try {
+      listener(changes);
+    } catch (error) {
+      console.error('DotNCue: Note change listener failed:', error);
+    }
+  });
+  
+  // Rejects when no sidebar is open to hear it
+  chrome.runtime.sendMessage({ action: 'notesChanged', keys: Object.keys(changes) }).catch(() => {});
+}
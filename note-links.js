@@ -0,0 +1,258 @@
+﻿/**
+ * Note Links for DotNCue
+ * Service worker side: resolves the [[links]] in note text (see wiki-links.js)
+ * to the context or note they point at, and finds the notes that link to a
+ * context (its backlinks). Context links follow the user's merges and
+ * renames (see context-manager.js), so they keep working after a tidy-up.
+ *
+ * Like the search index (see note-search.js), the link index is built on first
+ * use after the service worker starts and then kept current from note writes
+ * (onNoteChanges, see note-db.js), re-indexing only the buckets that changed.
+ * It holds each context's title, the context of every note ID, and the notes
+ * with links, by what they link to.
+ */
+
+// Built on first use: see getLinkIndex()
+let linkIndex = null;
+let linkIndexBuild = null;
+
+// Index being built, which records buckets that change meanwhile
+let pendingLinkIndex = null;
+
+// Tail of the queue of note changes being indexed
+let linkIndexUpdates = Promise.resolve();
+
+/**
+ * Get the link index, building it from storage the first time
+ */
+function getLinkIndex() {
+  if (linkIndex) return Promise.resolve(linkIndex);
+  
+  if (!linkIndexBuild) {
+    linkIndexBuild = buildLinkIndex().then(index => {
+      // Kept unless it was reset (the vault locked) while being built
+      if (!index.discarded) linkIndex = index;
+      return index;
+    }).finally(() => {
+      linkIndexBuild = null;
+    });
+  }
+  return linkIndexBuild;
+}
+
+/**
+ * Get the link index once the note changes reported so far are in it
+ */
+async function getCurrentLinkIndex() {
+  await getLinkIndex();
+  await linkIndexUpdates;
+  return getLinkIndex();
+}
+
+/**
+ * Index the links in every note in storage
+ * Buckets that change while the index is being built are re-read afterwards.
+ */
+async function buildLinkIndex() {
+  const index = {
+    contexts: new Map(), // context key -> { app, title, updatedAt, noteIds }
+    noteKeys: new Map(), // note ID -> context key
+    linking: new Map(), // context key -> { notes: [{ note, links }], targets }
+    targets: new Map(), // normalized link target -> context keys with notes linking to it
+    changedKeys: new Set(),
+    discarded: false
+  };
+  pendingLinkIndex = index;
+  
+  try {
+    const buckets = await getAllNoteBuckets();
+    Object.entries(buckets).forEach(([key, notes]) => indexLinkBucket(index, key, notes));
+    
+    while (index.changedKeys.size > 0) {
+      const keys = [...index.changedKeys];
+      index.changedKeys.clear();
+      const notesByKey = await getNotesForKeys(keys);
+      keys.forEach(key => indexLinkBucket(index, key, notesByKey[key]));
+    }
+  } finally {
+    pendingLinkIndex = null;
+  }
+  
+  return index;
+}
+
+/**
+ * Re-index the note buckets in a change, decrypting sealed notes first; if
+ * that fails the index is dropped and rebuilt on next use
+ */
+function updateLinkIndex(changes) {
+  Object.entries(changes).forEach(([key, change]) => {
+    if (!key.includes(':')) return;
+    
+    if (linkIndex) {
+      const index = linkIndex;
+      const notes = Array.isArray(change.newValue) ? change.newValue : [];
+      linkIndexUpdates = linkIndexUpdates
+        .then(() => openNotes(notes))
+        .then(opened => indexLinkBucket(index, key, opened))
+        .catch(() => {
+          if (linkIndex === index) linkIndex = null;
+        });
+    } else if (pendingLinkIndex) {
+      pendingLinkIndex.changedKeys.add(key);
+    }
+  });
+}
+
+/**
+ * Drop the index (it is rebuilt on next use)
+ */
+function resetLinkIndex() {
+  linkIndex = null;
+  if (pendingLinkIndex) pendingLinkIndex.discarded = true;
+}
+
+/**
+ * Replace the index entries for one context's notes
+ */
+function indexLinkBucket(index, key, notes) {
+  const previous = index.contexts.get(key);
+  if (previous) {
+    previous.noteIds.forEach(noteId => {
+      if (index.noteKeys.get(noteId) === key) index.noteKeys.delete(noteId);
+    });
+    index.contexts.delete(key);
+  }
+  (index.linking.get(key)?.targets || []).forEach(target => {
+    const keys = index.targets.get(target);
+    keys.delete(key);
+    if (keys.size === 0) index.targets.delete(target);
+  });
+  index.linking.delete(key);
+  
+  if (!Array.isArray(notes) || notes.length === 0) return;
+  
+  const { app, title } = describeNoteBucket(key, notes);
+  index.contexts.set(key, {
+    app: app,
+    title: title,
+    updatedAt: Math.max(...notes.map(note => note.updatedAt || note.createdAt)),
+    noteIds: notes.map(note => note.id)
+  });
+  notes.forEach(note => index.noteKeys.set(note.id, key));
+  
+  const linkingNotes = notes
+    .map(note => ({ note: note, links: parseWikiLinks(note.text) }))
+    .filter(({ links }) => links.length > 0);
+  if (linkingNotes.length === 0) return;
+  
+  const targets = new Set(linkingNotes.flatMap(({ links }) => links.map(link => normalizeWikiTarget(link.target))));
+  targets.forEach(target => {
+    if (!index.targets.has(target)) index.targets.set(target, new Set());
+    index.targets.get(target).add(key);
+  });
+  index.linking.set(key, { notes: linkingNotes, targets: targets });
+}
+
+/**
+ * Get the title a context is shown with: the user's name for it, else the stored one
+ */
+function getLinkTitle(index, key, names) {
+  return names[key] || index.contexts.get(key).title;
+}
+
+/**
+ * Find the context a link target names: a key (or an alias of one), else the
+ * most recently updated context with that title
+ */
+async function findLinkedContext(index, target) {
+  const key = followContextAlias(await getContextAliases(), target.trim());
+  if (index.contexts.has(key)) return key;
+  
+  const names = await getContextNames();
+  const wanted = normalizeWikiTarget(target);
+  let found = null;
+  let foundAt = -1;
+  
+  index.contexts.forEach(({ updatedAt }, contextKey) => {
+    if (normalizeWikiTarget(getLinkTitle(index, contextKey, names)) !== wanted) return;
+    
+    if (updatedAt > foundAt) {
+      found = contextKey;
+      foundAt = updatedAt;
+    }
+  });
+  
+  return found;
+}
+
+/**
+ * Resolve a link target to { key, noteId, url }, or null when nothing matches
+ * A note link gives the note and the page it was written on; a context link
+ * gives the context's latest note and the last page seen for it.
+ */
+async function resolveWikiLink(target) {
+  const index = await getCurrentLinkIndex();
+  
+  const noteId = getWikiLinkNoteId(target);
+  if (noteId) {
+    const key = index.noteKeys.get(noteId);
+    if (!key) return null;
+    
+    const note = (await getNotes(key)).find(n => n.id === noteId);
+    return note ? { key: key, noteId: noteId, url: note.context?.url || null } : null;
+  }
+  
+  const key = await findLinkedContext(index, String(target || ''));
+  if (!key) return null;
+  
+  const notes = await getNotes(key);
+  if (notes.length === 0) return null;
+  
+  const withUrl = [...notes].reverse().find(note => note.context?.url);
+  return { key: key, noteId: notes[notes.length - 1].id, url: withUrl ? withUrl.context.url : null };
+}
+
+/**
+ * List the notes in other contexts that link to a context or one of its
+ * notes, newest first, shaped like listAllNotes() entries
+ * title is the page's own title, when it differs from the stored one.
+ */
+async function listBacklinks(key, title = '') {
+  const index = await getCurrentLinkIndex();
+  const aliases = await getContextAliases();
+  const names = await getContextNames();
+  const own = index.contexts.get(key);
+  
+  const titles = new Set([title, names[key], own ? own.title : '']
+    .filter(Boolean)
+    .map(normalizeWikiTarget));
+  const noteIds = new Set(own ? own.noteIds : []);
+  
+  const linksHere = ({ target }) => {
+    const noteId = getWikiLinkNoteId(target);
+    if (noteId) return noteIds.has(noteId);
+    return followContextAlias(aliases, target) === key || titles.has(normalizeWikiTarget(target));
+  };
+  
+  // Only contexts with a link to one of the names this context goes by can link here
+  const candidates = [key, ...Object.keys(aliases).filter(alias => followContextAlias(aliases, alias) === key)]
+    .map(normalizeWikiTarget)
+    .concat([...titles], [...noteIds].map(noteId => normalizeWikiTarget(`${WIKI_NOTE_PREFIX}${noteId}`)));
+  const linkingKeys = new Set(candidates.flatMap(target => [...(index.targets.get(target) || [])]));
+  
+  const backlinks = [];
+  linkingKeys.forEach(linkingKey => {
+    if (linkingKey === key) return;
+    
+    const { app } = index.contexts.get(linkingKey);
+    const contextTitle = getLinkTitle(index, linkingKey, names);
+    index.linking.get(linkingKey).notes.forEach(({ note, links }) => {
+      if (links.some(linksHere)) {
+        backlinks.push({ ...note, app: app, contextTitle: contextTitle, contextKey: linkingKey });
+      }
+    });
+  });
+  
+  return backlinks.sort((a, b) => b.createdAt - a.createdAt);
+}
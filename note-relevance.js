@@ -0,0 +1,220 @@
+﻿/**
+ * Related Notes for DotNCue
+ * Service worker side: ranks the notes in other contexts by how related they
+ * are to the context open in the sidebar.
+ *
+ * The open context is described by its title and its notes; every other note
+ * by its text, tags and its context's title. Words are weighted by TF-IDF over
+ * all notes, leaving out RELATED_STOPWORDS, and a note scores the cosine
+ * similarity of its weights with the open context's (damped when they have
+ * only a word or two in common), plus a bonus for each participant (or
+ * sender, or channel) their contexts share. The user's own accounts take part
+ * in everything, so they don't count. Notes scoring below
+ * settings.relatedThreshold aren't shown.
+ *
+ * Nothing is read from storage: the notes, and how many of them use each word,
+ * come from the search index (see note-search.js), whose postings also narrow
+ * the notes scored down to those sharing a word or participant with the context.
+ */
+
+// Words too common to say anything about what a note is about
+const RELATED_STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'done', 'down', 'during', 'each', 'even', 'ever',
+  'few', 'for', 'from', 'further', 'get', 'gets', 'got', 'had', 'has', 'have', 'having', 'he', 'her',
+  'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'itself', 'just', 'let', 'like', 'made', 'make', 'many', 'may', 'me', 'might', 'more',
+  'most', 'much', 'must', 'my', 'myself', 'need', 'new', 'no', 'nor', 'not', 'now', 'of', 'off',
+  'ok', 'okay', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out',
+  'over', 'own', 'per', 'please', 're', 'really', 'same', 'see', 'she', 'should', 'so', 'some',
+  'still', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there',
+  'these', 'they', 'thing', 'things', 'this', 'those', 'through', 'to', 'too', 'under', 'until',
+  'up', 'us', 'use', 'used', 'very', 'via', 'was', 'way', 'we', 'well', 'were', 'what', 'when',
+  'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'yes', 'yet', 'you',
+  'your', 'yours', 'yourself', 'yourselves',
+  // Contractions, split at the apostrophe
+  'don', 'didn', 'doesn', 'isn', 'wasn', 'll', 've',
+  // Noise from titles, replies and pasted links
+  'fw', 'fwd', 'untitled', 'http', 'https', 'www', 'com', 'html'
+]);
+
+// How much a context's title counts towards each of its notes, against its text
+const RELATED_TITLE_WEIGHT = 3;
+
+// Added to the score for each participant two contexts share (at most three count)
+const RELATED_PARTICIPANT_WEIGHT = 0.25;
+const RELATED_MAX_SHARED_PARTICIPANTS = 3;
+
+// Default settings.relatedThreshold: notes scoring below it aren't related
+const RELATED_DEFAULT_THRESHOLD = 0.15;
+
+// How many related notes to show
+const RELATED_NOTES_LIMIT = 5;
+
+// How many shared words to give as the reason for a score
+const RELATED_REASON_WORDS = 3;
+
+/**
+ * Split text into the words that count for relatedness
+ */
+function tokenizeRelatedText(text) {
+  return tokenizeSearchText(text).filter(word => word.length > 1 && !RELATED_STOPWORDS.has(word));
+}
+
+/**
+ * Count the words in a note's text and tags and its context's title: Map(word -> count)
+ */
+function countRelatedWords(title, texts) {
+  const counts = new Map();
+  const add = (word, count) => counts.set(word, (counts.get(word) || 0) + count);
+  
+  tokenizeRelatedText(title).forEach(word => add(word, RELATED_TITLE_WEIGHT));
+  texts.forEach(text => tokenizeRelatedText(text).forEach(word => add(word, 1)));
+  return counts;
+}
+
+/**
+ * Get the people (or channel) a context is about, lowercased, leaving out the
+ * user's own accounts
+ */
+function getContextParticipants(key, notes, accounts) {
+  const participants = new Set();
+  const add = (identity) => {
+    const value = String(identity || '').trim().toLowerCase();
+    if (value && !accounts.has(value)) participants.add(value);
+  };
+  
+  if (key.startsWith('person:')) {
+    add(key.slice('person:'.length));
+  }
+  notes.forEach(note => {
+    [...(note.context?.participants || []), note.context?.sender].forEach(add);
+  });
+  return participants;
+}
+
+/**
+ * Weigh word counts by inverse document frequency: Map(word -> weight), with its length
+ */
+function weighRelatedWords(counts, idf) {
+  const weights = new Map();
+  let sum = 0;
+  counts.forEach((count, word) => {
+    const weight = (1 + Math.log(count)) * (idf.get(word) || 0);
+    weights.set(word, weight);
+    sum += weight * weight;
+  });
+  return { weights: weights, length: Math.sqrt(sum) };
+}
+
+/**
+ * Find the notes in other contexts most related to a context
+ * context: { key, title, app, participants, account? }; excludeKeys are contexts shown
+ * elsewhere (the context itself, its people). Resolves with up to
+ * RELATED_NOTES_LIMIT notes, most related first, each with its app, context
+ * title and key and relevance: { score, reasons } (reasons: why it matched,
+ * e.g. "shared participant: alice@example.com").
+ */
+async function findRelatedNotes(context, excludeKeys = []) {
+  if (!context) return [];
+  
+  const index = await getCurrentSearchIndex();
+  const { relatedThreshold } = await getSettings();
+  const threshold = typeof relatedThreshold === 'number' ? relatedThreshold : RELATED_DEFAULT_THRESHOLD;
+  const bucketNotes = (key) => (index.bucketDocs.get(key) || []).map(docId => index.docs.get(docId));
+  
+  const own = bucketNotes(context.key).map(doc => doc.note);
+  const query = countRelatedWords(context.title || '', own.map(note => note.text));
+  
+  // Only contexts with a word or a participant in common can score
+  const identities = [context.sender, ...(context.participants || [])];
+  own.forEach(note => identities.push(note.context?.sender, ...(note.context?.participants || [])));
+  const candidateKeys = new Set();
+  const addPosting = (word) => index.postings.get(word)?.forEach((count, docId) => candidateKeys.add(index.docs.get(docId).key));
+  query.forEach((count, word) => addPosting(word));
+  identities.filter(Boolean).forEach(identity => {
+    tokenizeSearchText(identity).forEach(addPosting);
+    candidateKeys.add(getPersonKey(String(identity)));
+  });
+  [context.key, ...excludeKeys].forEach(key => candidateKeys.delete(key));
+  
+  const candidates = [...candidateKeys]
+    .map(key => ({ key: key, docs: bucketNotes(key) }))
+    .filter(({ docs }) => docs.length > 0);
+  
+  // Accounts stored with notes count too (say, notes synced from another device)
+  const accounts = new Set(await getOwnAccounts());
+  if (context.account) accounts.add(context.account);
+  [own, ...candidates.map(({ docs }) => docs.map(doc => doc.note))].forEach(notes => notes.forEach(note => {
+    if (note.context?.account) accounts.add(note.context.account);
+  }));
+  
+  const ownParticipants = getContextParticipants(context.key, own, accounts);
+  getContextParticipants('', [{ context: context }], accounts).forEach(identity => ownParticipants.add(identity));
+  
+  const documents = [];
+  candidates.forEach(({ key, docs }) => {
+    const participants = getContextParticipants(key, docs.map(doc => doc.note), accounts);
+    docs.forEach(({ note, app, contextTitle }) => {
+      documents.push({
+        note: { ...note, app: app, contextTitle: contextTitle, contextKey: key },
+        counts: countRelatedWords(contextTitle, [note.text, ...(note.tags || [])]),
+        participants: participants
+      });
+    });
+  });
+  if (documents.length === 0) return [];
+  
+  // Document frequencies from the search index, with the open context as one more document
+  const total = index.docs.size + 1;
+  const idf = new Map();
+  [query, ...documents.map(doc => doc.counts)].forEach(counts => {
+    counts.forEach((count, word) => {
+      if (idf.has(word)) return;
+      const frequency = (index.postings.get(word)?.size || 0) + (query.has(word) ? 1 : 0);
+      idf.set(word, Math.log((total + 1) / (frequency + 1)) + 1);
+    });
+  });
+  
+  const queryVector = weighRelatedWords(query, idf);
+  const participantLabel = PEOPLE_APPS.includes(context.app) || context.key.startsWith('person:') ? 'participant' : 'channel';
+  
+  const related = [];
+  documents.forEach(({ note, counts, participants }) => {
+    const vector = weighRelatedWords(counts, idf);
+    
+    const shared = [];
+    if (queryVector.length > 0 && vector.length > 0) {
+      vector.weights.forEach((weight, word) => {
+        if (queryVector.weights.has(word)) {
+          shared.push({ word: word, score: weight * queryVector.weights.get(word) / (vector.length * queryVector.length) });
+        }
+      });
+    }
+    // One word in common is weak evidence ("tutorial"), several are strong
+    const cosine = shared.reduce((sum, { score }) => sum + score, 0);
+    const similarity = cosine * shared.length / (shared.length + 1);
+    
+    const sharedParticipants = [...participants].filter(identity => ownParticipants.has(identity));
+    const bonus = Math.min(sharedParticipants.length, RELATED_MAX_SHARED_PARTICIPANTS) * RELATED_PARTICIPANT_WEIGHT;
+    
+    const score = Math.min(1, similarity + bonus);
+    if (score <= 0 || score < threshold) return;
+    
+    const reasons = [];
+    if (sharedParticipants.length > 0) {
+      reasons.push(`shared ${participantLabel}${sharedParticipants.length > 1 ? 's' : ''}: ${sharedParticipants.join(', ')}`);
+    }
+    if (shared.length > 0) {
+      const words = shared.sort((a, b) => b.score - a.score).slice(0, RELATED_REASON_WORDS).map(({ word }) => word);
+      reasons.push(`shared word${words.length > 1 ? 's' : ''}: ${words.join(', ')}`);
+    }
+    
+    related.push({ ...note, relevance: { score: score, reasons: reasons } });
+  });
+  
+  return related
+    .sort((a, b) => b.relevance.score - a.relevance.score || b.createdAt - a.createdAt)
+    .slice(0, RELATED_NOTES_LIMIT);
+}
@@ -0,0 +1,408 @@
+﻿/**
+ * Note Search for DotNCue
+ * Service worker side: full-text search over every note's text, context title,
+ * participants and tags, ranked by relevance and recency
+ *
+ * The inverted index is built on the first search after the service worker
+ * starts and then kept current from note writes (onNoteChanges, see note-db.js),
+ * re-indexing only the context buckets that changed. A context is indexed under
+ * the name the user gave it (see context-manager.js), if any, so renames are
+ * re-indexed too (retitleSearchIndex).
+ *
+ * Queries are words (matched as prefixes), "quoted phrases" and the operators
+ * app:<app>, tag:<tag> (or #tag), before:<YYYY-MM-DD> and after:<YYYY-MM-DD>.
+ */
+
+// How much a match in each field counts towards a note's score
+const SEARCH_FIELD_WEIGHTS = { title: 3, tags: 3, participants: 2, text: 1 };
+
+// A word matching only the start of a longer word counts this much
+const SEARCH_PREFIX_WEIGHT = 0.6;
+
+// BM25 term-frequency saturation
+const SEARCH_K1 = 1.2;
+
+// Age (in days) at which a note's recency boost has halved
+const SEARCH_RECENCY_DAYS = 30;
+
+const SEARCH_DEFAULT_LIMIT = 200;
+
+// Built on first use: see getSearchIndex()
+let searchIndex = null;
+let searchIndexBuild = null;
+
+// Index being built, which records buckets that change meanwhile
+let pendingSearchIndex = null;
+
+// Tail of the queue of storage changes being indexed
+let searchIndexUpdates = Promise.resolve();
+
+/**
+ * Lowercase text and strip accents, so "Café" matches "cafe"
+ */
+function normalizeSearchText(text) {
+  return String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized words
+ */
+function tokenizeSearchText(text) {
+  return normalizeSearchText(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Parse a search query into words, phrases and operator filters
+ * Operators with a value that doesn't parse are searched as plain words.
+ */
+function parseSearchQuery(query) {
+  const parsed = { terms: [], phrases: [], apps: [], tags: [], before: null, after: null };
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+  
+  while ((match = pattern.exec(query || '')) !== null) {
+    if (match[1] !== undefined) {
+      const words = tokenizeSearchText(match[1]);
+      if (words.length > 1) {
+        parsed.phrases.push(words);
+      } else if (words.length === 1) {
+        parsed.terms.push(words[0]);
+      }
+      continue;
+    }
+    
+    const word = match[2];
+    const operator = word.match(/^(app|tag|before|after):(.+)$/i);
+    const name = operator ? operator[1].toLowerCase() : null;
+    
+    if (name === 'app') {
+      parsed.apps.push(operator[2].toLowerCase());
+    } else if (name === 'tag' || /^#[\p{L}\p{N}_-]+$/u.test(word)) {
+      parsed.tags.push(normalizeTag(name === 'tag' ? operator[2] : word));
+    } else if ((name === 'before' || name === 'after') && parseSearchDate(operator[2]) !== null) {
+      const day = parseSearchDate(operator[2]);
+      // before: is earlier than that day, after: is later than that day
+      parsed[name] = name === 'before' ? day : day + 24 * 60 * 60 * 1000;
+    } else {
+      parsed.terms.push(...tokenizeSearchText(word));
+    }
+  }
+  
+  return parsed;
+}
+
+/**
+ * Parse YYYY-MM-DD as the start of that day in local time (null if invalid)
+ */
+function parseSearchDate(value) {
+  const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!match) return null;
+  
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? date.getTime() : null;
+}
+
+/**
+ * Get the search index, building it from storage the first time
+ */
+function getSearchIndex() {
+  if (searchIndex) return Promise.resolve(searchIndex);
+  
+  if (!searchIndexBuild) {
+    searchIndexBuild = buildSearchIndex().then(index => {
+      // Kept unless it was reset (the vault locked) while being built
+      if (!index.discarded) searchIndex = index;
+      return index;
+    }).finally(() => {
+      searchIndexBuild = null;
+    });
+  }
+  return searchIndexBuild;
+}
+
+/**
+ * Get the search index once the note changes reported so far are in it
+ */
+async function getCurrentSearchIndex() {
+  await getSearchIndex();
+  await searchIndexUpdates;
+  return getSearchIndex();
+}
+
+/**
+ * Index every note in storage
+ * Buckets that change while the index is being built are re-read afterwards.
+ */
+async function buildSearchIndex() {
+  const index = {
+    docs: new Map(), // doc ID -> { note, key, app, contextTitle, tokens, phraseText }
+    postings: new Map(), // word -> Map(doc ID -> weighted count)
+    bucketDocs: new Map(), // context key -> doc IDs
+    changedKeys: new Set(),
+    discarded: false
+  };
+  pendingSearchIndex = index;
+  
+  try {
+    const buckets = await getAllNoteBuckets();
+    const names = await getContextNames();
+    Object.entries(buckets).forEach(([key, notes]) => indexBucket(index, key, notes, names));
+    
+    while (index.changedKeys.size > 0) {
+      const keys = [...index.changedKeys];
+      index.changedKeys.clear();
+      const notesByKey = await getNotesForKeys(keys);
+      const currentNames = await getContextNames();
+      keys.forEach(key => indexBucket(index, key, notesByKey[key], currentNames));
+    }
+  } finally {
+    pendingSearchIndex = null;
+  }
+  
+  console.log('DotNCue: Indexed', index.docs.size, 'notes for search');
+  return index;
+}
+
+/**
+ * Re-index the note buckets in a storage change
+ * Sealed notes (see vault.js) are decrypted first, one change at a time so
+ * they are indexed in order; if that fails the index is dropped and rebuilt
+ * on the next search.
+ */
+function updateSearchIndex(changes) {
+  Object.entries(changes).forEach(([key, change]) => {
+    if (!key.includes(':')) return;
+    
+    if (searchIndex) {
+      const index = searchIndex;
+      const notes = Array.isArray(change.newValue) ? change.newValue : [];
+      searchIndexUpdates = searchIndexUpdates
+        .then(() => Promise.all([openNotes(notes), getContextNames()]))
+        .then(([opened, names]) => indexBucket(index, key, opened, names))
+        .catch(() => {
+          if (searchIndex === index) searchIndex = null;
+        });
+    } else if (pendingSearchIndex) {
+      pendingSearchIndex.changedKeys.add(key);
+    }
+  });
+}
+
+/**
+ * Re-index the contexts whose name changed, from a storage change of the
+ * context names ({ oldValue, newValue }, see context-manager.js)
+ */
+function retitleSearchIndex(change) {
+  const oldNames = change.oldValue || {};
+  const newNames = change.newValue || {};
+  const keys = [...new Set([...Object.keys(oldNames), ...Object.keys(newNames)])]
+    .filter(key => oldNames[key] !== newNames[key]);
+  
+  keys.forEach(key => {
+    if (searchIndex) {
+      const index = searchIndex;
+      searchIndexUpdates = searchIndexUpdates.then(() => {
+        const notes = (index.bucketDocs.get(key) || []).map(docId => index.docs.get(docId).note);
+        indexBucket(index, key, notes, newNames);
+      }).catch(() => {
+        if (searchIndex === index) searchIndex = null;
+      });
+    } else if (pendingSearchIndex) {
+      pendingSearchIndex.changedKeys.add(key);
+    }
+  });
+}
+
+/**
+ * Drop the index (it is rebuilt on the next search)
+ */
+function resetSearchIndex() {
+  searchIndex = null;
+  if (pendingSearchIndex) pendingSearchIndex.discarded = true;
+}
+
+/**
+ * Replace the index entries for one context's notes
+ * names are the ones the user gave contexts: { key: title }
+ */
+function indexBucket(index, key, notes, names) {
+  (index.bucketDocs.get(key) || []).forEach(docId => removeSearchDoc(index, docId));
+  index.bucketDocs.delete(key);
+  
+  if (!Array.isArray(notes) || notes.length === 0) return;
+  
+  const { app, title } = describeNoteBucket(key, notes);
+  const docIds = notes.map(note => {
+    const docId = `${key}\n${note.id}`;
+    addSearchDoc(index, docId, { note: note, key: key, app: app, contextTitle: names[key] || title });
+    return docId;
+  });
+  index.bucketDocs.set(key, docIds);
+}
+
+/**
+ * Add one note to the index
+ */
+function addSearchDoc(index, docId, doc) {
+  const fields = {
+    title: tokenizeSearchText(doc.contextTitle),
+    tags: getNoteTags(doc.note).flatMap(tokenizeSearchText),
+    participants: (doc.note.context?.participants || []).flatMap(tokenizeSearchText),
+    text: tokenizeSearchText(doc.note.text)
+  };
+  
+  const counts = new Map();
+  Object.entries(fields).forEach(([field, words]) => {
+    words.forEach(word => counts.set(word, (counts.get(word) || 0) + SEARCH_FIELD_WEIGHTS[field]));
+  });
+  
+  counts.forEach((count, word) => {
+    if (!index.postings.has(word)) index.postings.set(word, new Map());
+    index.postings.get(word).set(docId, count);
+  });
+  
+  index.docs.set(docId, {
+    ...doc,
+    tokens: [...counts.keys()],
+    // Fields separated so a phrase can't span two of them
+    phraseText: ` ${Object.values(fields).map(words => words.join(' ')).join(' | ')} `
+  });
+}
+
+/**
+ * Remove one note from the index
+ */
+function removeSearchDoc(index, docId) {
+  const doc = index.docs.get(docId);
+  if (!doc) return;
+  
+  doc.tokens.forEach(word => {
+    const docs = index.postings.get(word);
+    docs.delete(docId);
+    if (docs.size === 0) index.postings.delete(word);
+  });
+  index.docs.delete(docId);
+}
+
+/**
+ * Count the notes using each tag, across the index: Map(tag -> count)
+ */
+async function countIndexedTags() {
+  const index = await getCurrentSearchIndex();
+  const counts = new Map();
+  index.docs.forEach(doc => {
+    getNoteTags(doc.note).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return counts;
+}
+
+/**
+ * Describe every context in the index: Map(key -> { app, title, updatedAt })
+ * (title: the user's name for it, else the one stored with its notes)
+ */
+async function describeIndexedContexts() {
+  const index = await getCurrentSearchIndex();
+  const contexts = new Map();
+  index.bucketDocs.forEach((docIds, key) => {
+    const docs = docIds.map(docId => index.docs.get(docId));
+    contexts.set(key, {
+      app: docs[0].app,
+      title: docs[0].contextTitle,
+      updatedAt: Math.max(...docs.map(doc => doc.note.updatedAt || doc.note.createdAt))
+    });
+  });
+  return contexts;
+}
+
+/**
+ * Search all notes
+ * Resolves with { results, total, terms }: the best matches (shaped like
+ * listAllNotes() entries, plus a score), how many notes matched in all, and
+ * the words and phrases to highlight.
+ */
+async function searchNotes(query, limit = SEARCH_DEFAULT_LIMIT) {
+  const index = await getSearchIndex();
+  const parsed = parseSearchQuery(query);
+  const phraseWords = parsed.phrases.flat();
+  
+  // Each word matches itself and (less strongly) longer words it starts
+  const wordMatches = parsed.terms.map(term => {
+    const matches = new Map();
+    index.postings.forEach((docs, word) => {
+      if (word.startsWith(term)) matches.set(word, word === term ? 1 : SEARCH_PREFIX_WEIGHT);
+    });
+    return matches;
+  }).concat(phraseWords.map(word => new Map([[word, 1]])));
+  
+  // Every word has to match; start from the rarest
+  let candidates = null;
+  [...wordMatches]
+    .map(matches => {
+      const docIds = new Set();
+      matches.forEach((weight, word) => index.postings.get(word)?.forEach((count, docId) => docIds.add(docId)));
+      return docIds;
+    })
+    .sort((a, b) => a.size - b.size)
+    .forEach(docIds => {
+      candidates = candidates ? new Set([...candidates].filter(docId => docIds.has(docId))) : docIds;
+    });
+  
+  const now = Date.now();
+  const total = index.docs.size;
+  const results = [];
+  
+  (candidates || [...index.docs.keys()]).forEach(docId => {
+    const doc = index.docs.get(docId);
+    if (!matchesSearchFilters(doc, parsed)) return;
+    
+    let score = 0;
+    wordMatches.forEach(matches => {
+      matches.forEach((weight, word) => {
+        const docs = index.postings.get(word);
+        const count = docs?.get(docId);
+        if (!count) return;
+        
+        const idf = Math.log(1 + (total - docs.size + 0.5) / (docs.size + 0.5));
+        score += weight * idf * (count * (SEARCH_K1 + 1)) / (count + SEARCH_K1);
+      });
+    });
+    
+    // Recent notes rank higher: up to double for a note edited just now
+    const ageDays = Math.max(0, now - (doc.note.updatedAt || doc.note.createdAt)) / 86400000;
+    const recency = 1 + 1 / (1 + ageDays / SEARCH_RECENCY_DAYS);
+    
+    results.push({ doc: doc, score: (wordMatches.length > 0 ? score : 1) * recency });
+  });
+  
+  results.sort((a, b) => b.score - a.score);
+  
+  return {
+    results: results.slice(0, limit).map(({ doc, score }) => ({
+      ...doc.note,
+      app: doc.app,
+      contextTitle: doc.contextTitle,
+      contextKey: doc.key,
+      score: score
+    })),
+    total: results.length,
+    terms: [...parsed.terms, ...parsed.phrases.map(words => words.join(' '))]
+  };
+}
+
+/**
+ * Check a note against a query's phrases and operators
+ */
+function matchesSearchFilters(doc, parsed) {
+  const createdAt = doc.note.createdAt;
+  
+  if (parsed.apps.length > 0 && !parsed.apps.includes(doc.app)) return false;
+  if (parsed.before !== null && !(createdAt < parsed.before)) return false;
+  if (parsed.after !== null && !(createdAt >= parsed.after)) return false;
+  
+  if (parsed.tags.length > 0) {
+    const tags = getNoteTags(doc.note);
+    if (!parsed.tags.every(tag => tags.includes(tag))) return false;
+  }
+  
+  return parsed.phrases.every(words => doc.phraseText.includes(` ${words.join(' ')} `));
+}
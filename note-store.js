@@ -0,0 +1,335 @@
+﻿/**
+ * Note Store for DotNCue
+ * Service worker side of the storage broker: every read and write of notes
+ * goes through here, with writes serialised per context key. Notes are kept
+ * in IndexedDB (see note-db.js) and handed out grouped by context key, as
+ * { key: notes[] } buckets.
+ *
+ * Notes are decrypted on the way out and encrypted on the way in when the
+ * vault is on (see vault.js); writes that don't need a note's content work on
+ * the stored, still-sealed notes.
+ */
+
+// Storage key -> tail of the queue of writes waiting on that key
+const keyQueues = new Map();
+
+// Prior versions kept per note; older ones are dropped
+const MAX_REVISIONS = 50;
+
+// Notes per page of queryNotes()
+const NOTES_PAGE_SIZE = 50;
+
+/**
+ * Run a task once every earlier task queued on the same key has finished
+ * Read-modify-write tasks queued this way can't overwrite each other, even when
+ * several tabs edit the same context at once.
+ */
+function withKeyLock(key, task) {
+  const previous = keyQueues.get(key) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  
+  keyQueues.set(key, tail);
+  tail.then(() => {
+    if (keyQueues.get(key) === tail) keyQueues.delete(key);
+  });
+  
+  return run;
+}
+
+/**
+ * Hold the locks for several keys at once
+ * Keys are always taken in sorted order, so two tasks can't wait on each other.
+ */
+function withKeyLocks(keys, task) {
+  const sorted = [...new Set(keys)].sort();
+  return sorted.reduceRight((next, key) => () => withKeyLock(key, next), task)();
+}
+
+/**
+ * Check whether an entry is a note bucket (context key -> notes[]), e.g. in
+ * a backup or in storage.local from before notes moved to IndexedDB
+ */
+function isNoteBucket(key, value) {
+  return key.includes(':') && Array.isArray(value);
+}
+
+/**
+ * Get the notes stored under a context key, as stored (possibly sealed)
+ */
+async function getStoredNotes(key) {
+  const { [key]: records } = await readNoteRecords([key]);
+  return records.map(fromNoteRecord);
+}
+
+/**
+ * Get the notes stored under a context key
+ */
+async function getNotes(key) {
+  return openNotes(await getStoredNotes(key));
+}
+
+/**
+ * Get the notes for several context keys as { key: notes[] }
+ */
+async function getNotesForKeys(keys) {
+  const records = await readNoteRecords(keys);
+  const notesByKey = {};
+  for (const key of keys) {
+    notesByKey[key] = await openNotes(records[key].map(fromNoteRecord));
+  }
+  return notesByKey;
+}
+
+/**
+ * Check whether any of the given context keys has notes (works while locked)
+ */
+async function hasNotes(keys) {
+  const counts = await countNotesForKeys(keys);
+  return Object.values(counts).some(count => count > 0);
+}
+
+/**
+ * Store note buckets ({ key: notes[] }, [] removes a context's notes), sealing
+ * the notes when the vault is on
+ */
+async function saveNoteBuckets(buckets) {
+  const updates = {};
+  const apps = new Map();
+  for (const [key, notes] of Object.entries(buckets)) {
+    notes.forEach(note => {
+      if (!note.sealed) apps.set(note.id, getNoteApp(key, note));
+    });
+    updates[key] = await sealNotes(notes);
+  }
+  await writeNoteRecords(updates, apps);
+}
+
+/**
+ * Build a stored note: fields plus a stable ID and created/updated times
+ * Notes look like { id, text, createdAt, updatedAt, context, videoTime?, tags?,
+ * revisions? }, where tags holds chip tags (see tags.js) and revisions holds
+ * earlier { text, updatedAt } versions.
+ */
+function createNote(fields) {
+  const now = Date.now();
+  return {
+    ...fields,
+    ...(fields.tags ? { tags: normalizeTags(fields.tags) } : {}),
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Save a new note to a context and resolve with the context's notes
+ */
+function addNote(key, fields) {
+  return withKeyLock(key, async () => {
+    const notes = await getStoredNotes(key);
+    notes.push(createNote(fields));
+    await saveNoteBuckets({ [key]: notes });
+    return openNotes(notes);
+  });
+}
+
+/**
+ * Change a note's fields and resolve with the context's notes
+ * When the text changes, the previous text is kept as a revision unless
+ * recordRevision is false (e.g. ticking a checklist item).
+ */
+function updateNote(key, noteId, changes, { recordRevision = true } = {}) {
+  return withKeyLock(key, async () => {
+    const notes = await getStoredNotes(key);
+    const index = notes.findIndex(note => note.id === noteId);
+    if (index === -1) {
+      throw new Error(`No note ${noteId} in ${key}`);
+    }
+    
+    // ID, times and history are managed here, not by callers
+    const { id, createdAt, updatedAt, revisions, ...fields } = changes;
+    
+    // Changing only readable fields (a reminder) works on a locked vault
+    const plainChange = !recordRevision && Object.keys(fields).every(field => VAULT_PLAIN_FIELDS.includes(field));
+    const note = plainChange ? notes[index] : (await openNotes([notes[index]]))[0];
+    let noteRevisions = note.revisions || [];
+    
+    if (recordRevision && typeof fields.text === 'string' && fields.text !== note.text) {
+      noteRevisions = [...noteRevisions, { text: note.text, updatedAt: note.updatedAt }].slice(-MAX_REVISIONS);
+    }
+    
+    if (fields.tags) {
+      fields.tags = normalizeTags(fields.tags);
+    }
+    
+    notes[index] = {
+      ...note,
+      ...fields,
+      // A note left sealed keeps its revisions inside the seal
+      ...(note.sealed ? {} : { revisions: noteRevisions }),
+      updatedAt: Date.now()
+    };
+    
+    await saveNoteBuckets({ [key]: notes });
+    return openNotes(notes);
+  });
+}
+
+/**
+ * Rewrite the title stored on a context's notes
+ * (keys like docs:<fileId> don't change when a file is renamed, the title does)
+ */
+function updateContextTitle(key, title) {
+  return withKeyLock(key, async () => {
+    const notes = await getNotes(key);
+    const stale = notes.some(note => note.context && note.context.title !== title);
+    if (!stale) return notes;
+    
+    notes.forEach(note => {
+      if (note.context) {
+        note.context = { ...note.context, title: title };
+      }
+    });
+    
+    await saveNoteBuckets({ [key]: notes });
+    return notes;
+  });
+}
+
+/**
+ * Append all notes stored under one key to another and remove the source
+ */
+function moveNotes(fromKey, toKey) {
+  return withKeyLocks([fromKey, toKey], async () => {
+    const fromNotes = await getStoredNotes(fromKey);
+    if (fromNotes.length === 0) return 0;
+    
+    const merged = [...(await getStoredNotes(toKey)), ...fromNotes]
+      .sort((a, b) => a.createdAt - b.createdAt);
+    
+    await saveNoteBuckets({ [toKey]: merged, [fromKey]: [] });
+    console.log('DotNCue: Moved', fromNotes.length, 'notes from', fromKey, 'to', toKey);
+    return fromNotes.length;
+  });
+}
+
+/**
+ * Get every note bucket in storage as { key: notes[] }
+ * With stored, notes are left as stored (sealed while the vault is on).
+ */
+async function getAllNoteBuckets({ stored = false } = {}) {
+  const records = await readNoteRecords();
+  const buckets = {};
+  for (const [key, bucket] of Object.entries(records)) {
+    const notes = bucket.map(fromNoteRecord);
+    buckets[key] = stored ? notes : await openNotes(notes);
+  }
+  return buckets;
+}
+
+/**
+ * Get the most recent context title stored with a context's notes
+ */
+function getStoredContextTitle(notes) {
+  for (let i = notes.length - 1; i >= 0; i--) {
+    if (notes[i].context?.title) {
+      return notes[i].context.title;
+    }
+  }
+  return '';
+}
+
+/**
+ * Get the app and title of the context a bucket of notes belongs to
+ */
+function describeNoteBucket(key, notes) {
+  // Parse context from key (format: "app:title"), preferring the stored app and title
+  const [keyApp, ...titleParts] = key.split(':');
+  return {
+    app: notes[notes.length - 1].context?.app || keyApp,
+    title: getStoredContextTitle(notes) || titleParts.join(':')
+  };
+}
+
+/**
+ * List every note with the app, title and key of the context it belongs to
+ */
+async function listAllNotes() {
+  const buckets = await getAllNoteBuckets();
+  const allNotes = [];
+  
+  Object.entries(buckets).forEach(([key, notes]) => {
+    const { app, title } = describeNoteBucket(key, notes);
+    
+    notes.forEach(note => {
+      allNotes.push({
+        ...note,
+        app: app,
+        contextTitle: title,
+        contextKey: key
+      });
+    });
+  });
+  
+  return allNotes;
+}
+
+/**
+ * Page through all notes, newest or oldest first, optionally for one app
+ * and/or tag: { app, tag, order: 'newest' | 'oldest', offset, limit }
+ * Resolves with { notes, total, apps, tags }: a page of notes shaped like
+ * listAllNotes() entries, how many notes match in all, and how many apps and
+ * tags they span. While the vault is on, tags are sealed, so notes are
+ * decrypted and filtered here rather than through the database indexes.
+ */
+async function queryNotes({ app = null, tag = null, order = 'newest', offset = 0, limit = NOTES_PAGE_SIZE } = {}) {
+  let page;
+  
+  if (await getVaultConfig()) {
+    const notes = [];
+    Object.entries(await getAllNoteBuckets()).forEach(([key, bucket]) => {
+      bucket.forEach(note => notes.push({ ...note, contextKey: key, app: getNoteApp(key, note) }));
+    });
+    
+    const matches = notes
+      .filter(note => (!app || note.app === app) && (!tag || getNoteTags(note).includes(tag)))
+      .sort((a, b) => order === 'oldest' ? a.createdAt - b.createdAt : b.createdAt - a.createdAt);
+    page = {
+      records: matches.slice(offset, offset + limit),
+      total: matches.length,
+      apps: new Set(matches.map(note => note.app)).size,
+      tags: new Set(matches.flatMap(getNoteTags)).size
+    };
+  } else {
+    page = await queryNoteRecords({ app: app, tag: tag, order: order, offset: offset, limit: limit });
+  }
+  
+  // Titles come from each context's latest note
+  const keys = [...new Set(page.records.map(record => record.contextKey))];
+  const buckets = await getNotesForKeys(keys);
+  const contexts = new Map(keys.map(key => [key, describeNoteBucket(key, buckets[key])]));
+  
+  const notes = await openNotes(page.records.map(fromNoteRecord));
+  return {
+    notes: notes.map((note, i) => {
+      const key = page.records[i].contextKey;
+      return { ...note, app: contexts.get(key).app, contextTitle: contexts.get(key).title, contextKey: key };
+    }),
+    total: page.total,
+    apps: page.apps,
+    tags: page.tags
+  };
+}
+
+/**
+ * Count how many notes use each tag, most used first: [{ tag, count }]
+ * Counted from the tags index; while the vault is on, tags are sealed and out
+ * of that index, so from the notes the search index holds instead.
+ */
+async function listTags() {
+  const counts = await getVaultConfig() ? await countIndexedTags() : await countNoteTags();
+  
+  return Array.from(counts, ([tag, count]) => ({ tag: tag, count: count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
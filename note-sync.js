@@ -0,0 +1,522 @@
+﻿/**
+ * Cross-device Sync for DotNCue
+ * Service worker side: when the syncEnabled setting is on, mirrors notes into
+ * chrome.storage.sync and merges in notes written on other devices. Each note
+ * is merged last-writer-wins (by updatedAt); notes edited on two devices since
+ * they last synced are also listed as conflicts so the other version can be
+ * brought back.
+ *
+ * chrome.storage.sync is small (about 100 KB in all, 8 KB per item), so notes
+ * are spread over SYNC_GROUP_COUNT groups by ID; each group is compressed and
+ * split into chunks that fit an item. An edit only rewrites its note's group.
+ * Revisions stay on the device that made them.
+ *
+ * While the vault is on (see vault.js) the groups are encrypted too, and the
+ * manifest carries the vault's salt and check so other devices can unlock
+ * them with the same passphrase. Syncing waits while the vault is locked.
+ */
+
+// Local: { base: { noteId: { updatedAt, key } } }, the versions last synced
+const SYNC_STATE_KEY = 'sync_state';
+
+// Local: { state: 'off' | 'syncing' | 'synced' | 'locked' | 'error', lastSyncAt, error, conflicts }
+const SYNC_STATUS_KEY = 'sync_status';
+
+// Local: [{ id, contextKey, text, otherText, otherUpdatedAt, detectedAt }]
+// (otherText null: the note was deleted here and edited elsewhere); sealed
+// like notes while the vault is on (see sealNotes in vault.js)
+const SYNC_CONFLICTS_KEY = 'sync_conflicts';
+
+// Sync: { formatVersion, chunks: [chunk count per group], vault? }; chunks are sync_notes_<group>_<n>
+const SYNC_MANIFEST_KEY = 'sync_manifest';
+const SYNC_FORMAT_VERSION = 1;
+
+const SYNC_GROUP_COUNT = 16;
+
+// Characters per chunk, leaving room in QUOTA_BYTES_PER_ITEM for the key and JSON quotes
+const SYNC_CHUNK_CHARS = 7800;
+
+// Wait for edits to settle before syncing (storage.sync allows 120 writes a minute)
+const SYNC_DEBOUNCE_MS = 5000;
+
+// Catch-up sync in case the service worker stopped before a pending one ran
+const SYNC_ALARM = 'sync';
+const SYNC_ALARM_MINUTES = 15;
+
+// How long deletions are remembered for devices that haven't synced since
+const SYNC_TOMBSTONE_MS = 30 * 24 * 60 * 60 * 1000;
+
+let syncTimer = null;
+
+/**
+ * React to storage changes: remote changes schedule a sync, and turning sync
+ * on or off starts or stops it (local note edits schedule one from
+ * onNoteChanges, see background.js)
+ */
+function handleSyncStorageChange(changes, areaName) {
+  if (areaName === 'sync') {
+    if (Object.keys(changes).some(key => key === SYNC_MANIFEST_KEY || key.startsWith('sync_notes_'))) {
+      scheduleSync();
+    }
+    return;
+  }
+  
+  if (changes[SETTINGS_KEY]) {
+    const wasEnabled = Boolean(changes[SETTINGS_KEY].oldValue?.syncEnabled);
+    const enabled = Boolean(changes[SETTINGS_KEY].newValue?.syncEnabled);
+    if (enabled !== wasEnabled) {
+      updateSyncSchedule(enabled);
+    }
+  }
+}
+
+/**
+ * Start or stop syncing
+ */
+async function updateSyncSchedule(enabled) {
+  if (enabled) {
+    chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_ALARM_MINUTES });
+    await syncNotes();
+  } else {
+    clearTimeout(syncTimer);
+    chrome.alarms.clear(SYNC_ALARM);
+    await setSyncStatus({ state: 'off', error: null });
+  }
+}
+
+/**
+ * Sync once edits have settled
+ */
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncNotes().catch(() => {});
+  }, SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Merge synced notes into local storage and local notes into sync
+ * Failures are recorded in the sync status (and rethrown).
+ */
+function syncNotes() {
+  return withKeyLock(SYNC_STATE_KEY, async () => {
+    const settings = await getSettings();
+    if (!settings.syncEnabled) return;
+    
+    if (await isVaultLocked()) {
+      await setSyncStatus({ state: 'locked', error: null });
+      return;
+    }
+    
+    await setSyncStatus({ state: 'syncing' });
+    
+    try {
+      const remote = await readSyncedNotes();
+      const { [SYNC_STATE_KEY]: state = { base: {} } } = await chrome.storage.local.get([SYNC_STATE_KEY]);
+      const plan = planSyncMerge(await getAllNoteBuckets(), remote, state.base);
+      
+      await applySyncChanges(plan);
+      
+      // Push what storage holds now, including anything just merged in
+      const records = new Map();
+      const base = {};
+      Object.entries(await getAllNoteBuckets()).forEach(([key, notes]) => {
+        notes.forEach(note => {
+          const { revisions, ...fields } = note;
+          records.set(note.id, { ...fields, contextKey: key });
+          base[note.id] = { updatedAt: note.updatedAt, key: key };
+        });
+      });
+      
+      const tombstones = new Map([...remote.tombstones, ...plan.tombstones]);
+      const now = Date.now();
+      tombstones.forEach((deletedAt, id) => {
+        if (records.has(id) || now - deletedAt > SYNC_TOMBSTONE_MS) tombstones.delete(id);
+      });
+      
+      await writeSyncedNotes(records, tombstones, remote);
+      await chrome.storage.local.set({ [SYNC_STATE_KEY]: { base: base } });
+      
+      const conflicts = await addSyncConflicts(plan.conflicts);
+      await setSyncStatus({ state: 'synced', lastSyncAt: Date.now(), error: null, conflicts: conflicts.length });
+    } catch (error) {
+      console.error('DotNCue: Sync failed:', error);
+      await setSyncStatus({ state: 'error', error: error.message });
+      throw error;
+    }
+  });
+}
+
+/**
+ * Work out how to merge synced notes with local ones
+ * base holds the version of each note both sides agreed on at the last sync,
+ * which tells an edit here from an edit elsewhere, and a deletion here from a
+ * note added elsewhere. Resolves with { upserts, deletes, tombstones, conflicts }:
+ * upserts are synced versions to store locally ({ note, key, fromKey,
+ * localUpdatedAt } replacing the local version in fromKey, if any),
+ * deletes are local notes deleted elsewhere ({ id, key, updatedAt }) and
+ * tombstones are notes deleted here (id -> deletedAt).
+ */
+function planSyncMerge(localBuckets, remote, base) {
+  const local = new Map(); // note ID -> { note, key }
+  Object.entries(localBuckets).forEach(([key, notes]) => {
+    notes.forEach(note => local.set(note.id, { note: note, key: key }));
+  });
+  
+  const plan = { upserts: [], deletes: [], tombstones: new Map(), conflicts: [] };
+  const now = Date.now();
+  const ids = new Set([...local.keys(), ...remote.notes.keys()]);
+  
+  ids.forEach(id => {
+    const mine = local.get(id);
+    const theirs = remote.notes.get(id);
+    const agreed = base[id];
+    
+    if (mine && theirs) {
+      const { contextKey, ...synced } = theirs;
+      if (mine.note.updatedAt === theirs.updatedAt) {
+        // Same version; follow a move made elsewhere
+        if (contextKey !== mine.key && agreed && agreed.key === mine.key) {
+          plan.upserts.push({ note: mine.note, key: contextKey, fromKey: mine.key, localUpdatedAt: mine.note.updatedAt });
+        }
+        return;
+      }
+      
+      const editedHere = !agreed || mine.note.updatedAt !== agreed.updatedAt;
+      const editedThere = !agreed || theirs.updatedAt !== agreed.updatedAt;
+      const theirsWins = theirs.updatedAt > mine.note.updatedAt;
+      
+      if (editedHere && editedThere && mine.note.text !== theirs.text) {
+        const [kept, other] = theirsWins ? [theirs, mine.note] : [mine.note, theirs];
+        plan.conflicts.push({
+          id: id,
+          contextKey: theirsWins ? contextKey : mine.key,
+          text: kept.text,
+          otherText: other.text,
+          otherUpdatedAt: other.updatedAt,
+          detectedAt: now
+        });
+      }
+      
+      if (theirsWins) {
+        plan.upserts.push({
+          note: mergeSyncedNote(mine.note, synced),
+          key: contextKey,
+          fromKey: mine.key,
+          localUpdatedAt: mine.note.updatedAt
+        });
+      }
+    } else if (mine) {
+      const deletedAt = remote.tombstones.get(id);
+      if (deletedAt !== undefined && mine.note.updatedAt <= deletedAt) {
+        plan.deletes.push({ id: id, key: mine.key, updatedAt: mine.note.updatedAt });
+      }
+      // Otherwise new here (or edited after it was deleted elsewhere): pushed as is
+    } else {
+      const { contextKey, ...synced } = theirs;
+      if (!agreed) {
+        plan.upserts.push({ note: synced, key: contextKey, fromKey: null });
+      } else if (theirs.updatedAt > agreed.updatedAt) {
+        // Deleted here but edited elsewhere since: keep the edit
+        plan.upserts.push({ note: synced, key: contextKey, fromKey: null });
+        plan.conflicts.push({
+          id: id,
+          contextKey: contextKey,
+          text: theirs.text,
+          otherText: null,
+          otherUpdatedAt: null,
+          detectedAt: now
+        });
+      } else {
+        plan.tombstones.set(id, now);
+      }
+    }
+  });
+  
+  return plan;
+}
+
+/**
+ * Take a synced version of a note, keeping this device's history
+ */
+function mergeSyncedNote(localNote, syncedNote) {
+  let revisions = localNote.revisions || [];
+  if (localNote.text !== syncedNote.text) {
+    revisions = [...revisions, { text: localNote.text, updatedAt: localNote.updatedAt }].slice(-MAX_REVISIONS);
+  }
+  return { ...syncedNote, revisions: revisions };
+}
+
+/**
+ * Store the synced versions and deletions a merge plan calls for
+ * Notes edited here since the plan was made are left for the next sync.
+ */
+async function applySyncChanges(plan) {
+  const keys = new Set();
+  plan.upserts.forEach(({ key, fromKey }) => {
+    keys.add(key);
+    if (fromKey) keys.add(fromKey);
+  });
+  plan.deletes.forEach(({ key }) => keys.add(key));
+  if (keys.size === 0) return;
+  
+  await withKeyLocks([...keys], async () => {
+    const buckets = await getNotesForKeys([...keys]);
+    const changed = new Set();
+    
+    plan.deletes.forEach(({ id, key, updatedAt }) => {
+      const index = buckets[key].findIndex(note => note.id === id);
+      if (index !== -1 && buckets[key][index].updatedAt === updatedAt) {
+        buckets[key].splice(index, 1);
+        changed.add(key);
+      }
+    });
+    
+    plan.upserts.forEach(({ note, key, fromKey, localUpdatedAt }) => {
+      if (fromKey) {
+        const index = buckets[fromKey].findIndex(n => n.id === note.id);
+        if (index === -1 || buckets[fromKey][index].updatedAt !== localUpdatedAt) return; // Changed meanwhile
+        buckets[fromKey].splice(index, 1);
+        changed.add(fromKey);
+      }
+      buckets[key].push({ ...note, context: note.context ? { ...note.context, key: key } : note.context });
+      changed.add(key);
+    });
+    
+    const updates = {};
+    changed.forEach(key => {
+      updates[key] = buckets[key].sort((a, b) => a.createdAt - b.createdAt);
+    });
+    await saveNoteBuckets(updates);
+  });
+}
+
+/**
+ * Read every synced note and deletion
+ * Resolves with { notes: Map(id -> note with contextKey), tombstones: Map(id ->
+ * deletedAt), encoded: [compressed group, decrypted], sizes: [characters stored
+ * per group], chunks: [chunk count per group], vault: the vault the groups are
+ * encrypted with, or null }.
+ */
+async function readSyncedNotes() {
+  const items = await chrome.storage.sync.get(null);
+  const manifest = items[SYNC_MANIFEST_KEY] || { formatVersion: SYNC_FORMAT_VERSION, chunks: [] };
+  if (manifest.formatVersion > SYNC_FORMAT_VERSION) {
+    throw new Error('Synced notes were saved by a newer version of DotNCue; update it on this device');
+  }
+  
+  const remote = { notes: new Map(), tombstones: new Map(), encoded: [], sizes: [], chunks: [], vault: manifest.vault || null };
+  
+  let key = null;
+  if (remote.vault) {
+    const vault = await getVaultConfig();
+    if (vault?.salt !== remote.vault.salt) {
+      throw new Error('Synced notes are encrypted; turn on encryption on this device with the same passphrase');
+    }
+    key = await requireVaultKey();
+  }
+  
+  for (let group = 0; group < SYNC_GROUP_COUNT; group++) {
+    const count = manifest.chunks[group] || 0;
+    let encoded = '';
+    for (let i = 0; i < count; i++) {
+      encoded += items[`sync_notes_${group}_${i}`] || '';
+    }
+    remote.sizes[group] = encoded.length;
+    if (encoded && key) {
+      encoded = bytesToBase64(await decryptBytes(key, base64ToBytes(encoded)));
+    }
+    remote.encoded[group] = encoded;
+    remote.chunks[group] = count;
+    if (!encoded) continue;
+    
+    const payload = JSON.parse(await decompressText(encoded));
+    payload.notes.forEach(note => remote.notes.set(note.id, note));
+    payload.deleted.forEach(({ id, deletedAt }) => remote.tombstones.set(id, deletedAt));
+  }
+  
+  return remote;
+}
+
+/**
+ * Write notes and deletions to sync storage, rewriting only groups that changed
+ */
+async function writeSyncedNotes(records, tombstones, remote) {
+  const groups = Array.from({ length: SYNC_GROUP_COUNT }, () => ({ notes: [], deleted: [] }));
+  records.forEach((note, id) => groups[getSyncGroup(id)].notes.push(note));
+  tombstones.forEach((deletedAt, id) => groups[getSyncGroup(id)].deleted.push({ id: id, deletedAt: deletedAt }));
+  
+  const updates = {};
+  const stale = [];
+  const chunks = [];
+  const sizes = [];
+  
+  // Encrypted with the vault when it is on; every group is rewritten when that changes
+  const vault = await getVaultConfig();
+  const key = vault ? await requireVaultKey() : null;
+  const rekeyed = (vault?.salt || null) !== (remote.vault?.salt || null);
+  
+  for (let group = 0; group < SYNC_GROUP_COUNT; group++) {
+    const payload = groups[group];
+    payload.notes.sort((a, b) => a.id.localeCompare(b.id));
+    payload.deleted.sort((a, b) => a.id.localeCompare(b.id));
+    
+    const empty = payload.notes.length === 0 && payload.deleted.length === 0;
+    const compressed = empty ? '' : await compressText(JSON.stringify(payload));
+    
+    // Compared before encrypting, which gives different output every time
+    if (compressed === remote.encoded[group] && !rekeyed) {
+      chunks[group] = remote.chunks[group];
+      sizes[group] = remote.sizes[group];
+      continue;
+    }
+    
+    const encoded = compressed && key ? bytesToBase64(await encryptBytes(key, base64ToBytes(compressed))) : compressed;
+    sizes[group] = encoded.length;
+    
+    const parts = encoded.match(new RegExp(`.{1,${SYNC_CHUNK_CHARS}}`, 'g')) || [];
+    parts.forEach((part, i) => {
+      updates[`sync_notes_${group}_${i}`] = part;
+    });
+    for (let i = parts.length; i < remote.chunks[group]; i++) {
+      stale.push(`sync_notes_${group}_${i}`);
+    }
+    chunks[group] = parts.length;
+  }
+  
+  if (Object.keys(updates).length === 0 && stale.length === 0 && !rekeyed) return;
+  
+  // Check the quota up front rather than leave a half-written set of chunks
+  const quota = chrome.storage.sync.QUOTA_BYTES || 102400;
+  const size = sizes.reduce((total, groupSize) => total + groupSize, 0) + chunks.reduce((total, count) => total + count * 40, 0);
+  if (size > quota * 0.95) {
+    throw new Error(`Too many notes to sync: about ${Math.ceil(size / 1024)} KB of the ${Math.floor(quota / 1024)} KB Chrome sync allows`);
+  }
+  
+  updates[SYNC_MANIFEST_KEY] = {
+    formatVersion: SYNC_FORMAT_VERSION,
+    chunks: chunks,
+    ...(vault ? { vault: { salt: vault.salt, iterations: vault.iterations, check: vault.check } } : {})
+  };
+  await chrome.storage.sync.set(updates);
+  if (stale.length > 0) {
+    await chrome.storage.sync.remove(stale);
+  }
+}
+
+/**
+ * Pick the group a note is synced in (stable for a given ID)
+ */
+function getSyncGroup(id) {
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) >>> 0;
+  }
+  return hash % SYNC_GROUP_COUNT;
+}
+
+/**
+ * Deflate text and encode it as base64
+ */
+async function compressText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return bytesToBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+/**
+ * Decode and inflate text written by compressText()
+ */
+async function decompressText(encoded) {
+  const stream = new Blob([base64ToBytes(encoded)]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+/**
+ * Merge changes into the sync status shown in the sidebar
+ */
+async function setSyncStatus(changes) {
+  const status = await getSyncStatus();
+  await chrome.storage.local.set({ [SYNC_STATUS_KEY]: { ...status, ...changes } });
+}
+
+/**
+ * Get the sync status
+ */
+async function getSyncStatus() {
+  const { [SYNC_STATUS_KEY]: status = { state: 'off', lastSyncAt: null, error: null, conflicts: 0 } } =
+    await chrome.storage.local.get([SYNC_STATUS_KEY]);
+  return status;
+}
+
+/**
+ * Read the conflicts as stored (sealed while the vault is on)
+ */
+async function readSyncConflicts() {
+  const { [SYNC_CONFLICTS_KEY]: conflicts = [] } = await chrome.storage.local.get([SYNC_CONFLICTS_KEY]);
+  return conflicts;
+}
+
+/**
+ * List notes edited on two devices at once, newest first
+ */
+async function listSyncConflicts() {
+  return openNotes(await readSyncConflicts());
+}
+
+/**
+ * Record new conflicts (replacing older ones for the same notes) and resolve
+ * with the stored list
+ */
+function addSyncConflicts(newConflicts) {
+  return withKeyLock(SYNC_CONFLICTS_KEY, async () => {
+    const conflicts = await readSyncConflicts();
+    if (newConflicts.length === 0) return conflicts;
+    
+    const ids = new Set(newConflicts.map(conflict => conflict.id));
+    const updated = [...await sealNotes(newConflicts), ...conflicts.filter(conflict => !ids.has(conflict.id))];
+    await chrome.storage.local.set({ [SYNC_CONFLICTS_KEY]: updated });
+    return updated;
+  });
+}
+
+/**
+ * Store the conflicts sealed or readable to match the vault (see vault.js)
+ * Needs the vault's key whenever a conflict is sealed.
+ */
+function resealSyncConflicts() {
+  return withKeyLock(SYNC_CONFLICTS_KEY, async () => {
+    const conflicts = await readSyncConflicts();
+    if (conflicts.length === 0) return;
+    
+    await chrome.storage.local.set({ [SYNC_CONFLICTS_KEY]: await sealNotes(await openNotes(conflicts)) });
+  });
+}
+
+/**
+ * Settle a conflict: keep the version that won, or switch to the other one
+ * (for a note deleted here, the other version is the deletion)
+ */
+function resolveSyncConflict(noteId, useOther) {
+  return withKeyLock(SYNC_CONFLICTS_KEY, async () => {
+    const conflicts = await readSyncConflicts();
+    const stored = conflicts.find(c => c.id === noteId);
+    if (!stored) {
+      throw new Error(`No sync conflict for note ${noteId}`);
+    }
+    const [conflict] = await openNotes([stored]);
+    
+    if (useOther) {
+      const found = await findNoteById(noteId);
+      if (found && conflict.otherText === null) {
+        await trashNote(found.key, noteId);
+      } else if (found) {
+        await updateNote(found.key, noteId, { text: conflict.otherText });
+      }
+    }
+    
+    const remaining = conflicts.filter(c => c.id !== noteId);
+    await chrome.storage.local.set({ [SYNC_CONFLICTS_KEY]: remaining });
+    await setSyncStatus({ conflicts: remaining.length });
+    return openNotes(remaining);
+  });
+}
@@ -0,0 +1,253 @@
+﻿/**
+ * Note Export and Import for DotNCue
+ * Service worker side: exports notes as a JSON backup, a Markdown bundle or
+ * CSV, and imports JSON backups by merging them into storage note by note
+ */
+
+// Identifies DotNCue backups (format / formatVersion in the JSON)
+const EXPORT_FORMAT = 'dotncue-notes';
+const EXPORT_FORMAT_VERSION = 1;
+
+const EXPORT_TYPES = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+/**
+ * Export notes as { filename, mimeType, content }
+ * noteRefs ([{ contextKey, id }]) limits the export to those notes, e.g. the
+ * All Notes view's search results, and filter ({ app, tag }, as for
+ * queryNotes()) to the notes it matches; without either every note is exported.
+ */
+async function exportNotes(format, noteRefs = null, filter = null) {
+  const type = EXPORT_TYPES[format];
+  if (!type) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  
+  if (filter) {
+    const { notes } = await queryNotes({ app: filter.app, tag: filter.tag, limit: Infinity });
+    noteRefs = notes.map(note => ({ contextKey: note.contextKey, id: note.id }));
+  }
+  
+  let buckets = await getAllNoteBuckets();
+  if (noteRefs) {
+    const wanted = new Set(noteRefs.map(ref => `${ref.contextKey}\n${ref.id}`));
+    const selected = {};
+    Object.entries(buckets).forEach(([key, notes]) => {
+      const kept = notes.filter(note => wanted.has(`${key}\n${note.id}`));
+      if (kept.length > 0) selected[key] = kept;
+    });
+    buckets = selected;
+  }
+  
+  const builders = { json: buildJsonExport, markdown: buildMarkdownExport, csv: buildCsvExport };
+  const date = new Date().toISOString().slice(0, 10);
+  
+  return {
+    filename: `dotncue-notes-${date}.${type.extension}`,
+    mimeType: type.mimeType,
+    content: builders[format](buckets)
+  };
+}
+
+/**
+ * Full-fidelity backup: every stored field, grouped by context key
+ */
+function buildJsonExport(buckets) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    contexts: buckets
+  }, null, 2);
+}
+
+/**
+ * One Markdown document with a section per context, oldest notes first
+ */
+function buildMarkdownExport(buckets) {
+  const lines = ['# DotNCue notes', '', `Exported ${new Date().toLocaleString()}`, ''];
+  
+  Object.entries(buckets).forEach(([key, notes]) => {
+    const { app, title } = describeNoteBucket(key, notes);
+    const url = notes[notes.length - 1].context?.url;
+    
+    lines.push(`## ${title || key}`, '');
+    lines.push(`${app} \u00b7 \`${key}\`${url ? ` \u00b7 <${url}>` : ''}`, '');
+    
+    [...notes].sort((a, b) => a.createdAt - b.createdAt).forEach(note => {
+      const details = [new Date(note.createdAt).toLocaleString()];
+      if (note.updatedAt > note.createdAt) details.push(`edited ${new Date(note.updatedAt).toLocaleString()}`);
+      if (note.reminder) details.push(`due ${new Date(note.reminder.dueAt).toLocaleString()}`);
+      
+      lines.push(`### ${details.join(' \u00b7 ')}`, '', note.text, '');
+      const tags = getNoteTags(note);
+      if (tags.length > 0) {
+        lines.push(tags.map(tag => `#${tag}`).join(' '), '');
+      }
+    });
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * One row per note, for spreadsheets
+ */
+function buildCsvExport(buckets) {
+  const header = ['id', 'app', 'context', 'contextKey', 'url', 'createdAt', 'updatedAt', 'tags', 'dueAt', 'videoTime', 'text'];
+  const rows = [header];
+  
+  Object.entries(buckets).forEach(([key, notes]) => {
+    const { app, title } = describeNoteBucket(key, notes);
+    notes.forEach(note => {
+      rows.push([
+        note.id,
+        app,
+        title,
+        key,
+        note.context?.url || '',
+        new Date(note.createdAt).toISOString(),
+        new Date(note.updatedAt).toISOString(),
+        getNoteTags(note).join(' '),
+        note.reminder ? new Date(note.reminder.dueAt).toISOString() : '',
+        typeof note.videoTime === 'number' ? String(note.videoTime) : '',
+        note.text
+      ]);
+    });
+  });
+  
+  return rows.map(row => row.map(formatCsvField).join(',')).join('\r\n');
+}
+
+// Starts a spreadsheet would read as a formula: =, + or @, or a minus sign
+// before a number, another operator, a function call or a cell reference
+// (but not a Markdown list item or rule such as "- item" or "---")
+const CSV_FORMULA_PATTERN = /^\s*(?:[=+@]|-+(?:[\d.(=+@]|[A-Za-z_][\w.]*\(|\$?[A-Za-z]{1,3}\$?\d+\b))/;
+
+/**
+ * Quote a CSV field when needed
+ * Fields a spreadsheet would run as a formula are prefixed with an apostrophe.
+ */
+function formatCsvField(value) {
+  let field = String(value);
+  if (CSV_FORMULA_PATTERN.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Merge a JSON backup into storage by note ID
+ * New notes are added; a note that is already stored (under any context) is a
+ * duplicate when unchanged, and a conflict when it differs, in which case the
+ * more recently updated version wins. Resolves with a report:
+ * { added, updated, duplicates: [], conflicts: [], skipped }
+ */
+async function importNotes(json) {
+  let backup;
+  try {
+    backup = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Not a JSON file');
+  }
+  
+  if (!backup || backup.format !== EXPORT_FORMAT || !backup.contexts || typeof backup.contexts !== 'object') {
+    throw new Error('Not a DotNCue backup');
+  }
+  if (backup.formatVersion > EXPORT_FORMAT_VERSION || backup.schemaVersion > SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of DotNCue');
+  }
+  
+  const incoming = Object.entries(backup.contexts).filter(([key, notes]) => isNoteBucket(key, notes));
+  const report = { added: 0, updated: 0, duplicates: [], conflicts: [], skipped: 0 };
+  
+  // Lock every bucket the backup touches, plus any that already hold its notes
+  const stored = await getAllNoteBuckets();
+  const keys = [...new Set([...incoming.map(([key]) => key), ...Object.keys(stored)])];
+  
+  await withKeyLocks(keys, async () => {
+    const buckets = await getAllNoteBuckets();
+    const locations = new Map(); // note ID -> context key it is stored under
+    Object.entries(buckets).forEach(([key, notes]) => {
+      notes.forEach(note => locations.set(note.id, key));
+    });
+    
+    const changed = new Set();
+    
+    incoming.forEach(([key, notes]) => {
+      notes.forEach(imported => {
+        if (!imported || typeof imported.text !== 'string' || typeof imported.createdAt !== 'number') {
+          report.skipped++;
+          return;
+        }
+        
+        const note = {
+          ...imported,
+          id: typeof imported.id === 'string' ? imported.id : crypto.randomUUID(),
+          updatedAt: typeof imported.updatedAt === 'number' ? imported.updatedAt : imported.createdAt
+        };
+        const summary = { id: note.id, contextKey: key, text: note.text.slice(0, 80) };
+        
+        const storedKey = locations.get(note.id);
+        if (!storedKey) {
+          buckets[key] = [...(buckets[key] || []), note];
+          locations.set(note.id, key);
+          changed.add(key);
+          report.added++;
+          return;
+        }
+        
+        const storedNotes = buckets[storedKey];
+        const index = storedNotes.findIndex(n => n.id === note.id);
+        const existing = storedNotes[index];
+        
+        if (isSameNote(existing, note)) {
+          report.duplicates.push(summary);
+          return;
+        }
+        
+        const keepImported = note.updatedAt > existing.updatedAt;
+        report.conflicts.push({ ...summary, contextKey: storedKey, kept: keepImported ? 'imported' : 'existing' });
+        if (keepImported) {
+          // The version being replaced stays in the note's history
+          const revisions = [...(note.revisions || [])];
+          if (!revisions.some(revision => revision.text === existing.text)) {
+            revisions.push({ text: existing.text, updatedAt: existing.updatedAt });
+          }
+          revisions.sort((x, y) => x.updatedAt - y.updatedAt);
+          
+          storedNotes[index] = {
+            ...note,
+            context: { ...note.context, key: storedKey },
+            revisions: revisions.slice(-MAX_REVISIONS)
+          };
+          changed.add(storedKey);
+          report.updated++;
+        }
+      });
+    });
+    
+    const updates = {};
+    changed.forEach(key => {
+      updates[key] = buckets[key].sort((a, b) => a.createdAt - b.createdAt);
+    });
+    await saveNoteBuckets(updates);
+  });
+  
+  console.log('DotNCue: Imported notes', report);
+  return report;
+}
+
+/**
+ * Check whether a stored note and an imported one hold the same content
+ */
+function isSameNote(a, b) {
+  return a.text === b.text &&
+         a.updatedAt === b.updatedAt &&
+         (a.tags || []).join() === (b.tags || []).join() &&
+         (a.reminder?.dueAt ?? null) === (b.reminder?.dueAt ?? null);
+}
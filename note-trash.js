@@ -0,0 +1,157 @@
+﻿/**
+ * Note Trash for DotNCue
+ * Service worker side: deleting a note moves it to the trash (a store next to
+ * the notes, see note-db.js), from where it can be restored to its context or
+ * purged for good. Notes that have been in the trash longer than
+ * settings.trashRetentionDays are purged automatically (0 keeps them until
+ * purged by hand).
+ *
+ * Trashed notes are kept as they were stored, so they stay sealed while the
+ * vault is on. The trash is per device: a deletion syncs as one, and a
+ * restored note syncs as an edit made after it.
+ */
+
+// Daily check for notes past the retention period
+const TRASH_PURGE_ALARM = 'trash-purge';
+const TRASH_PURGE_MINUTES = 24 * 60;
+
+const TRASH_DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Strip a trash record back to the stored note
+ */
+function fromTrashRecord(record) {
+  const { contextKey, deletedAt, ...note } = record;
+  return note;
+}
+
+/**
+ * Move a note from a context to the trash and resolve with the remaining notes
+ */
+function trashNote(key, noteId) {
+  return withKeyLock(key, async () => {
+    const notes = await getStoredNotes(key);
+    const index = notes.findIndex(note => note.id === noteId);
+    if (index === -1) {
+      throw new Error(`No note ${noteId} in ${key}`);
+    }
+    
+    // Into the trash first, so a failed write can't lose the note
+    await writeTrashRecords([{ ...notes[index], contextKey: key, deletedAt: Date.now() }]);
+    notes.splice(index, 1);
+    await saveNoteBuckets({ [key]: notes });
+    return openNotes(notes);
+  });
+}
+
+/**
+ * Put a trashed note back in its context, or the one it was merged into
+ * Resolves with { contextKey, notes }: the context and its notes now.
+ */
+async function restoreNote(noteId) {
+  const record = await readTrashRecord(noteId);
+  if (!record) {
+    throw new Error(`No note ${noteId} in the trash`);
+  }
+  
+  // The context may have been merged into another since (see context-manager.js)
+  const key = followContextAlias(await getContextAliases(), record.contextKey);
+  return withKeyLock(key, async () => {
+    const notes = await getStoredNotes(key);
+    
+    // Restoring counts as an edit, so sync doesn't take it for the deleted version
+    if (!notes.some(note => note.id === noteId)) {
+      let restored = { ...fromTrashRecord(record), updatedAt: Date.now() };
+      if (key !== record.contextKey) {
+        // Like a moved note, it takes its new context's key and title (see refileNotes)
+        [restored] = await openNotes([restored]);
+        if (restored.context) {
+          const title = (await getContextNames())[key] ||
+            (notes.length > 0 ? describeNoteBucket(key, await openNotes(notes)).title : restored.context.title);
+          restored = { ...restored, context: { ...restored.context, key: key, title: title } };
+        }
+      }
+      notes.push(restored);
+      notes.sort((a, b) => a.createdAt - b.createdAt);
+      await saveNoteBuckets({ [key]: notes });
+    }
+    
+    await deleteTrashRecords({ ids: [noteId] });
+    return { contextKey: key, notes: await openNotes(notes) };
+  });
+}
+
+/**
+ * List the notes in the trash, most recently deleted first, with the app,
+ * title and key of the context each came from and when it was deleted
+ */
+async function listTrash() {
+  const records = await readTrashRecords();
+  const notes = await openNotes(records.map(fromTrashRecord));
+  
+  return notes.map((note, i) => {
+    const [keyApp, ...titleParts] = records[i].contextKey.split(':');
+    return {
+      ...note,
+      app: note.context?.app || keyApp,
+      contextTitle: note.context?.title || titleParts.join(':'),
+      contextKey: records[i].contextKey,
+      deletedAt: records[i].deletedAt
+    };
+  }).sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Delete a note in the trash for good
+ */
+async function purgeNote(noteId) {
+  await deleteTrashRecords({ ids: [noteId] });
+}
+
+/**
+ * Delete every note in the trash for good, resolving with how many there were
+ */
+async function emptyTrash() {
+  const count = await deleteTrashRecords();
+  console.log('DotNCue: Emptied the trash of', count, 'notes');
+  return count;
+}
+
+/**
+ * Delete the notes that have been in the trash longer than the retention period
+ */
+async function purgeExpiredTrash() {
+  const { trashRetentionDays } = await getSettings();
+  if (!(trashRetentionDays > 0)) return 0;
+  
+  const count = await deleteTrashRecords({ before: Date.now() - trashRetentionDays * DAY_MS });
+  if (count > 0) {
+    console.log('DotNCue: Purged', count, 'notes from the trash');
+  }
+  return count;
+}
+
+/**
+ * Check for expired notes in the trash once a day
+ */
+function scheduleTrashPurge() {
+  chrome.alarms.create(TRASH_PURGE_ALARM, { periodInMinutes: TRASH_PURGE_MINUTES });
+}
+
+/**
+ * Store the trash sealed or readable to match the vault (see vault.js)
+ * Needs the vault's key whenever a trashed note is sealed.
+ */
+async function resealTrash() {
+  const records = await readTrashRecords();
+  if (records.length === 0) return;
+  
+  const notes = await sealNotes(await openNotes(records.map(fromTrashRecord)));
+  await writeTrashRecords(notes.map((note, i) => ({
+    ...note,
+    contextKey: records[i].contextKey,
+    deletedAt: records[i].deletedAt
+  })));
+}
@@ -0,0 +1,17 @@
+﻿/**
+ * Offscreen Document for DotNCue
+ * Opened by the service worker during migrations to reach the extension's
+ * localStorage, which service workers can't access (see migrations.js)
+ */
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return;
+  
+  if (request.action === 'takeLegacySettings') {
+    // Hand over and clear the settings older versions saved here
+    const saved = localStorage.getItem('dotncue-settings') || localStorage.getItem('context-buddy-settings');
+    localStorage.removeItem('dotncue-settings');
+    localStorage.removeItem('context-buddy-settings');
+    sendResponse({ settings: saved });
+  }
+});
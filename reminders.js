@@ -0,0 +1,227 @@
+﻿/**
+ * Note Reminders for DotNCue
+ * Service worker side: a note with reminder { dueAt } gets a chrome.alarms
+ * alarm; when it fires we raise a notification, and clicking it reopens the
+ * note's page with the sidebar on that note
+ */
+
+// Alarm and notification names are this prefix plus the note ID
+const REMINDER_PREFIX = 'reminder:';
+
+// How long the notification's Snooze button puts a reminder off
+const REMINDER_SNOOZE_MS = 60 * 60 * 1000;
+
+// Session: { key, noteId, tabId } of a note to open once the vault is unlocked (see openNote)
+const PENDING_NOTE_OPEN_KEY = 'pending_note_open';
+
+/**
+ * Check whether a note has a reminder that is still to come or unhandled
+ */
+function hasPendingReminder(note) {
+  return Boolean(note && note.reminder && typeof note.reminder.dueAt === 'number');
+}
+
+/**
+ * Set, move or clear (dueAt null) a note's reminder
+ */
+function setReminder(key, noteId, dueAt) {
+  const reminder = typeof dueAt === 'number' ? { dueAt: dueAt } : null;
+  return updateNote(key, noteId, { reminder: reminder }, { recordRevision: false });
+}
+
+/**
+ * List pending reminders due before a time, soonest first:
+ * [{ ...note, contextKey }]
+ */
+async function listReminders(before) {
+  const buckets = await getAllNoteBuckets();
+  const reminders = [];
+  
+  Object.entries(buckets).forEach(([key, notes]) => {
+    notes.forEach(note => {
+      if (hasPendingReminder(note) && note.reminder.dueAt <= before) {
+        reminders.push({ ...note, contextKey: key });
+      }
+    });
+  });
+  
+  return reminders.sort((a, b) => a.reminder.dueAt - b.reminder.dueAt);
+}
+
+/**
+ * Find a note anywhere in storage by ID: { key, note } or null
+ * With stored, the note is returned as stored (sealed while the vault is on).
+ */
+async function findNoteById(noteId, { stored = false } = {}) {
+  const buckets = await getAllNoteBuckets({ stored: stored });
+  for (const [key, notes] of Object.entries(buckets)) {
+    const note = notes.find(n => n.id === noteId);
+    if (note) return { key: key, note: note };
+  }
+  return null;
+}
+
+/**
+ * Keep alarms in step with the reminders in changed note buckets
+ * (called on every note write, see onNoteChanges, so every way of editing notes is covered)
+ */
+function syncReminderAlarms(changes) {
+  Object.entries(changes).forEach(([key, change]) => {
+    if (!key.includes(':')) return;
+    
+    const dueTimes = (notes) => new Map((Array.isArray(notes) ? notes : [])
+      .filter(hasPendingReminder)
+      .map(note => [note.id, note.reminder.dueAt]));
+    
+    const before = dueTimes(change.oldValue);
+    const after = dueTimes(change.newValue);
+    
+    after.forEach((dueAt, noteId) => {
+      if (before.get(noteId) !== dueAt) {
+        chrome.alarms.create(REMINDER_PREFIX + noteId, { when: dueAt });
+      }
+    });
+    before.forEach((dueAt, noteId) => {
+      if (!after.has(noteId)) {
+        chrome.alarms.clear(REMINDER_PREFIX + noteId);
+        chrome.notifications.clear(REMINDER_PREFIX + noteId);
+      }
+    });
+  });
+}
+
+/**
+ * Re-create the alarm for every pending reminder (alarms don't survive
+ * every update or restart)
+ */
+async function scheduleAllReminders() {
+  // Reminders are readable in stored notes, so this works while the vault is locked
+  const buckets = await getAllNoteBuckets({ stored: true });
+  const alarms = await chrome.alarms.getAll();
+  const scheduled = new Set(alarms.map(alarm => alarm.name));
+  
+  Object.values(buckets).flat().forEach(note => {
+    if (hasPendingReminder(note) && !scheduled.has(REMINDER_PREFIX + note.id) && !note.reminder.notifiedAt) {
+      chrome.alarms.create(REMINDER_PREFIX + note.id, { when: note.reminder.dueAt });
+    }
+  });
+}
+
+/**
+ * Raise the notification for a reminder alarm
+ */
+async function handleReminderAlarm(alarm) {
+  const noteId = alarm.name.slice(REMINDER_PREFIX.length);
+  const found = await findNoteById(noteId, { stored: true });
+  if (!found || !hasPendingReminder(found.note)) return;
+  
+  const { key } = found;
+  // A locked vault keeps the note's text hidden until it is unlocked
+  const note = await isVaultLocked() ? found.note : (await openNotes([found.note]))[0];
+  const text = note.text || '';
+  const firstLine = text.split('\n').find(line => line.trim()) || text;
+  
+  chrome.notifications.create(REMINDER_PREFIX + noteId, {
+    type: 'basic',
+    iconUrl: 'icon128.png',
+    title: note.context?.title || 'DotNCue reminder',
+    message: note.sealed ? 'Unlock DotNCue to read this note' : firstLine.slice(0, 200),
+    buttons: [{ title: 'Snooze 1 hour' }, { title: 'Done' }],
+    requireInteraction: true
+  });
+  
+  // Remembered so a restart doesn't raise it again
+  await updateReminder(key, noteId, { ...note.reminder, notifiedAt: Date.now() });
+}
+
+/**
+ * Store a note's reminder from a background event
+ * The change itself works while the vault is locked; only reading the notes
+ * back afterwards doesn't, and nothing here needs them.
+ */
+async function updateReminder(key, noteId, reminder) {
+  try {
+    await updateNote(key, noteId, { reminder: reminder }, { recordRevision: false });
+  } catch (error) {
+    if (error.code !== VAULT_LOCKED) throw error;
+  }
+}
+
+/**
+ * Open the page a note was written on, with the sidebar showing that note
+ * The new tab's content script collects the note to focus (takeNoteFocus).
+ * While the vault is locked the page is sealed too, so a tab opens on the
+ * sidebar's unlock prompt instead and goes to the note once it is unlocked
+ * (openPendingNote). tabId reuses that tab rather than opening another.
+ */
+async function openNote(key, noteId, tabId = null) {
+  let found;
+  try {
+    found = key ? { key: key, note: (await getNotes(key)).find(n => n.id === noteId) } : await findNoteById(noteId);
+  } catch (error) {
+    if (error.code !== VAULT_LOCKED) throw error;
+    
+    const unlockTab = await chrome.tabs.create({ url: chrome.runtime.getURL('sidebar.html') });
+    await chrome.storage.session.set({ [PENDING_NOTE_OPEN_KEY]: { key: key, noteId: noteId, tabId: unlockTab.id } });
+    return;
+  }
+  
+  const url = found?.note?.context?.url;
+  if (!url) {
+    throw new Error(`Note ${noteId} has no page to open`);
+  }
+  
+  const tab = tabId === null ? await chrome.tabs.create({ url: url }) : await chrome.tabs.update(tabId, { url: url });
+  await chrome.storage.session.set({ [`note_focus_${tab.id}`]: { key: found.key, noteId: noteId } });
+}
+
+/**
+ * Open the note held back by a locked vault (see openNote), in the tab that
+ * asked for the passphrase; called once the vault is unlocked. Nothing opens
+ * if that tab has been closed since.
+ */
+async function openPendingNote() {
+  const { [PENDING_NOTE_OPEN_KEY]: pending = null } = await chrome.storage.session.get([PENDING_NOTE_OPEN_KEY]);
+  if (!pending) return;
+  
+  await chrome.storage.session.remove(PENDING_NOTE_OPEN_KEY);
+  try {
+    await chrome.tabs.get(pending.tabId);
+  } catch (error) {
+    return;
+  }
+  await openNote(pending.key, pending.noteId, pending.tabId);
+}
+
+/**
+ * Hand a tab's content script the note it was opened for, once
+ */
+async function takeNoteFocus(sender) {
+  if (!sender.tab) return null;
+  
+  const focusKey = `note_focus_${sender.tab.id}`;
+  const { [focusKey]: focus = null } = await chrome.storage.session.get([focusKey]);
+  if (focus) {
+    await chrome.storage.session.remove(focusKey);
+  }
+  return focus;
+}
+
+/**
+ * Handle clicks on a reminder notification and its Snooze / Done buttons
+ */
+async function handleReminderClick(notificationId, buttonIndex) {
+  const noteId = notificationId.slice(REMINDER_PREFIX.length);
+  chrome.notifications.clear(notificationId);
+  
+  const found = await findNoteById(noteId, { stored: true });
+  if (!found) return;
+  
+  if (buttonIndex === 0) {
+    await updateReminder(found.key, noteId, { dueAt: Date.now() + REMINDER_SNOOZE_MS });
+  } else if (buttonIndex === 1) {
+    await updateReminder(found.key, noteId, null);
+  } else {
+    await openNote(found.key, noteId);
+  }
+}
@@ -1,58 +1,107 @@
 ﻿/**
  * Sidebar Logic for DotNCue
- * Handles note storage, retrieval, and UI updates
+ * Handles note display and UI updates; notes are read and written through the
+ * service worker's broker API (callBackground, see messaging.js)
  */
 
 // Global state
 let currentContext = null;
 let currentNotes = [];
-let relatedNotes = [];
-let allNotes = [];
-let currentView = 'current'; // 'current' or 'all'
+let peopleNotes = {}; // person key -> notes[]
+let relatedNotes = []; // Most related first, each with relevance: { score, reasons } (see note-relevance.js)
+let backlinks = []; // Notes elsewhere that [[link]] to this context (see note-links.js)
+let allNotes = []; // Pages of All Notes loaded so far, for the current filters and sort
+let allNotesPage = null; // { total, apps, tags } of the All Notes query (see note-store.js queryNotes)
+let allNotesLoads = 0; // Counts All Notes queries, so a slow one can't overwrite a newer one
+let currentView = 'current'; // 'current', 'all' or 'trash'
 let appFilter = 'all';
+let tagFilter = 'all';
+let knownTags = []; // [{ tag, count }] across all notes, for autocomplete
+let noteInputTags = null; // Chip editor for the add-note form (see createTagEditor)
 let sortOrder = 'newest';
+let searchQuery = '';
+let searchResults = null; // { results, total, terms } for searchQuery, ranked by the service worker
+let searchTimer = null;
+let shownAllNotes = []; // Notes currently listed in All Notes, after filters and search
+let syncStatus = null; // { state, lastSyncAt, error, conflicts } from the service worker (see note-sync.js)
+let vaultStatus = null; // { enabled, unlocked, lockMinutes } from the service worker (see vault.js)
+let customRules = [];
+let contentChannel = null; // Typed channel to the content script (see messaging.js)
+let historyNote = null; // { note, contextKey, selected } shown in the history panel
+let dueSoonNotes = []; // Pending reminders due within DUE_SOON_MS, soonest first
+let pendingFocus = null; // { noteId, contextKey } to show once its note is rendered
+let trashNotes = []; // Notes in the trash, most recently deleted first (see note-trash.js)
+let contexts = []; // [{ key, app, title, count, updatedAt, renamed, aliases }] with notes (see context-manager.js), also for [[link]] autocomplete
+let contextsStale = true; // contexts needs loading before it is next shown (see refreshContexts)
+let undoTimer = null; // Hides the undo toast
 
-// Settings
-let settings = {
-  apiKey: '',
-  model: 'llama-3.3-70b-versatile',
-  prompt: 'Analyze the following web page content and provide a concise, informative summary in 2-3 sentences. Focus on the main topic, key points, and any important takeaways. Keep it brief and actionable.\n\nContent:\n{content}'
-};
+// How far ahead the Due soon list looks (overdue reminders always show)
+const DUE_SOON_MS = 3 * 24 * 60 * 60 * 1000;
 
-// Default prompt
-const DEFAULT_PROMPT = 'Analyze the following web page content and provide a concise, informative summary in 2-3 sentences. Focus on the main topic, key points, and any important takeaways. Keep it brief and actionable.\n\nContent:\n{content}';
+// Wait for a pause in typing before searching
+const SEARCH_DEBOUNCE_MS = 150;
+
+// Notes fetched per "Show more" in All Notes
+const ALL_NOTES_PAGE_SIZE = 50;
+
+// How long a deleted note can be brought back from the toast
+const UNDO_TOAST_MS = 8000;
+
+// Settings (stored by the service worker, with its defaults filled in)
+let settings = {};
 
 /**
  * Initialize sidebar when loaded
  */
 function initialize() {
+  loadVaultStatus();
   loadSettings();
+  loadCustomRules();
   setupEventListeners();
   setupMessageListener();
+  watchNoteChanges();
+  loadKnownTags();
+  loadDueSoon();
+  loadSyncStatus();
+  
+  // Reminders become due (and overdue) as time passes
+  setInterval(renderDueSoon, 60000);
 }
 
 /**
- * Load settings from localStorage
+ * Load settings from the service worker
  */
-function loadSettings() {
-  const saved = localStorage.getItem('dotncue-settings') || localStorage.getItem('context-buddy-settings');
-  if (saved) {
-    try {
-      const parsed = JSON.parse(saved);
-      settings = { ...settings, ...parsed };
-    } catch (e) {
-      console.error('Failed to load settings:', e);
-    }
+async function loadSettings() {
+  try {
+    settings = await callBackground('getSettings');
+  } catch (e) {
+    console.error('Failed to load settings:', e);
   }
   
-  // Update settings UI
+  updateSettingsForm();
+}
+
+/**
+ * Show the current settings in the settings form
+ */
+function updateSettingsForm() {
   const apiKeyInput = document.getElementById('apiKeyInput');
   const modelSelect = document.getElementById('modelSelect');
   const promptInput = document.getElementById('promptInput');
   
   if (apiKeyInput) apiKeyInput.value = settings.apiKey || '';
-  if (modelSelect) modelSelect.value = settings.model || 'llama-3.3-70b-versatile';
-  if (promptInput) promptInput.value = settings.prompt || DEFAULT_PROMPT;
+  if (modelSelect && settings.model) modelSelect.value = settings.model;
+  if (promptInput) promptInput.value = settings.prompt || '';
+  document.getElementById('syncEnabledInput').checked = Boolean(settings.syncEnabled);
+  if (settings.vaultLockMinutes !== undefined) {
+    document.getElementById('vaultLockSelect').value = String(settings.vaultLockMinutes);
+  }
+  if (settings.trashRetentionDays !== undefined) {
+    document.getElementById('trashRetentionSelect').value = String(settings.trashRetentionDays);
+  }
+  if (settings.relatedThreshold !== undefined) {
+    document.getElementById('relatedThresholdSelect').value = String(settings.relatedThreshold);
+  }
 }
 
 /**
@@ -66,6 +115,20 @@ function setupEventListeners() {
   // Auto-resize textarea
   const textarea = document.getElementById('noteInput');
   textarea.addEventListener('input', autoResizeTextarea);
+  attachNoteAutocomplete(textarea);
+  
+  // Tag chips for the note being written
+  noteInputTags = createTagEditor();
+  document.getElementById('noteTagEditor').appendChild(noteInputTags.element);
+  
+  // Markdown preview
+  document.getElementById('notePreviewBtn').addEventListener('click', () => {
+    const show = document.getElementById('notePreview').style.display === 'none';
+    setNotePreview(show);
+    if (!show) {
+      textarea.focus();
+    }
+  });
   
   // Tab navigation
   const tabCurrent = document.getElementById('tabCurrent');
@@ -73,6 +136,15 @@ function setupEventListeners() {
   
   tabCurrent.addEventListener('click', () => switchView('current'));
   tabAll.addEventListener('click', () => switchView('all'));
+  document.getElementById('tabTrash').addEventListener('click', () => switchView('trash'));
+  
+  // Trash
+  document.getElementById('emptyTrashBtn').addEventListener('click', handleEmptyTrash);
+  document.getElementById('undoBtn').addEventListener('click', () => {
+    const { noteId } = document.getElementById('undoToast').dataset;
+    hideUndoToast();
+    handleRestoreNote(noteId);
+  });
   
   // Filters and sort
   const appFilterSelect = document.getElementById('appFilter');
@@ -80,20 +152,32 @@ function setupEventListeners() {
   
   appFilterSelect.addEventListener('change', (e) => {
     appFilter = e.target.value;
-    renderAllNotes();
+    reloadAllNotes();
+  });
+  
+  document.getElementById('tagFilter').addEventListener('change', (e) => {
+    tagFilter = e.target.value;
+    reloadAllNotes();
   });
   
   sortOrderSelect.addEventListener('change', (e) => {
     sortOrder = e.target.value;
-    renderAllNotes();
+    reloadAllNotes();
+  });
+  
+  // Search
+  document.getElementById('searchInput').addEventListener('input', (e) => {
+    searchQuery = e.target.value;
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
   });
   
   // Switch side button
   const switchSideBtn = document.getElementById('switchSideBtn');
   if (switchSideBtn) {
     switchSideBtn.addEventListener('click', () => {
-      // Send message to parent window (content script)
-      window.parent.postMessage({ type: 'SWITCH_SIDE' }, '*');
+      // Ask the content script to move the sidebar
+      sendToContent(MESSAGE_TYPES.SWITCH_SIDE);
     });
   }
   
@@ -101,8 +185,8 @@ function setupEventListeners() {
   const closeSidebarBtn = document.getElementById('closeSidebarBtn');
   if (closeSidebarBtn) {
     closeSidebarBtn.addEventListener('click', () => {
-      // Send message to parent window (content script)
-      window.parent.postMessage({ type: 'CLOSE_SIDEBAR' }, '*');
+      // Ask the content script to close the sidebar
+      sendToContent(MESSAGE_TYPES.CLOSE_SIDEBAR);
     });
   }
   
@@ -134,6 +218,66 @@ function setupEventListeners() {
     });
   }
   
+  // History panel
+  document.getElementById('historyCloseBtn').addEventListener('click', closeHistory);
+  document.getElementById('historyDiffToggle').addEventListener('change', renderHistory);
+  document.getElementById('historyRestoreBtn').addEventListener('click', restoreRevision);
+  const historyModal = document.getElementById('historyModal');
+  historyModal.addEventListener('click', (e) => {
+    if (e.target === historyModal) {
+      closeHistory();
+    }
+  });
+  
+  // Context manager
+  document.getElementById('contextsBtn').addEventListener('click', openContextManager);
+  document.getElementById('contextsCloseBtn').addEventListener('click', closeContextManager);
+  document.getElementById('contextSearchInput').addEventListener('input', renderContextList);
+  const contextsModal = document.getElementById('contextsModal');
+  contextsModal.addEventListener('click', (e) => {
+    if (e.target === contextsModal) {
+      closeContextManager();
+    }
+  });
+  
+  // Sync panel
+  document.getElementById('syncStatusBtn').addEventListener('click', openSyncPanel);
+  document.getElementById('syncCloseBtn').addEventListener('click', closeSyncPanel);
+  document.getElementById('syncNowBtn').addEventListener('click', handleSyncNow);
+  const syncModal = document.getElementById('syncModal');
+  syncModal.addEventListener('click', (e) => {
+    if (e.target === syncModal) {
+      closeSyncPanel();
+    }
+  });
+  
+  // Encryption: lock button, unlock screen and the settings section
+  document.getElementById('lockBtn').addEventListener('click', lockVault);
+  document.getElementById('vaultUnlockBtn').addEventListener('click', handleUnlock);
+  document.getElementById('vaultUnlockInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      handleUnlock();
+    }
+  });
+  document.getElementById('vaultToggleBtn').addEventListener('click', handleVaultToggle);
+  
+  // Add custom site rule
+  const ruleAddBtn = document.getElementById('ruleAddBtn');
+  if (ruleAddBtn) {
+    ruleAddBtn.addEventListener('click', handleAddRule);
+  }
+  
+  // Export and import
+  const importFileInput = document.getElementById('importFileInput');
+  document.getElementById('exportBtn').addEventListener('click', handleExport);
+  document.getElementById('importBtn').addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', () => {
+    if (importFileInput.files.length > 0) {
+      handleImport(importFileInput.files[0]);
+    }
+    importFileInput.value = '';
+  });
+  
   // Analyze button
   const analyzeBtn = document.getElementById('analyzeBtn');
   if (analyzeBtn) {
@@ -142,43 +286,122 @@ function setupEventListeners() {
 }
 
 /**
- * Listen for messages from content script
+ * Wait for the content script's handshake (see messaging.js)
+ * Only a HANDSHAKE from the parent page whose token the service worker vouches
+ * for is accepted; anything else posted to this window is ignored.
  */
 function setupMessageListener() {
-  window.addEventListener('message', (event) => {
-    // Make sure message is from our extension
-    if (event.data && event.data.type === 'CONTEXT_UPDATE') {
-      const newContext = event.data.context;
-      console.log('DotNCue Sidebar: Received context update', newContext);
-      
-      // Check if this is a loading state
-      if (newContext.isLoading) {
-        console.log('DotNCue Sidebar: Showing loading state');
-        currentContext = newContext;
-        showLoadingState();
-        return;
-      }
-      
-      // Store previous URL to detect changes
-      const previousUrl = currentContext?.url;
-      const previousTitle = currentContext?.title;
-      currentContext = newContext;
-      
-      // Check if URL actually changed (always reload on URL change)
-      const urlChanged = previousUrl && previousUrl !== currentContext?.url;
-      
-      if (urlChanged || !previousUrl || previousTitle === 'Loading...') {
-        console.log('DotNCue Sidebar: URL changed or loading complete, triggering full reload');
-        console.log('  Previous:', previousTitle, '-', previousUrl);
-        console.log('  Current:', currentContext.title, '-', currentContext.url);
-        
-        // Full reload when URL changes or first load or after loading state
-        reloadExtension();
-      } else {
-        console.log('DotNCue Sidebar: Same URL, just updating display');
-        // Just update display if same URL (title might have changed)
-        updateContextDisplay();
-      }
+  window.addEventListener('message', async (event) => {
+    if (event.source !== window.parent || !isProtocolMessage(event.data) ||
+        event.data.type !== MESSAGE_TYPES.HANDSHAKE || event.ports.length !== 1) {
+      console.warn('DotNCue Sidebar: Rejected window message', event.data);
+      return;
+    }
+    
+    const port = event.ports[0];
+    const { valid } = await chrome.runtime.sendMessage({
+      action: 'verifySidebarToken',
+      token: event.data.payload?.token
+    });
+    
+    if (!valid) {
+      console.warn('DotNCue Sidebar: Rejected handshake with an unknown token');
+      port.close();
+      return;
+    }
+    
+    if (contentChannel) {
+      contentChannel.close();
+    }
+    contentChannel = createPortChannel(port, {
+      [MESSAGE_TYPES.CONTEXT_UPDATE]: (payload) => handleContextUpdate(payload.context),
+      [MESSAGE_TYPES.FOCUS_NOTE]: (payload) => focusNote(payload.noteId, payload.contextKey)
+    });
+    contentChannel.send(MESSAGE_TYPES.READY);
+    console.log('DotNCue Sidebar: Connected to content script');
+  });
+}
+
+/**
+ * Send a one-way message to the content script (dropped before the handshake)
+ */
+function sendToContent(type, payload = {}) {
+  if (contentChannel) {
+    contentChannel.send(type, payload);
+  }
+}
+
+/**
+ * Apply a context update from the content script
+ */
+function handleContextUpdate(newContext) {
+  if (!newContext) return;
+  
+  console.log('DotNCue Sidebar: Received context update', newContext);
+  
+  // Check if this is a loading state
+  if (newContext.isLoading) {
+    console.log('DotNCue Sidebar: Showing loading state');
+    currentContext = newContext;
+    showLoadingState();
+    return;
+  }
+  
+  // Store previous URL and key to detect changes
+  const previousUrl = currentContext?.url;
+  const previousTitle = currentContext?.title;
+  const previousKey = currentContext?.key;
+  currentContext = newContext;
+  
+  // Check if URL or key actually changed (a Calendar dialog changes the key, not the URL)
+  const urlChanged = previousUrl && previousUrl !== currentContext.url;
+  const keyChanged = previousKey !== currentContext.key;
+  
+  if (urlChanged || keyChanged || !previousUrl || previousTitle === 'Loading...') {
+    console.log('DotNCue Sidebar: Context changed or loading complete, triggering full reload');
+    console.log('  Previous:', previousTitle, '-', previousUrl);
+    console.log('  Current:', currentContext.title, '-', currentContext.url);
+    
+    // Full reload when URL changes or first load or after loading state
+    reloadExtension();
+  } else {
+    console.log('DotNCue Sidebar: Same context, just updating display');
+    // Just update display if same URL (title might have changed)
+    updateContextDisplay();
+  }
+}
+
+/**
+ * Reload notes when another tab (or the service worker) changes the contexts shown here
+ * Notes are in IndexedDB, which storage.onChanged doesn't cover, so the service
+ * worker reports each write's context keys as a notesChanged message.
+ */
+function watchNoteChanges() {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action !== 'notesChanged' || !currentContext || currentContext.isLoading) return;
+    
+    const changedKeys = message.keys;
+    
+    loadKnownTags();
+    refreshContexts();
+    loadDueSoon();
+    
+    const peopleKeys = (currentContext.people || []).map(person => person.key);
+    if (changedKeys.includes(currentContext.key)) {
+      loadNotes();
+    }
+    if (changedKeys.some(key => peopleKeys.includes(key))) {
+      loadPeopleNotes();
+    }
+    if (changedKeys.some(key => key !== currentContext.key && !peopleKeys.includes(key))) {
+      findRelatedNotes();
+      loadBacklinks();
+    }
+    if (currentView === 'all') {
+      loadAllNotes();
+    }
+    if (currentView === 'trash') {
+      loadTrash();
     }
   });
 }
@@ -197,10 +420,13 @@ function reloadExtension() {
   if (textarea) {
     textarea.value = '';
     textarea.style.height = 'auto';
+    setNotePreview(false);
+    noteInputTags.setTags([]);
+    document.getElementById('noteDueInput').value = '';
   }
   
-  // Switch to current view if in all view (user is navigating, show context-specific notes)
-  if (currentView === 'all') {
+  // Switch to current view if in all notes or the trash (user is navigating, show context-specific notes)
+  if (currentView !== 'current') {
     switchView('current');
   }
   
@@ -208,7 +434,9 @@ function reloadExtension() {
   setTimeout(() => {
     updateContextDisplay();
     loadNotes();
+    loadPeopleNotes();
     findRelatedNotes();
+    loadBacklinks();
     hideLoadingState();
     
     // Log completion
@@ -223,6 +451,8 @@ function showLoadingState() {
   const titleElement = document.getElementById('contextTitle');
   const notesList = document.getElementById('notesList');
   const relatedSection = document.getElementById('relatedNotesSection');
+  const backlinksSection = document.getElementById('backlinksSection');
+  const peopleSection = document.getElementById('peopleSection');
   
   if (titleElement) {
     titleElement.style.opacity = '0.5';
@@ -239,10 +469,16 @@ function showLoadingState() {
     `;
   }
   
-  // Hide related notes
+  // Hide related, linking and people notes
   if (relatedSection) {
     relatedSection.style.display = 'none';
   }
+  if (backlinksSection) {
+    backlinksSection.style.display = 'none';
+  }
+  if (peopleSection) {
+    peopleSection.style.display = 'none';
+  }
   
   console.log('DotNCue Sidebar: Loading state displayed');
 }
@@ -283,6 +519,15 @@ function updateContextDisplay() {
     case 'docs':
       emoji = '\ud83d\udcdd';
       break;
+    case 'sheets':
+      emoji = '\ud83d\udcca';
+      break;
+    case 'slides':
+      emoji = '\ud83d\udcfd\ufe0f';
+      break;
+    case 'forms':
+      emoji = '\ud83d\udccb';
+      break;
     case 'calendar':
       emoji = '\ud83d\udcc5';
       break;
@@ -308,6 +553,55 @@ function updateContextDisplay() {
   
   titleElement.textContent = `${emoji} ${currentContext.title}`;
   
+  // Calendar events show when they start and who is invited; linked Meet calls say so
+  const detailsElement = document.getElementById('contextDetails');
+  if (detailsElement) {
+    const details = [];
+    if (currentContext.startTime) {
+      details.push(currentContext.startTime);
+    }
+    if (currentContext.attendees?.length) {
+      details.push(`${currentContext.attendees.length} attendee${currentContext.attendees.length !== 1 ? 's' : ''}`);
+    }
+    if (currentContext.meetLink) {
+      details.push('Meet');
+    }
+    if (currentContext.linkedEventKey) {
+      details.push('Shared with Calendar event');
+    }
+    
+    detailsElement.textContent = details.join(' \u00b7 ');
+    detailsElement.title = currentContext.attendees?.join(', ') || '';
+    detailsElement.style.display = details.length > 0 ? 'block' : 'none';
+  }
+  
+  // Gmail threads get their own section title; notes can be saved to anyone present
+  const sectionTitle = document.getElementById('notesSectionTitle');
+  const noteTarget = document.getElementById('noteTarget');
+  const people = currentContext.people || [];
+  
+  if (sectionTitle) {
+    sectionTitle.textContent = currentContext.kind === 'thread' ? 'Notes for this thread' : 'Notes for this context';
+  }
+  if (noteTarget) {
+    noteTarget.innerHTML = '';
+    
+    const contextOption = document.createElement('option');
+    contextOption.value = 'context';
+    contextOption.textContent = currentContext.kind === 'thread' ? 'This thread' : 'This context';
+    noteTarget.appendChild(contextOption);
+    
+    people.forEach(person => {
+      const option = document.createElement('option');
+      option.value = person.key;
+      option.textContent = `\ud83d\udc64 ${person.name}`;
+      noteTarget.appendChild(option);
+    });
+    
+    noteTarget.value = 'context';
+    noteTarget.style.display = people.length > 0 ? 'block' : 'none';
+  }
+  
   console.log('DotNCue Sidebar: Display updated to', currentContext.title);
 }
 
@@ -319,10 +613,93 @@ async function loadNotes() {
   
   const key = currentContext.key;
   
-  chrome.storage.local.get([key], (result) => {
-    currentNotes = result[key] || [];
+  try {
+    const notes = await callBackground('getNotes', { key: key });
+    if (currentContext.key !== key) return; // Navigated away meanwhile
+    
+    currentNotes = notes;
     renderNotes();
+    syncStoredTitle();
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load notes:', error);
+  }
+}
+
+/**
+ * Keep the title stored on the current context's notes in step with the page
+ * (keys like docs:<fileId> don't change when a file is renamed, the title does)
+ */
+async function syncStoredTitle() {
+  const title = currentContext.title;
+  const stale = currentNotes.some(note => note.context && note.context.title !== title);
+  
+  if (!stale || currentContext.isLoading) return;
+  
+  try {
+    await callBackground('updateContextTitle', { key: currentContext.key, title: title });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to update stored title:', error);
+  }
+}
+
+/**
+ * Load notes about the people present in the current context
+ */
+async function loadPeopleNotes() {
+  const peopleSection = document.getElementById('peopleSection');
+  const people = currentContext?.people || [];
+  
+  if (people.length === 0) {
+    peopleNotes = {};
+    peopleSection.style.display = 'none';
+    return;
+  }
+  
+  try {
+    peopleNotes = await callBackground('getNotesForKeys', { keys: people.map(person => person.key) });
+    renderPeopleNotes();
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load people notes:', error);
+  }
+}
+
+/**
+ * Render the People section, one group per person with notes
+ */
+function renderPeopleNotes() {
+  const peopleSection = document.getElementById('peopleSection');
+  const peopleList = document.getElementById('peopleList');
+  const people = (currentContext?.people || []).filter(person => peopleNotes[person.key]?.length > 0);
+  
+  if (people.length === 0) {
+    peopleSection.style.display = 'none';
+    return;
+  }
+  
+  peopleSection.style.display = 'block';
+  peopleList.innerHTML = '';
+  
+  people.forEach(person => {
+    const notes = peopleNotes[person.key];
+    
+    const personName = document.createElement('div');
+    personName.className = 'person-name';
+    personName.textContent = `\ud83d\udc64 ${person.name}`;
+    
+    const list = document.createElement('ul');
+    list.className = 'notes-list';
+    
+    // Newest first
+    [...notes].reverse().forEach(note => {
+      const noteItem = createNoteElement(note, false, person.key);
+      list.appendChild(noteItem);
+    });
+    
+    peopleList.appendChild(personName);
+    peopleList.appendChild(list);
   });
+  
+  applyPendingFocus();
 }
 
 /**
@@ -345,40 +722,49 @@ function renderNotes() {
     return;
   }
   
-  // Render each note (newest first)
-  const sortedNotes = [...currentNotes].reverse();
-  sortedNotes.forEach((note, index) => {
-    const noteItem = createNoteElement(note, currentNotes.length - 1 - index);
+  const sortedNotes = [...currentNotes];
+  
+  if (currentContext?.videoId) {
+    // Video notes in playback order; notes without a position go last, newest first
+    sortedNotes.sort((a, b) => {
+      const timeA = typeof a.videoTime === 'number' ? a.videoTime : Infinity;
+      const timeB = typeof b.videoTime === 'number' ? b.videoTime : Infinity;
+      return timeA - timeB || b.createdAt - a.createdAt;
+    });
+  } else {
+    // Newest first
+    sortedNotes.sort((a, b) => b.createdAt - a.createdAt);
+  }
+  
+  sortedNotes.forEach(note => {
+    const noteItem = createNoteElement(note);
     notesList.appendChild(noteItem);
   });
+  
+  applyPendingFocus();
 }
 
 /**
  * Create a note element
  */
-function createNoteElement(note, index, isRelated = false) {
+function createNoteElement(note, isRelated = false, contextKey = null) {
   const li = document.createElement('li');
   li.className = isRelated ? 'note-item related-note-item' : 'note-item';
+  li.dataset.noteId = note.id;
   
-  const noteText = document.createElement('div');
-  noteText.className = 'note-text';
-  noteText.textContent = note.text;
+  const noteKey = isRelated ? note.contextKey : (contextKey || currentContext.key);
+  const noteText = createNoteTextElement(note, noteKey);
   
   const noteMeta = document.createElement('div');
   noteMeta.className = 'note-meta';
   
   const noteDate = document.createElement('span');
   noteDate.className = 'note-date';
-  noteDate.textContent = formatDate(note.timestamp);
-  
-  const deleteButton = document.createElement('button');
-  deleteButton.className = 'note-delete';
-  deleteButton.textContent = 'Delete';
-  deleteButton.onclick = () => handleDeleteNote(index, isRelated ? note.contextKey : null);
+  noteDate.textContent = formatNoteDate(note);
   
   noteMeta.appendChild(noteDate);
   if (!isRelated) {
-    noteMeta.appendChild(deleteButton);
+    noteMeta.appendChild(createNoteActions(noteText, note, noteKey, contextKey));
   } else {
     // Show context info for related notes
     const contextInfo = document.createElement('div');
@@ -386,6 +772,7 @@ function createNoteElement(note, index, isRelated = false) {
     contextInfo.style.flexDirection = 'column';
     contextInfo.style.gap = '2px';
     contextInfo.style.marginTop = '4px';
+    contextInfo.style.minWidth = '0';
     
     const contextApp = document.createElement('span');
     contextApp.style.fontSize = '10px';
@@ -403,7 +790,17 @@ function createNoteElement(note, index, isRelated = false) {
       contextInfo.appendChild(contextTitle);
     }
     
+    // Why a related note is shown: "42% match: shared participant: alice@..."
+    if (note.relevance) {
+      const reason = document.createElement('span');
+      reason.className = 'related-reason';
+      reason.textContent = [`${Math.round(note.relevance.score * 100)}% match`, ...note.relevance.reasons].join(' \u00b7 ');
+      reason.title = reason.textContent;
+      contextInfo.appendChild(reason);
+    }
+    
     noteMeta.appendChild(contextInfo);
+    noteMeta.appendChild(createNoteActions(noteText, note, noteKey, null, { canDelete: false }));
   }
   
   li.appendChild(noteText);
@@ -412,6 +809,267 @@ function createNoteElement(note, index, isRelated = false) {
   return li;
 }
 
+/**
+ * Render a note's Markdown text, with its video position and working checkboxes
+ */
+function createNoteTextElement(note, contextKey) {
+  const noteText = document.createElement('div');
+  noteText.className = 'note-text markdown';
+  noteText.appendChild(renderMarkdown(note.text));
+  
+  if (typeof note.videoTime === 'number') {
+    // Inline with the first paragraph when there is one
+    const first = noteText.firstElementChild;
+    (first && first.tagName === 'P' ? first : noteText).prepend(createVideoTimeElement(note));
+  }
+  
+  if (note.tags?.length > 0) {
+    const tagRow = document.createElement('div');
+    tagRow.className = 'note-tags';
+    note.tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'note-tag';
+      chip.dataset.tag = tag;
+      chip.textContent = `#${tag}`;
+      tagRow.appendChild(chip);
+    });
+    noteText.appendChild(tagRow);
+  }
+  
+  noteText.querySelectorAll('.note-tag').forEach(chip => {
+    chip.title = 'Show all notes with this tag';
+    chip.addEventListener('click', () => filterByTag(chip.dataset.tag));
+  });
+  
+  noteText.querySelectorAll('.wiki-link').forEach(link => {
+    link.addEventListener('click', () => openWikiLink(link.dataset.link));
+  });
+  
+  noteText.querySelectorAll('input[data-task-index]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      toggleNoteTask(note, contextKey, Number(checkbox.dataset.taskIndex), checkbox.checked);
+    });
+  });
+  
+  return noteText;
+}
+
+/**
+ * Save a ticked or unticked checklist item back to the note's text
+ */
+async function toggleNoteTask(note, contextKey, taskIndex, checked) {
+  const text = toggleMarkdownTask(note.text, taskIndex, checked);
+  
+  try {
+    // Ticking items isn't an edit worth a revision
+    await callBackground('updateNote', {
+      key: contextKey,
+      noteId: note.id,
+      changes: { text: text },
+      recordRevision: false
+    });
+    note.text = text;
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to update checklist:', error);
+    refreshNoteLists();
+  }
+}
+
+/**
+ * Create the Edit / History / Move / Delete buttons for a note
+ * deleteContextKey and fromAllView are passed on to handleDeleteNote.
+ */
+function createNoteActions(noteText, note, contextKey, deleteContextKey, { canDelete = true, fromAllView = false } = {}) {
+  const actions = document.createElement('span');
+  actions.className = 'note-actions';
+  
+  const editButton = document.createElement('button');
+  editButton.className = 'note-delete note-action';
+  editButton.textContent = 'Edit';
+  editButton.onclick = () => startEditingNote(noteText, note, contextKey);
+  actions.appendChild(editButton);
+  
+  if (note.revisions?.length > 0) {
+    const historyButton = document.createElement('button');
+    historyButton.className = 'note-delete note-action';
+    historyButton.textContent = `History (${note.revisions.length})`;
+    historyButton.onclick = () => openHistory(note, contextKey);
+    actions.appendChild(historyButton);
+  }
+  
+  const moveButton = document.createElement('button');
+  moveButton.className = 'note-delete note-action';
+  moveButton.textContent = 'Move';
+  moveButton.onclick = () => startMovingNote(actions, note, contextKey);
+  actions.appendChild(moveButton);
+  
+  const linkButton = document.createElement('button');
+  linkButton.className = 'note-delete note-action';
+  linkButton.textContent = 'Link';
+  linkButton.title = 'Link to this note from the note being written';
+  linkButton.onclick = () => insertNoteLink(note);
+  actions.appendChild(linkButton);
+  
+  if (canDelete) {
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'note-delete';
+    deleteButton.textContent = 'Delete';
+    deleteButton.onclick = () => handleDeleteNote(note.id, deleteContextKey, fromAllView);
+    actions.appendChild(deleteButton);
+  }
+  
+  return actions;
+}
+
+/**
+ * Replace a note's buttons with a picker for the context to move it to
+ */
+async function startMovingNote(actions, note, contextKey) {
+  try {
+    contexts = await callBackground('listContexts');
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load contexts:', error);
+    alert(`Failed to load contexts: ${error.message}`);
+    return;
+  }
+  
+  const picker = document.createElement('span');
+  picker.className = 'note-actions move-picker';
+  
+  const select = document.createElement('select');
+  select.className = 'filter-select';
+  
+  // The page open here may not have notes yet
+  if (currentContext && !currentContext.isLoading && currentContext.key !== contextKey &&
+      !contexts.some(context => context.key === currentContext.key)) {
+    select.appendChild(new Option(`This page: ${currentContext.title}`, currentContext.key));
+  }
+  contexts.filter(context => context.key !== contextKey).forEach(context => {
+    select.appendChild(new Option(`${context.title} (${context.app})`, context.key));
+  });
+  
+  const moveButton = document.createElement('button');
+  moveButton.className = 'note-delete note-action';
+  moveButton.textContent = 'Move';
+  moveButton.disabled = select.options.length === 0;
+  moveButton.onclick = async () => {
+    try {
+      await callBackground('moveNote', { key: contextKey, noteId: note.id, toKey: select.value });
+    } catch (error) {
+      console.error('DotNCue Sidebar: Failed to move note:', error);
+      alert(`Failed to move note: ${error.message}`);
+      return;
+    }
+    refreshNoteLists();
+  };
+  
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'note-delete note-action';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.onclick = () => picker.replaceWith(actions);
+  
+  picker.appendChild(select);
+  picker.appendChild(moveButton);
+  picker.appendChild(cancelButton);
+  actions.replaceWith(picker);
+}
+
+/**
+ * Create the clickable playback position for a YouTube note
+ */
+function createVideoTimeElement(note) {
+  const timeButton = document.createElement('button');
+  timeButton.className = 'note-time';
+  timeButton.textContent = formatVideoTime(note.videoTime);
+  timeButton.title = 'Jump to this moment';
+  
+  timeButton.onclick = () => {
+    const videoId = note.context?.videoId;
+    
+    if (!videoId || videoId === currentContext?.videoId) {
+      // Same video: ask the content script to seek the player
+      sendToContent(MESSAGE_TYPES.SEEK_VIDEO, { time: note.videoTime });
+    } else {
+      // Another video: open it at that position
+      window.open(`https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(note.videoTime)}s`, '_blank');
+    }
+  };
+  
+  return timeButton;
+}
+
+/**
+ * Format a playback position in seconds as m:ss or h:mm:ss
+ */
+function formatVideoTime(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+  }
+  return `${minutes}:${secs}`;
+}
+
+/**
+ * Ask the content script for the current video position (null if unavailable)
+ */
+async function requestPlaybackTime() {
+  if (!contentChannel) return null;
+  
+  try {
+    const time = await contentChannel.request(MESSAGE_TYPES.GET_PLAYBACK_TIME, {}, 1000);
+    return typeof time === 'number' ? time : null;
+  } catch (error) {
+    console.error('DotNCue Sidebar: Could not read playback time:', error);
+    return null;
+  }
+}
+
+/**
+ * Format when a note was written, marking notes edited since and reminders
+ */
+function formatNoteDate(note) {
+  const created = formatDate(note.createdAt);
+  const written = note.updatedAt > note.createdAt ? `${created} \u00b7 edited ${formatDate(note.updatedAt)}` : created;
+  return note.reminder ? `${written} \u00b7 \u23f0 ${formatDueDate(note.reminder.dueAt)}` : written;
+}
+
+/**
+ * Format when a reminder is due, e.g. "Tue, Oct 20, 9:00 AM" or "overdue"
+ */
+function formatDueDate(timestamp) {
+  const due = new Date(timestamp).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  return timestamp <= Date.now() ? `${due} (overdue)` : due;
+}
+
+/**
+ * Format a timestamp for a datetime-local input ("" for none)
+ */
+function toDateTimeInputValue(timestamp) {
+  if (typeof timestamp !== 'number') return '';
+  
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Read a datetime-local input as a timestamp (null when empty)
+ */
+function fromDateTimeInputValue(value) {
+  const timestamp = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
 /**
  * Format timestamp to readable date
  */
@@ -460,332 +1118,349 @@ async function handleAddNote(event) {
   const textarea = document.getElementById('noteInput');
   const noteText = textarea.value.trim();
   
-  if (!noteText || !currentContext) {
+  if (!noteText || !currentContext || currentContext.isLoading) {
     return;
   }
   
+  // Notes can be saved about one of the people present instead of the context
+  const noteTarget = document.getElementById('noteTarget');
+  const person = (currentContext.people || []).find(p => noteTarget && p.key === noteTarget.value);
+  
   // Create note object
+  // The service worker adds the ID and created/updated times
   const note = {
     text: noteText,
-    timestamp: Date.now(),
-    context: currentContext
+    tags: noteInputTags.getTags(),
+    context: person ? getPersonContext(person) : currentContext
   };
   
-  // Add to current notes array
-  currentNotes.push(note);
+  const dueInput = document.getElementById('noteDueInput');
+  const dueAt = fromDateTimeInputValue(dueInput.value);
+  if (dueAt !== null) {
+    note.reminder = { dueAt: dueAt };
+  }
   
-  // Save to storage
-  const key = currentContext.key;
-  chrome.storage.local.set({ [key]: currentNotes }, () => {
-    // Clear textarea
-    textarea.value = '';
-    
-    // Re-render notes
-    renderNotes();
-    
-    // Update related notes
-    findRelatedNotes();
-    
-    // If we're in all view, reload all notes
-    if (currentView === 'all') {
-      loadAllNotes();
+  // Pin YouTube notes to the current playback position
+  if (currentContext.videoId) {
+    const videoTime = await requestPlaybackTime();
+    if (videoTime !== null) {
+      note.videoTime = videoTime;
     }
-  });
+  }
+  
+  // Save through the service worker, which appends to the latest stored notes
+  const key = person ? person.key : currentContext.key;
+  let savedNotes;
+  try {
+    savedNotes = await callBackground('addNote', { key: key, note: note });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to save note:', error);
+    alert(`Failed to save note: ${error.message}`);
+    return;
+  }
+  
+  // Clear textarea
+  textarea.value = '';
+  setNotePreview(false);
+  noteInputTags.setTags([]);
+  dueInput.value = '';
+  
+  // Re-render notes
+  if (person) {
+    peopleNotes[key] = savedNotes;
+    renderPeopleNotes();
+  } else if (key === currentContext.key) {
+    currentNotes = savedNotes;
+    renderNotes();
+  }
+  
+  // Update related notes
+  findRelatedNotes();
+  
+  // If we're in all view, reload all notes
+  if (currentView === 'all') {
+    loadAllNotes();
+  }
+}
+
+/**
+ * Build the context stored on notes saved about a person
+ */
+function getPersonContext(person) {
+  return {
+    app: 'person',
+    kind: 'person',
+    title: person.name,
+    participants: [person.name],
+    url: currentContext.url,
+    key: person.key
+  };
 }
 
 /**
- * Handle deleting a note
+ * Handle deleting a note: it goes to the trash, with a toast to undo that
  */
-function handleDeleteNote(index, relatedContextKey = null, fromAllView = false) {
-  if (!confirm('Delete this note?')) {
+async function handleDeleteNote(noteId, relatedContextKey = null, fromAllView = false) {
+  const key = relatedContextKey || currentContext.key;
+  let remaining;
+  try {
+    remaining = await callBackground('trashNote', { key: key, noteId: noteId });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to delete note:', error);
+    alert(`Failed to delete note: ${error.message}`);
     return;
   }
   
-  if (relatedContextKey || fromAllView) {
-    // Deleting a note from another context or from all view
-    const contextKey = relatedContextKey;
-    chrome.storage.local.get([contextKey], (result) => {
-      const notes = result[contextKey] || [];
-      notes.splice(index, 1);
-      
-      chrome.storage.local.set({ [contextKey]: notes }, () => {
-        if (fromAllView) {
-          // Refresh all notes view
-          loadAllNotes();
-        } else {
-          // Refresh related notes
-          findRelatedNotes();
-        }
-      });
-    });
+  showUndoToast('Note moved to the trash', noteId);
+  
+  if (fromAllView) {
+    // Refresh all notes view
+    loadAllNotes();
+  } else if (relatedContextKey) {
+    // Refresh people and related notes
+    loadPeopleNotes();
+    findRelatedNotes();
   } else {
     // Deleting a current context note
-    currentNotes.splice(index, 1);
-    
-    const key = currentContext.key;
-    chrome.storage.local.set({ [key]: currentNotes }, () => {
-      renderNotes();
-    });
+    currentNotes = remaining;
+    renderNotes();
   }
 }
 
 /**
- * Find and display related notes based on title similarity
+ * Replace a note's text with an inline editor
+ * Ctrl/Cmd+Enter saves, Escape cancels.
  */
-function findRelatedNotes() {
-  if (!currentContext) return;
-  
-  const currentKey = currentContext.key;
-  const currentTitle = currentContext.title.toLowerCase();
-  
-  // Get all stored notes
-  chrome.storage.local.get(null, (allData) => {
-    relatedNotes = [];
+function startEditingNote(noteText, note, contextKey) {
+  const editor = document.createElement('div');
+  editor.className = 'note-editor';
+  
+  const input = document.createElement('textarea');
+  input.value = note.text;
+  input.addEventListener('input', autoResizeTextarea);
+  
+  const tagEditor = createTagEditor(note.tags);
+  
+  const dueLabel = document.createElement('label');
+  dueLabel.className = 'note-due';
+  dueLabel.textContent = 'Remind me ';
+  const dueInput = document.createElement('input');
+  dueInput.type = 'datetime-local';
+  dueInput.className = 'note-due-input';
+  dueInput.value = toDateTimeInputValue(note.reminder?.dueAt);
+  dueLabel.appendChild(dueInput);
+  
+  const buttons = document.createElement('div');
+  buttons.className = 'note-editor-buttons';
+  
+  const saveButton = document.createElement('button');
+  saveButton.className = 'note-editor-save';
+  saveButton.textContent = 'Save';
+  
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'note-delete';
+  cancelButton.textContent = 'Cancel';
+  
+  const cancel = () => editor.replaceWith(noteText);
+  const save = async () => {
+    const text = input.value.trim();
+    const tags = tagEditor.getTags();
+    const changes = { text: text, tags: tags };
     
-    // Search through all stored context keys
-    Object.keys(allData).forEach(key => {
-      // Skip current context
-      if (key === currentKey) return;
-      
-      // Skip non-note keys
-      if (!key.includes(':')) return;
-      
-      const notes = allData[key];
-      if (!Array.isArray(notes) || notes.length === 0) return;
-      
-      // Extract title from key (format: "app:title")
-      const keyTitle = key.split(':')[1]?.toLowerCase() || '';
-      
-      // Simple string matching for related contexts
-      // Check if titles share common words or substrings
-      if (isSimilarTitle(currentTitle, keyTitle)) {
-        // Add notes from this context as related
-        notes.forEach((note, index) => {
-          relatedNotes.push({
-            ...note,
-            contextKey: key,
-            index: index
-          });
-        });
-      }
-    });
+    // Only touch the reminder when it moved, so a raised one isn't raised again
+    const dueAt = fromDateTimeInputValue(dueInput.value);
+    if (dueAt !== (note.reminder?.dueAt ?? null)) {
+      changes.reminder = dueAt !== null ? { dueAt: dueAt } : null;
+    }
     
-    renderRelatedNotes();
-  });
-}
-
-/**
- * Check if two titles are similar (simple word matching)
- */
-function isSimilarTitle(title1, title2) {
-  if (!title1 || !title2) return false;
-  if (title1 === title2) return false; // Exact match is current context
-  
-  // Split into words and filter out common words
-  const commonWords = ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for'];
+    if (!text || (text === note.text && tags.join() === (note.tags || []).join() && !('reminder' in changes))) {
+      cancel();
+      return;
+    }
+    
+    saveButton.disabled = true;
+    try {
+      await callBackground('updateNote', { key: contextKey, noteId: note.id, changes: changes });
+    } catch (error) {
+      console.error('DotNCue Sidebar: Failed to save edit:', error);
+      alert(`Failed to save note: ${error.message}`);
+      saveButton.disabled = false;
+      return;
+    }
+    refreshNoteLists();
+  };
   
-  const words1 = title1.split(/\s+/).filter(w => w.length > 2 && !commonWords.includes(w));
-  const words2 = title2.split(/\s+/).filter(w => w.length > 2 && !commonWords.includes(w));
+  buttons.appendChild(cancelButton);
+  buttons.appendChild(saveButton);
+  editor.appendChild(input);
+  editor.appendChild(tagEditor.element);
+  editor.appendChild(dueLabel);
+  editor.appendChild(buttons);
+  
+  // Before the editor's own keys, so Escape/Enter act on open suggestions first
+  attachNoteAutocomplete(input);
+  
+  saveButton.onclick = save;
+  cancelButton.onclick = cancel;
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      cancel();
+    } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      save();
+    }
+  });
   
-  // Check for common words
-  const commonCount = words1.filter(w => words2.includes(w)).length;
+  noteText.replaceWith(editor);
   
-  // If at least 1 word in common, consider it related
-  return commonCount > 0;
+  input.focus();
+  input.style.height = input.scrollHeight + 'px';
 }
 
 /**
- * Render related notes
+ * Reload every note list on screen after a note changed
  */
-function renderRelatedNotes() {
-  const relatedSection = document.getElementById('relatedNotesSection');
-  const relatedList = document.getElementById('relatedNotesList');
-  
-  if (relatedNotes.length === 0) {
-    relatedSection.style.display = 'none';
-    return;
+function refreshNoteLists() {
+  loadNotes();
+  loadPeopleNotes();
+  findRelatedNotes();
+  loadBacklinks();
+  if (currentView === 'all') {
+    loadAllNotes();
+  }
+  if (currentView === 'trash') {
+    loadTrash();
   }
-  
-  relatedSection.style.display = 'block';
-  relatedList.innerHTML = '';
-  
-  // Show up to 5 most recent related notes
-  const recentRelated = relatedNotes
-    .sort((a, b) => b.timestamp - a.timestamp)
-    .slice(0, 5);
-  
-  recentRelated.forEach(note => {
-    const noteItem = createNoteElement(note, note.index, true);
-    relatedList.appendChild(noteItem);
-  });
 }
 
 /**
- * Auto-resize textarea as user types
+ * Show the toast offering to undo a note's deletion
  */
-function autoResizeTextarea(event) {
-  const textarea = event.target;
-  textarea.style.height = 'auto';
-  textarea.style.height = textarea.scrollHeight + 'px';
+function showUndoToast(message, noteId) {
+  const toast = document.getElementById('undoToast');
+  document.getElementById('undoMessage').textContent = message;
+  toast.dataset.noteId = noteId;
+  toast.classList.add('show');
+  
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(hideUndoToast, UNDO_TOAST_MS);
 }
 
 /**
- * Switch between Current and All Notes views
+ * Hide the undo toast
  */
-function switchView(view) {
-  currentView = view;
-  
-  // Update tab buttons
-  document.getElementById('tabCurrent').classList.toggle('active', view === 'current');
-  document.getElementById('tabAll').classList.toggle('active', view === 'all');
-  
-  // Show/hide views
-  document.getElementById('currentView').style.display = view === 'current' ? 'block' : 'none';
-  document.getElementById('allView').style.display = view === 'all' ? 'block' : 'none';
-  
-  // Show/hide controls
-  document.getElementById('controls').style.display = view === 'all' ? 'block' : 'none';
-  document.getElementById('contextInfo').style.display = view === 'current' ? 'block' : 'none';
-  
-  // Load appropriate data
-  if (view === 'all') {
-    loadAllNotes();
-  }
+function hideUndoToast() {
+  clearTimeout(undoTimer);
+  document.getElementById('undoToast').classList.remove('show');
 }
 
 /**
- * Load all notes from storage
+ * Put a note from the trash back in its context
  */
-function loadAllNotes() {
-  chrome.storage.local.get(null, (allData) => {
-    allNotes = [];
-    
-    // Collect all notes from all contexts
-    Object.keys(allData).forEach(key => {
-      // Skip non-note keys
-      if (!key.includes(':')) return;
-      
-      const notes = allData[key];
-      if (!Array.isArray(notes) || notes.length === 0) return;
-      
-      // Parse context from key (format: "app:title")
-      const [app, ...titleParts] = key.split(':');
-      const title = titleParts.join(':');
-      
-      // Add each note with context info
-      notes.forEach((note, index) => {
-        allNotes.push({
-          ...note,
-          app: app,
-          contextTitle: title,
-          contextKey: key,
-          index: index
-        });
-      });
-    });
-    
-    renderAllNotes();
-  });
+async function handleRestoreNote(noteId) {
+  try {
+    await callBackground('restoreNote', { noteId: noteId });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to restore note:', error);
+    alert(`Failed to restore note: ${error.message}`);
+    return;
+  }
+  
+  refreshNoteLists();
 }
 
 /**
- * Render all notes with filtering and sorting
+ * Load the notes in the trash
  */
-function renderAllNotes() {
-  const allNotesList = document.getElementById('allNotesList');
-  const statsBar = document.getElementById('statsBar');
-  
-  // Filter notes
-  let filteredNotes = allNotes;
-  if (appFilter !== 'all') {
-    filteredNotes = allNotes.filter(note => note.app === appFilter);
+async function loadTrash() {
+  try {
+    trashNotes = await callBackground('listTrash');
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load the trash:', error);
+    return;
   }
   
-  // Sort notes
-  filteredNotes.sort((a, b) => {
-    if (sortOrder === 'newest') {
-      return b.timestamp - a.timestamp;
-    } else {
-      return a.timestamp - b.timestamp;
-    }
-  });
-  
-  // Update stats
-  const uniqueApps = new Set(filteredNotes.map(note => note.app));
-  document.getElementById('noteCount').textContent = `${filteredNotes.length} note${filteredNotes.length !== 1 ? 's' : ''}`;
-  document.getElementById('appCount').textContent = `${uniqueApps.size} app${uniqueApps.size !== 1 ? 's' : ''}`;
-  
-  // Clear and render
-  allNotesList.innerHTML = '';
-  
-  if (filteredNotes.length === 0) {
-    allNotesList.innerHTML = `
+  renderTrash();
+}
+
+/**
+ * Render the Trash view, with Restore / Delete forever for each note
+ */
+function renderTrash() {
+  const trashList = document.getElementById('trashList');
+  const retention = settings.trashRetentionDays;
+  
+  document.getElementById('trashCount').textContent = `${trashNotes.length} note${trashNotes.length !== 1 ? 's' : ''}`;
+  document.getElementById('trashHint').textContent = retention > 0
+    ? `Notes are deleted for good ${retention} day${retention !== 1 ? 's' : ''} after they were moved here.`
+    : 'Notes stay here until you delete them for good.';
+  document.getElementById('emptyTrashBtn').disabled = trashNotes.length === 0;
+  
+  trashList.innerHTML = '';
+  if (trashNotes.length === 0) {
+    trashList.innerHTML = `
       <div class="empty-state">
-        <div class="empty-state-icon">&#128203;</div>
-        <div class="empty-state-text">No notes found!</div>
+        <div class="empty-state-icon">&#128465;</div>
+        <div class="empty-state-text">The trash is empty</div>
       </div>
     `;
     return;
   }
   
-  filteredNotes.forEach(note => {
-    const noteItem = createAllNotesElement(note);
-    allNotesList.appendChild(noteItem);
-  });
+  trashNotes.forEach(note => trashList.appendChild(createTrashElement(note)));
 }
 
 /**
- * Create a note element for All Notes view
+ * Create a note element for the Trash view
  */
-function createAllNotesElement(note) {
+function createTrashElement(note) {
   const li = document.createElement('li');
   li.className = 'note-item';
+  li.dataset.noteId = note.id;
   
-  // Note header with app badge and context
   const noteHeader = document.createElement('div');
   noteHeader.className = 'note-header';
   
-  const leftInfo = document.createElement('div');
-  leftInfo.style.display = 'flex';
-  leftInfo.style.flexDirection = 'column';
-  leftInfo.style.gap = '4px';
-  leftInfo.style.flex = '1';
-  leftInfo.style.minWidth = '0';
-  
   const badge = document.createElement('span');
   badge.className = 'note-badge';
-  const emoji = getAppEmoji(note.app);
-  badge.innerHTML = `<span>${emoji}</span><span>${note.app.toUpperCase()}</span>`;
+  badge.innerHTML = `<span>${getAppEmoji(note.app)}</span><span>${note.app.toUpperCase()}</span>`;
   
   const contextTitle = document.createElement('div');
   contextTitle.className = 'note-context-title';
   contextTitle.textContent = note.contextTitle || 'Unknown context';
   
-  leftInfo.appendChild(badge);
-  leftInfo.appendChild(contextTitle);
-  
-  noteHeader.appendChild(leftInfo);
+  noteHeader.appendChild(badge);
+  noteHeader.appendChild(contextTitle);
   
-  // Note text
-  const noteText = document.createElement('div');
-  noteText.className = 'note-text';
-  noteText.textContent = note.text;
+  // Checklists can't be ticked in the trash
+  const noteText = createNoteTextElement(note, note.contextKey);
+  noteText.querySelectorAll('input[data-task-index]').forEach(checkbox => {
+    checkbox.disabled = true;
+  });
   
-  // Note meta
   const noteMeta = document.createElement('div');
   noteMeta.className = 'note-meta';
   
   const noteDate = document.createElement('span');
   noteDate.className = 'note-date';
-  noteDate.textContent = formatDate(note.timestamp);
+  noteDate.textContent = `Deleted ${formatDate(note.deletedAt)}`;
   
-  const deleteButton = document.createElement('button');
-  deleteButton.className = 'note-delete';
-  deleteButton.textContent = 'Delete';
-  deleteButton.onclick = () => handleDeleteNote(note.index, note.contextKey, true);
+  const actions = document.createElement('span');
+  actions.className = 'note-actions';
+  
+  const restoreButton = document.createElement('button');
+  restoreButton.className = 'note-delete note-action';
+  restoreButton.textContent = 'Restore';
+  restoreButton.onclick = () => handleRestoreNote(note.id);
+  actions.appendChild(restoreButton);
+  
+  const purgeButton = document.createElement('button');
+  purgeButton.className = 'note-delete';
+  purgeButton.textContent = 'Delete forever';
+  purgeButton.onclick = () => handlePurgeNote(note.id);
+  actions.appendChild(purgeButton);
   
   noteMeta.appendChild(noteDate);
-  noteMeta.appendChild(deleteButton);
+  noteMeta.appendChild(actions);
   
   li.appendChild(noteHeader);
   li.appendChild(noteText);
@@ -795,146 +1470,1985 @@ function createAllNotesElement(note) {
 }
 
 /**
- * Get emoji for app
- */
-function getAppEmoji(app) {
-  const emojis = {
-    'gmail': '\ud83d\udce7',
-    'meet': '\ud83c\udfa5',
-    'docs': '\ud83d\udcdd',
-    'calendar': '\ud83d\udcc5',
-    'youtube': '\u25b6\ufe0f'
-  };
-  return emojis[app] || '\ud83d\udcc4';
-}
-
-/**
- * Open settings modal
+ * Delete a note in the trash for good
  */
-function openSettings() {
-  const modal = document.getElementById('settingsModal');
-  if (modal) {
-    modal.classList.add('show');
+async function handlePurgeNote(noteId) {
+  if (!confirm('Delete this note for good? It can\'t be brought back.')) {
+    return;
+  }
+  
+  try {
+    await callBackground('purgeNote', { noteId: noteId });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to delete note:', error);
+    alert(`Failed to delete note: ${error.message}`);
+    return;
   }
+  
+  loadTrash();
 }
 
 /**
- * Close settings modal
+ * Delete every note in the trash for good
  */
-function closeSettings() {
-  const modal = document.getElementById('settingsModal');
-  if (modal) {
-    modal.classList.remove('show');
+async function handleEmptyTrash() {
+  if (!confirm(`Delete all ${trashNotes.length} notes in the trash for good? They can't be brought back.`)) {
+    return;
+  }
+  
+  try {
+    await callBackground('emptyTrash');
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to empty the trash:', error);
+    alert(`Failed to empty the trash: ${error.message}`);
+    return;
   }
+  
+  loadTrash();
 }
 
 /**
- * Save settings
+ * Load the reminders shown in the Due soon list
  */
-function saveSettings() {
-  const apiKeyInput = document.getElementById('apiKeyInput');
-  const modelSelect = document.getElementById('modelSelect');
-  const promptInput = document.getElementById('promptInput');
-  
-  settings.apiKey = apiKeyInput.value.trim();
-  settings.model = modelSelect.value;
-  settings.prompt = promptInput.value.trim() || DEFAULT_PROMPT;
-  
-  // Save to localStorage
-  localStorage.setItem('dotncue-settings', JSON.stringify(settings));
-  
-  // Show feedback
-  const saveBtn = document.getElementById('settingsSaveBtn');
-  const originalText = saveBtn.textContent;
-  saveBtn.textContent = 'Saved!';
-  setTimeout(() => {
-    saveBtn.textContent = originalText;
-    closeSettings();
-  }, 1000);
+async function loadDueSoon() {
+  try {
+    dueSoonNotes = await callBackground('listReminders', { before: Date.now() + DUE_SOON_MS });
+    renderDueSoon();
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load reminders:', error);
+  }
 }
 
 /**
- * Analyze current page with Groq API
+ * Render the Due soon list, with Snooze / Tomorrow / Done for each reminder
  */
-async function analyzePage() {
-  const analyzeBtn = document.getElementById('analyzeBtn');
+function renderDueSoon() {
+  const section = document.getElementById('dueSoonSection');
+  const list = document.getElementById('dueSoonList');
+  const notes = dueSoonNotes.filter(note => note.reminder.dueAt <= Date.now() + DUE_SOON_MS);
   
-  // Check if API key is set
-  if (!settings.apiKey) {
-    alert('Please set your Groq API key in Settings first.');
-    openSettings();
+  if (notes.length === 0) {
+    section.style.display = 'none';
     return;
   }
   
-  // Disable button and show loading
-  analyzeBtn.disabled = true;
-  const originalHTML = analyzeBtn.innerHTML;
-  analyzeBtn.innerHTML = '<span>&#9203;</span><span>Analyzing...</span>';
+  section.style.display = 'block';
+  list.innerHTML = '';
   
-  try {
-    // Get page content from parent window
-    window.parent.postMessage({ type: 'GET_PAGE_CONTENT' }, '*');
+  notes.forEach(note => {
+    const li = document.createElement('li');
+    li.className = 'due-soon-item';
+    li.classList.toggle('overdue', note.reminder.dueAt <= Date.now());
     
-    // Wait for response with page content
-    const pageContent = await new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => reject(new Error('Timeout')), 5000);
-      
-      const handler = (event) => {
-        if (event.data && event.data.type === 'PAGE_CONTENT') {
-          clearTimeout(timeout);
-          window.removeEventListener('message', handler);
-          resolve(event.data.content);
-        }
-      };
-      
-      window.addEventListener('message', handler);
-    });
-    
-    // Prepare prompt
-    const prompt = settings.prompt.replace('{content}', pageContent);
-    
-    // Call Groq API
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${settings.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: settings.model,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 500
-      })
-    });
+    const summary = document.createElement('button');
+    summary.className = 'due-soon-summary';
+    summary.title = 'Show this note';
+    summary.onclick = () => showReminderNote(note);
     
-    if (!response.ok) {
-      throw new Error(`API error: ${response.statusText}`);
-    }
+    const text = document.createElement('span');
+    text.className = 'due-soon-text';
+    text.textContent = note.text.split('\n').find(line => line.trim()) || note.text;
     
-    const data = await response.json();
-    const summary = data.choices[0]?.message?.content;
+    const due = document.createElement('span');
+    due.className = 'due-soon-date';
+    due.textContent = `\u23f0 ${formatDueDate(note.reminder.dueAt)}${note.context?.title ? ` \u00b7 ${note.context.title}` : ''}`;
     
-    if (!summary) {
-      throw new Error('No summary generated');
-    }
+    summary.appendChild(text);
+    summary.appendChild(due);
     
-    // Add summary as a note
-    const noteInput = document.getElementById('noteInput');
-    noteInput.value = `AI Summary:\n${summary}`;
+    const actions = document.createElement('span');
+    actions.className = 'note-actions';
+    [
+      ['Snooze 1h', Date.now() + 60 * 60 * 1000],
+      ['Tomorrow', getTomorrowMorning()],
+      ['Done', null]
+    ].forEach(([label, dueAt]) => {
+      const button = document.createElement('button');
+      button.className = 'note-delete note-action';
+      button.textContent = label;
+      button.onclick = () => setReminder(note, dueAt);
+      actions.appendChild(button);
+    });
     
-    // Auto-resize textarea
+    li.appendChild(summary);
+    li.appendChild(actions);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Get 9:00 tomorrow morning as a timestamp
+ */
+function getTomorrowMorning() {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Move a note's reminder (or clear it with null); the lists reload on the change
+ */
+async function setReminder(note, dueAt) {
+  try {
+    await callBackground('setReminder', { key: note.contextKey, noteId: note.id, dueAt: dueAt });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to update reminder:', error);
+    alert(`Failed to update reminder: ${error.message}`);
+  }
+}
+
+/**
+ * Show a reminder's note: here if it belongs to this page, else in a new tab
+ */
+async function showReminderNote(note) {
+  const peopleKeys = (currentContext?.people || []).map(person => person.key);
+  if (note.contextKey === currentContext?.key || peopleKeys.includes(note.contextKey) || !note.context?.url) {
+    focusNote(note.id, note.contextKey);
+    return;
+  }
+  
+  try {
+    await callBackground('openNote', { key: note.contextKey, noteId: note.id });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to open note:', error);
+    focusNote(note.id, note.contextKey);
+  }
+}
+
+/**
+ * Scroll to and highlight a note, switching to All Notes if it isn't on this page
+ */
+function focusNote(noteId, contextKey) {
+  pendingFocus = { noteId: noteId, contextKey: contextKey };
+  
+  const peopleKeys = (currentContext?.people || []).map(person => person.key);
+  if (contextKey === currentContext?.key || peopleKeys.includes(contextKey)) {
+    if (currentView !== 'current') switchView('current');
+    applyPendingFocus();
+  } else {
+    // Make sure no filter hides it
+    appFilter = 'all';
+    tagFilter = 'all';
+    document.getElementById('appFilter').value = 'all';
+    if (currentView === 'all') {
+      loadAllNotes();
+    } else {
+      switchView('all');
+    }
+  }
+}
+
+/**
+ * Highlight the note waiting to be shown, once it is on screen
+ */
+function applyPendingFocus() {
+  if (!pendingFocus) return;
+  
+  const view = document.getElementById(currentView === 'all' ? 'allView' : 'currentView');
+  const item = view.querySelector(`.note-item[data-note-id="${CSS.escape(pendingFocus.noteId)}"]`);
+  if (!item) return;
+  
+  pendingFocus = null;
+  item.scrollIntoView({ block: 'center' });
+  item.classList.add('note-focused');
+  setTimeout(() => item.classList.remove('note-focused'), 3000);
+}
+
+/**
+ * Open the history panel for a note
+ */
+function openHistory(note, contextKey) {
+  historyNote = { note: note, contextKey: contextKey, selected: note.revisions.length - 1 };
+  renderHistory();
+  document.getElementById('historyModal').classList.add('show');
+}
+
+/**
+ * Close the history panel
+ */
+function closeHistory() {
+  historyNote = null;
+  document.getElementById('historyModal').classList.remove('show');
+}
+
+/**
+ * Render the revision list and the selected revision, as text or as a diff
+ * against the current version
+ */
+function renderHistory() {
+  const historyList = document.getElementById('historyList');
+  const historyText = document.getElementById('historyText');
+  const showDiff = document.getElementById('historyDiffToggle').checked;
+  const { note, selected } = historyNote;
+  
+  historyList.innerHTML = '';
+  
+  // Newest first, starting with the current version
+  const current = document.createElement('li');
+  current.className = 'history-item history-current';
+  current.textContent = `Current \u00b7 ${formatDate(note.updatedAt)}`;
+  historyList.appendChild(current);
+  
+  for (let i = note.revisions.length - 1; i >= 0; i--) {
+    const item = document.createElement('li');
+    item.className = i === selected ? 'history-item active' : 'history-item';
+    item.textContent = formatDate(note.revisions[i].updatedAt);
+    item.onclick = () => {
+      historyNote.selected = i;
+      renderHistory();
+    };
+    historyList.appendChild(item);
+  }
+  
+  const revision = note.revisions[selected];
+  historyText.innerHTML = '';
+  
+  if (!showDiff) {
+    historyText.textContent = revision.text;
+    return;
+  }
+  
+  diffWords(revision.text, note.text).forEach(part => {
+    const span = document.createElement(part.type === 'added' ? 'ins' : part.type === 'removed' ? 'del' : 'span');
+    span.textContent = part.text;
+    historyText.appendChild(span);
+  });
+}
+
+/**
+ * Restore the selected revision (the current text becomes a revision itself)
+ */
+async function restoreRevision() {
+  const { note, contextKey, selected } = historyNote;
+  const revision = note.revisions[selected];
+  
+  try {
+    await callBackground('updateNote', { key: contextKey, noteId: note.id, changes: { text: revision.text } });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to restore revision:', error);
+    alert(`Failed to restore revision: ${error.message}`);
+    return;
+  }
+  
+  closeHistory();
+  refreshNoteLists();
+}
+
+/**
+ * Word-level diff of two texts as [{ type: 'same' | 'added' | 'removed', text }]
+ */
+function diffWords(oldText, newText) {
+  const a = oldText.split(/(\s+)/);
+  const b = newText.split(/(\s+)/);
+  
+  // lengths[i][j] = longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type: type, text: text });
+    }
+  };
+  
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i++]);
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  
+  return parts;
+}
+
+/**
+ * Find and display the notes most related to this context by their words and people
+ */
+async function findRelatedNotes() {
+  if (!currentContext) return;
+  
+  // Skip current context and the people shown in their own section
+  const peopleKeys = (currentContext.people || []).map(person => person.key);
+  
+  try {
+    relatedNotes = await callBackground('findRelatedNotes', {
+      context: {
+        key: currentContext.key,
+        title: currentContext.title,
+        app: currentContext.app,
+        participants: currentContext.participants || [],
+        account: currentContext.account
+      },
+      excludeKeys: [currentContext.key, ...peopleKeys]
+    });
+    renderRelatedNotes();
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to find related notes:', error);
+  }
+}
+
+/**
+ * Render related notes
+ */
+function renderRelatedNotes() {
+  const relatedSection = document.getElementById('relatedNotesSection');
+  const relatedList = document.getElementById('relatedNotesList');
+  
+  if (relatedNotes.length === 0) {
+    relatedSection.style.display = 'none';
+    return;
+  }
+  
+  relatedSection.style.display = 'block';
+  relatedList.innerHTML = '';
+  
+  // Already ranked and limited by the service worker
+  relatedNotes.forEach(note => {
+    const noteItem = createNoteElement(note, true);
+    relatedList.appendChild(noteItem);
+  });
+}
+
+/**
+ * Find and display the notes elsewhere that link to this context or its notes
+ */
+async function loadBacklinks() {
+  if (!currentContext || currentContext.isLoading) return;
+  
+  try {
+    backlinks = await callBackground('listBacklinks', {
+      key: currentContext.key,
+      title: currentContext.title
+    });
+    renderBacklinks();
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load backlinks:', error);
+  }
+}
+
+/**
+ * Render the Linked from section
+ */
+function renderBacklinks() {
+  const section = document.getElementById('backlinksSection');
+  const list = document.getElementById('backlinksList');
+  
+  section.style.display = backlinks.length > 0 ? 'block' : 'none';
+  list.innerHTML = '';
+  backlinks.forEach(note => list.appendChild(createNoteElement(note, true)));
+}
+
+/**
+ * Follow a [[link]] in a note: show the note or context here if it is on this
+ * page (or has no page), else open its page in a new tab
+ */
+async function openWikiLink(target) {
+  let link;
+  try {
+    link = await callBackground('resolveWikiLink', { target: target });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to open link:', error);
+    alert(`Failed to open link: ${error.message}`);
+    return;
+  }
+  
+  if (!link) {
+    alert(`No context or note called "${target}" has notes yet`);
+    return;
+  }
+  
+  const peopleKeys = (currentContext?.people || []).map(person => person.key);
+  if (link.key === currentContext?.key || peopleKeys.includes(link.key) || !link.url) {
+    focusNote(link.noteId, link.key);
+  } else if (getWikiLinkNoteId(target)) {
+    // Opens the note's page with the note highlighted
+    try {
+      await callBackground('openNote', { key: link.key, noteId: link.noteId });
+    } catch (error) {
+      console.error('DotNCue Sidebar: Failed to open note:', error);
+      focusNote(link.noteId, link.key);
+    }
+  } else {
+    window.open(link.url, '_blank');
+  }
+}
+
+/**
+ * Add a link to a note at the caret of the note being written
+ */
+function insertNoteLink(note) {
+  if (currentView !== 'current') switchView('current');
+  setNotePreview(false);
+  
+  const textarea = document.getElementById('noteInput');
+  const start = textarea.selectionStart;
+  const before = textarea.value.slice(0, start);
+  const insert = `${before && !/\s$/.test(before) ? ' ' : ''}${createNoteLink(note)} `;
+  
+  textarea.value = before + insert + textarea.value.slice(textarea.selectionEnd);
+  textarea.focus();
+  textarea.selectionStart = textarea.selectionEnd = start + insert.length;
+  textarea.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Show the note being written as rendered Markdown, or go back to editing it
+ */
+function setNotePreview(show) {
+  const textarea = document.getElementById('noteInput');
+  const preview = document.getElementById('notePreview');
+  const previewButton = document.getElementById('notePreviewBtn');
+  
+  preview.innerHTML = '';
+  if (show) {
+    preview.appendChild(renderMarkdown(textarea.value.trim() || '_Nothing to preview_'));
+    // Checkboxes only do something on saved notes
+    preview.querySelectorAll('input').forEach(input => { input.disabled = true; });
+  }
+  
+  preview.style.display = show ? 'block' : 'none';
+  textarea.style.display = show ? 'none' : 'block';
+  previewButton.textContent = show ? 'Edit' : 'Preview';
+}
+
+/**
+ * Auto-resize textarea as user types
+ */
+function autoResizeTextarea(event) {
+  const textarea = event.target;
+  textarea.style.height = 'auto';
+  textarea.style.height = textarea.scrollHeight + 'px';
+}
+
+/**
+ * Switch between the Current, All Notes and Trash views
+ */
+function switchView(view) {
+  currentView = view;
+  
+  // Update tab buttons
+  document.getElementById('tabCurrent').classList.toggle('active', view === 'current');
+  document.getElementById('tabAll').classList.toggle('active', view === 'all');
+  document.getElementById('tabTrash').classList.toggle('active', view === 'trash');
+  
+  // Show/hide views
+  document.getElementById('currentView').style.display = view === 'current' ? 'block' : 'none';
+  document.getElementById('allView').style.display = view === 'all' ? 'block' : 'none';
+  document.getElementById('trashView').style.display = view === 'trash' ? 'block' : 'none';
+  
+  // Show/hide controls
+  document.getElementById('controls').style.display = view === 'all' ? 'block' : 'none';
+  document.getElementById('contextInfo').style.display = view === 'current' ? 'block' : 'none';
+  
+  // Load appropriate data
+  if (view === 'all') {
+    loadAllNotes();
+  } else if (view === 'trash') {
+    loadTrash();
+  }
+}
+
+/**
+ * Get the All Notes filters and sort as a queryNotes query
+ */
+function getAllNotesQuery(offset, limit) {
+  return {
+    app: appFilter === 'all' ? null : appFilter,
+    tag: tagFilter === 'all' ? null : tagFilter,
+    order: sortOrder,
+    offset: offset,
+    limit: limit
+  };
+}
+
+/**
+ * Load All Notes for the current filters and sort
+ * Reloads as many notes as are already shown (at least a page), so a change
+ * elsewhere doesn't collapse a list the user has paged through.
+ */
+async function loadAllNotes() {
+  const load = ++allNotesLoads;
+  
+  try {
+    const page = await callBackground('queryNotes', {
+      query: getAllNotesQuery(0, Math.max(allNotes.length, ALL_NOTES_PAGE_SIZE))
+    });
+    if (load !== allNotesLoads) return; // Filters changed meanwhile
+    
+    allNotes = page.notes;
+    allNotesPage = page;
+    updateTagFilterOptions();
+    if (searchQuery.trim()) {
+      await runSearch();
+    } else {
+      renderAllNotes();
+    }
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load all notes:', error);
+  }
+}
+
+/**
+ * Load All Notes from the first page again, after the filters or sort change
+ */
+function reloadAllNotes() {
+  allNotes = [];
+  loadAllNotes();
+}
+
+/**
+ * Append the next page of All Notes
+ */
+async function loadMoreNotes() {
+  const load = ++allNotesLoads;
+  
+  try {
+    const page = await callBackground('queryNotes', {
+      query: getAllNotesQuery(allNotes.length, ALL_NOTES_PAGE_SIZE)
+    });
+    if (load !== allNotesLoads) return;
+    
+    allNotes = allNotes.concat(page.notes);
+    allNotesPage = page;
+    renderAllNotes();
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load more notes:', error);
+  }
+}
+
+/**
+ * Search all notes for the text in the search box and show the results
+ */
+async function runSearch() {
+  const query = searchQuery;
+  
+  if (!query.trim()) {
+    searchResults = null;
+    renderAllNotes();
+    return;
+  }
+  
+  try {
+    const results = await callBackground('searchNotes', { query: query });
+    if (query !== searchQuery) return; // Typed on meanwhile
+    
+    searchResults = results;
+    renderAllNotes();
+  } catch (error) {
+    console.error('DotNCue Sidebar: Search failed:', error);
+  }
+}
+
+/**
+ * Wrap the searched words and phrases found in an element's text in <mark>
+ */
+function highlightMatches(element, terms) {
+  if (terms.length === 0) return;
+  
+  // Words match as prefixes, phrases across any punctuation or spacing
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^\\p{L}\\p{N}]+'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  
+  element.querySelectorAll('.note-text, .note-context-title').forEach(container => {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    
+    textNodes.forEach(node => {
+      const text = node.textContent;
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      
+      text.replace(pattern, (match, offset) => {
+        fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+        const mark = document.createElement('mark');
+        mark.className = 'search-match';
+        mark.textContent = match;
+        fragment.appendChild(mark);
+        last = offset + match.length;
+        return match;
+      });
+      
+      if (last > 0) {
+        fragment.appendChild(document.createTextNode(text.slice(last)));
+        node.replaceWith(fragment);
+      }
+    });
+  });
+}
+
+/**
+ * Count the tags used by a set of notes, most used first: [{ tag, count }]
+ */
+function countTags(notes) {
+  const counts = new Map();
+  notes.forEach(note => {
+    getNoteTags(note).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  
+  return Array.from(counts, ([tag, count]) => ({ tag: tag, count: count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Offer each tag in use as a Tag filter option, with its count
+ */
+function updateTagFilterOptions() {
+  const tagFilterSelect = document.getElementById('tagFilter');
+  
+  // A tag that no longer exists can't stay selected
+  if (tagFilter !== 'all' && !knownTags.some(({ tag }) => tag === tagFilter)) {
+    tagFilter = 'all';
+    if (currentView === 'all') reloadAllNotes();
+  }
+  
+  tagFilterSelect.innerHTML = '';
+  tagFilterSelect.appendChild(new Option('All Tags', 'all'));
+  knownTags.forEach(({ tag, count }) => {
+    tagFilterSelect.appendChild(new Option(`#${tag} (${count})`, tag));
+  });
+  tagFilterSelect.value = tagFilter;
+}
+
+/**
+ * Show All Notes filtered to one tag
+ */
+function filterByTag(tag) {
+  tagFilter = tag;
+  
+  if (currentView === 'all') {
+    updateTagFilterOptions();
+    reloadAllNotes();
+  } else {
+    switchView('all');
+  }
+}
+
+/**
+ * Load every tag in use, for autocomplete and the tag chip inputs
+ */
+async function loadKnownTags() {
+  try {
+    knownTags = await callBackground('listTags');
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load tags:', error);
+    return;
+  }
+  
+  const datalist = document.getElementById('knownTagList');
+  datalist.innerHTML = '';
+  knownTags.forEach(({ tag }) => datalist.appendChild(new Option(`#${tag}`, tag)));
+  updateTagFilterOptions();
+}
+
+/**
+ * Create a chip editor for a note's tags
+ * Enter or comma adds the typed tag, Backspace in the empty input removes the
+ * last one. Returns { element, getTags(), setTags(tags) }.
+ */
+function createTagEditor(initialTags = []) {
+  let tags = normalizeTags(initialTags);
+  
+  const element = document.createElement('div');
+  element.className = 'tag-editor';
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'tag-input';
+  input.placeholder = 'Add tag';
+  input.setAttribute('list', 'knownTagList');
+  element.appendChild(input);
+  
+  const render = () => {
+    element.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+    tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tag-chip';
+      chip.textContent = `#${tag}`;
+      
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.textContent = '\u00d7';
+      removeButton.title = `Remove #${tag}`;
+      removeButton.onclick = () => {
+        tags = tags.filter(t => t !== tag);
+        render();
+      };
+      
+      chip.appendChild(removeButton);
+      element.insertBefore(chip, input);
+    });
+  };
+  
+  const addTypedTag = () => {
+    tags = normalizeTags([...tags, input.value.replace(/,/g, '')]);
+    input.value = '';
+    render();
+  };
+  
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault();
+      addTypedTag();
+    } else if (event.key === 'Backspace' && !input.value && tags.length > 0) {
+      tags = tags.slice(0, -1);
+      render();
+    }
+  });
+  input.addEventListener('blur', addTypedTag);
+  
+  render();
+  
+  return {
+    element: element,
+    getTags() {
+      addTypedTag();
+      return [...tags];
+    },
+    setTags(newTags) {
+      tags = normalizeTags(newTags);
+      input.value = '';
+      render();
+    }
+  };
+}
+
+/**
+ * Suggest existing tags while a #tag is being typed in a textarea, and
+ * contexts with notes while a [[link]] is
+ * Arrows move through the suggestions, Tab or Enter takes one, Escape closes them.
+ */
+function attachNoteAutocomplete(textarea) {
+  const list = document.createElement('ul');
+  list.className = 'tag-suggestions';
+  list.style.display = 'none';
+  textarea.after(list);
+  
+  let suggestions = []; // [{ label, insert }]
+  let active = 0;
+  let loadingContexts = false;
+  
+  // The [[link]] or #tag being typed just before the caret: { type, text }, or null
+  const getPartial = () => {
+    const before = textarea.value.slice(0, textarea.selectionStart);
+    const link = before.match(/\[\[([^[\]|\n]*)$/);
+    if (link) return { type: 'link', text: link[1] };
+    
+    const match = before.match(/(^|[^\p{L}\p{N}_&#/])#(\p{L}[\p{L}\p{N}_-]*)?$/u);
+    return match ? { type: 'tag', text: match[2] || '' } : null;
+  };
+  
+  const hide = () => {
+    suggestions = [];
+    list.style.display = 'none';
+  };
+  
+  const accept = (index) => {
+    const partial = getPartial();
+    if (partial === null) return;
+    
+    const start = textarea.selectionStart - partial.text.length;
+    const insert = suggestions[index].insert;
+    let after = textarea.value.slice(textarea.selectionStart);
+    // Don't double up the closing brackets of a link typed around the caret
+    if (partial.type === 'link' && after.startsWith(']]')) {
+      after = after.slice(2);
+    }
+    textarea.value = textarea.value.slice(0, start) + insert + after;
+    textarea.selectionStart = textarea.selectionEnd = start + insert.length;
+    hide();
+    textarea.dispatchEvent(new Event('input'));
+  };
+  
+  const render = () => {
+    list.innerHTML = '';
+    suggestions.forEach(({ label }, index) => {
+      const item = document.createElement('li');
+      item.className = index === active ? 'active' : '';
+      item.textContent = label;
+      // mousedown, so the textarea keeps focus and its caret
+      item.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        accept(index);
+      });
+      list.appendChild(item);
+    });
+    list.style.display = 'block';
+  };
+  
+  const update = () => {
+    const partial = getPartial();
+    if (partial === null) {
+      hide();
+      return;
+    }
+    
+    const prefix = partial.text.toLowerCase();
+    if (partial.type === 'link') {
+      // The contexts are only loaded once a link is being written
+      if (contextsStale && !loadingContexts) {
+        loadingContexts = true;
+        loadContexts().then(() => {
+          loadingContexts = false;
+          if (!contextsStale) update();
+        });
+      }
+      
+      // Contexts whose titles can be written as a link, those starting with the text first
+      const matches = contexts.filter(({ title }) => !/[[\]|\n]/.test(title) && title.toLowerCase().includes(prefix));
+      suggestions = matches
+        .sort((a, b) => Number(b.title.toLowerCase().startsWith(prefix)) - Number(a.title.toLowerCase().startsWith(prefix)) ||
+          b.updatedAt - a.updatedAt)
+        .slice(0, 5)
+        .map(({ title, app }) => ({ label: `${title} (${app})`, insert: `${title}]] ` }));
+    } else {
+      suggestions = knownTags
+        .filter(({ tag }) => tag.startsWith(prefix) && tag !== prefix)
+        .slice(0, 5)
+        .map(({ tag, count }) => ({ label: `#${tag} (${count})`, insert: `${tag} ` }));
+    }
+    active = 0;
+    
+    if (suggestions.length === 0) {
+      hide();
+    } else {
+      render();
+    }
+  };
+  
+  textarea.addEventListener('input', update);
+  textarea.addEventListener('click', update);
+  textarea.addEventListener('blur', hide);
+  textarea.addEventListener('keydown', (event) => {
+    if (suggestions.length === 0) return;
+    
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      active = (active + step + suggestions.length) % suggestions.length;
+      render();
+    } else if ((event.key === 'Tab' || event.key === 'Enter') && !event.ctrlKey && !event.metaKey && !event.shiftKey) {
+      event.preventDefault();
+      accept(active);
+    } else if (event.key === 'Escape') {
+      // Close the suggestions, not whatever the textarea is in
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      hide();
+    }
+  });
+}
+
+/**
+ * Render all notes with filtering and sorting
+ * Pages of All Notes come filtered and sorted by the service worker; search
+ * results (ranked by relevance) cover every note, so they are filtered here.
+ */
+function renderAllNotes() {
+  const allNotesList = document.getElementById('allNotesList');
+  
+  let filteredNotes = searchResults ? searchResults.results : allNotes;
+  if (searchResults && appFilter !== 'all') {
+    filteredNotes = filteredNotes.filter(note => note.app === appFilter);
+  }
+  if (searchResults && tagFilter !== 'all') {
+    filteredNotes = filteredNotes.filter(note => getNoteTags(note).includes(tagFilter));
+  }
+  
+  // Update stats (for every matching note, not just the pages loaded)
+  const tagCounts = countTags(filteredNotes);
+  const noteCount = document.getElementById('noteCount');
+  let appTotal;
+  let tagTotal;
+  if (searchResults) {
+    const shown = searchResults.total > searchResults.results.length ? ` (top ${searchResults.results.length} of ${searchResults.total})` : '';
+    noteCount.textContent = `${filteredNotes.length} result${filteredNotes.length !== 1 ? 's' : ''}${shown}`;
+    appTotal = new Set(filteredNotes.map(note => note.app)).size;
+    tagTotal = tagCounts.length;
+  } else {
+    const total = allNotesPage ? allNotesPage.total : filteredNotes.length;
+    const shown = total > filteredNotes.length ? ` (${filteredNotes.length} shown)` : '';
+    noteCount.textContent = `${total} note${total !== 1 ? 's' : ''}${shown}`;
+    appTotal = allNotesPage ? allNotesPage.apps : 0;
+    tagTotal = allNotesPage ? allNotesPage.tags : 0;
+  }
+  document.getElementById('appCount').textContent = `${appTotal} app${appTotal !== 1 ? 's' : ''}`;
+  
+  const tagCount = document.getElementById('tagCount');
+  tagCount.textContent = `${tagTotal} tag${tagTotal !== 1 ? 's' : ''}`;
+  tagCount.title = tagCounts.map(({ tag, count }) => `#${tag} (${count})`).join(', ');
+  
+  // Clear and render
+  shownAllNotes = filteredNotes;
+  allNotesList.innerHTML = '';
+  
+  if (filteredNotes.length === 0) {
+    allNotesList.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">&#128203;</div>
+        <div class="empty-state-text">${searchResults ? 'No notes match your search' : 'No notes found!'}</div>
+      </div>
+    `;
+    return;
+  }
+  
+  filteredNotes.forEach(note => {
+    const noteItem = createAllNotesElement(note);
+    if (searchResults) {
+      highlightMatches(noteItem, searchResults.terms);
+    }
+    allNotesList.appendChild(noteItem);
+  });
+  
+  if (!searchResults && allNotesPage && allNotes.length < allNotesPage.total) {
+    const loadMore = document.createElement('li');
+    loadMore.className = 'load-more';
+    const button = document.createElement('button');
+    button.className = 'rule-add';
+    button.textContent = `Show more (${allNotesPage.total - allNotes.length} left)`;
+    button.addEventListener('click', () => {
+      button.disabled = true;
+      loadMoreNotes();
+    });
+    loadMore.appendChild(button);
+    allNotesList.appendChild(loadMore);
+  }
+  
+  applyPendingFocus();
+}
+
+/**
+ * Create a note element for All Notes view
+ */
+function createAllNotesElement(note) {
+  const li = document.createElement('li');
+  li.className = 'note-item';
+  li.dataset.noteId = note.id;
+  
+  // Note header with app badge and context
+  const noteHeader = document.createElement('div');
+  noteHeader.className = 'note-header';
+  
+  const leftInfo = document.createElement('div');
+  leftInfo.style.display = 'flex';
+  leftInfo.style.flexDirection = 'column';
+  leftInfo.style.gap = '4px';
+  leftInfo.style.flex = '1';
+  leftInfo.style.minWidth = '0';
+  
+  const badge = document.createElement('span');
+  badge.className = 'note-badge';
+  const emoji = getAppEmoji(note.app);
+  badge.innerHTML = `<span>${emoji}</span><span>${note.app.toUpperCase()}</span>`;
+  
+  const contextTitle = document.createElement('div');
+  contextTitle.className = 'note-context-title';
+  contextTitle.textContent = note.contextTitle || 'Unknown context';
+  
+  leftInfo.appendChild(badge);
+  leftInfo.appendChild(contextTitle);
+  
+  noteHeader.appendChild(leftInfo);
+  
+  // Note text
+  const noteText = createNoteTextElement(note, note.contextKey);
+  
+  // Note meta
+  const noteMeta = document.createElement('div');
+  noteMeta.className = 'note-meta';
+  
+  const noteDate = document.createElement('span');
+  noteDate.className = 'note-date';
+  noteDate.textContent = formatNoteDate(note);
+  
+  noteMeta.appendChild(noteDate);
+  noteMeta.appendChild(createNoteActions(noteText, note, note.contextKey, note.contextKey, { fromAllView: true }));
+  
+  li.appendChild(noteHeader);
+  li.appendChild(noteText);
+  li.appendChild(noteMeta);
+  
+  return li;
+}
+
+/**
+ * Get emoji for app
+ */
+function getAppEmoji(app) {
+  const emojis = {
+    'gmail': '\ud83d\udce7',
+    'meet': '\ud83c\udfa5',
+    'docs': '\ud83d\udcdd',
+    'sheets': '\ud83d\udcca',
+    'slides': '\ud83d\udcfd\ufe0f',
+    'forms': '\ud83d\udccb',
+    'calendar': '\ud83d\udcc5',
+    'youtube': '\u25b6\ufe0f',
+    'person': '\ud83d\udc64'
+  };
+  return emojis[app] || '\ud83d\udcc4';
+}
+
+/**
+ * Open settings modal
+ */
+function openSettings() {
+  const modal = document.getElementById('settingsModal');
+  if (modal) {
+    modal.classList.add('show');
+    loadStorageUsage();
+  }
+}
+
+/**
+ * Show how many notes are stored and how much of the browser's quota they use
+ */
+async function loadStorageUsage() {
+  const usageText = document.getElementById('storageUsageText');
+  
+  try {
+    const { usage, quota, notes, contexts } = await callBackground('getStorageUsage');
+    const share = quota > 0 ? ` (${(usage / quota * 100).toFixed(usage / quota < 0.01 ? 2 : 0)}% of ${formatBytes(quota)} available)` : '';
+    usageText.textContent = `${notes} note${notes !== 1 ? 's' : ''} in ${contexts} context${contexts !== 1 ? 's' : ''}, using ${formatBytes(usage)}${share}`;
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load storage usage:', error);
+    usageText.textContent = 'Storage usage is unavailable';
+  }
+}
+
+/**
+ * Format a byte count for display, e.g. "1.4 MB"
+ */
+function formatBytes(bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} ${units[0]}` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Close settings modal
+ */
+function closeSettings() {
+  const modal = document.getElementById('settingsModal');
+  if (modal) {
+    modal.classList.remove('show');
+  }
+}
+
+/**
+ * Save settings
+ */
+async function saveSettings() {
+  const apiKeyInput = document.getElementById('apiKeyInput');
+  const modelSelect = document.getElementById('modelSelect');
+  const promptInput = document.getElementById('promptInput');
+  
+  try {
+    // An empty prompt falls back to the default
+    settings = await callBackground('saveSettings', {
+      settings: {
+        apiKey: apiKeyInput.value.trim(),
+        model: modelSelect.value,
+        prompt: promptInput.value.trim(),
+        syncEnabled: document.getElementById('syncEnabledInput').checked,
+        vaultLockMinutes: Number(document.getElementById('vaultLockSelect').value),
+        trashRetentionDays: Number(document.getElementById('trashRetentionSelect').value),
+        relatedThreshold: Number(document.getElementById('relatedThresholdSelect').value)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    alert(`Failed to save settings: ${error.message}`);
+    return;
+  }
+  updateSettingsForm();
+  
+  // The relevance threshold may have changed
+  findRelatedNotes();
+  
+  // Show feedback
+  const saveBtn = document.getElementById('settingsSaveBtn');
+  const originalText = saveBtn.textContent;
+  saveBtn.textContent = 'Saved!';
+  setTimeout(() => {
+    saveBtn.textContent = originalText;
+    closeSettings();
+  }, 1000);
+}
+
+/**
+ * Export notes in the chosen format and download the file
+ */
+async function handleExport() {
+  const format = document.getElementById('exportFormat').value;
+  const scope = document.getElementById('exportScope').value;
+  
+  let noteRefs = null;
+  let filter = null;
+  if (scope === 'filtered') {
+    if (currentView !== 'all') {
+      alert('Open All Notes and filter or search it first, or export all notes.');
+      return;
+    }
+    
+    // Search results are all listed; otherwise only some pages may be loaded
+    if (searchResults) {
+      noteRefs = shownAllNotes.map(note => ({ contextKey: note.contextKey, id: note.id }));
+    } else {
+      const { app, tag } = getAllNotesQuery(0, 0);
+      filter = { app: app, tag: tag };
+    }
+  }
+  
+  let file;
+  try {
+    file = await callBackground('exportNotes', { format: format, noteRefs: noteRefs, filter: filter });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Export failed:', error);
+    alert(`Failed to export notes: ${error.message}`);
+    return;
+  }
+  
+  const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Import a JSON backup file and show what was merged
+ */
+async function handleImport(file) {
+  let report;
+  try {
+    report = await callBackground('importNotes', { json: await file.text() });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Import failed:', error);
+    alert(`Failed to import notes: ${error.message}`);
+    return;
+  }
+  
+  renderImportReport(report);
+  refreshNoteLists();
+}
+
+/**
+ * Show an import's added / updated counts and list its duplicates and conflicts
+ */
+function renderImportReport(report) {
+  const container = document.getElementById('importReport');
+  container.innerHTML = '';
+  container.style.display = 'block';
+  
+  const summary = document.createElement('div');
+  summary.textContent = `Added ${report.added}, updated ${report.updated}, ` +
+    `${report.duplicates.length} duplicate${report.duplicates.length !== 1 ? 's' : ''}, ` +
+    `${report.conflicts.length} conflict${report.conflicts.length !== 1 ? 's' : ''}` +
+    (report.skipped > 0 ? `, ${report.skipped} unreadable skipped` : '');
+  container.appendChild(summary);
+  
+  if (report.conflicts.length > 0) {
+    const list = document.createElement('ul');
+    report.conflicts.forEach(conflict => {
+      const item = document.createElement('li');
+      item.textContent = `${conflict.text} (kept ${conflict.kept === 'imported' ? 'the imported' : 'your'} version)`;
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+  
+  if (report.duplicates.length > 0) {
+    const details = document.createElement('div');
+    details.className = 'settings-hint';
+    details.textContent = `Already saved: ${report.duplicates.slice(0, 5).map(duplicate => duplicate.text).join('; ')}` +
+      (report.duplicates.length > 5 ? `; and ${report.duplicates.length - 5} more` : '');
+    container.appendChild(details);
+  }
+}
+
+/**
+ * Load the sync status and keep the header indicator current
+ */
+async function loadSyncStatus() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.sync_status) {
+      syncStatus = changes.sync_status.newValue || null;
+      renderSyncStatus();
+    }
+  });
+  
+  try {
+    syncStatus = await callBackground('getSyncStatus');
+    renderSyncStatus();
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load sync status:', error);
+  }
+}
+
+/**
+ * Show the sync state on the header button (hidden while sync is off)
+ */
+function renderSyncStatus() {
+  const button = document.getElementById('syncStatusBtn');
+  const state = syncStatus?.state || 'off';
+  const conflicts = syncStatus?.conflicts || 0;
+  
+  button.style.display = state === 'off' ? 'none' : 'flex';
+  button.className = `header-btn sync-status sync-${state}${conflicts > 0 ? ' sync-conflicts' : ''}`;
+  button.textContent = state === 'error' || conflicts > 0 ? '!' : '\u27f3';
+  button.title = describeSyncStatus();
+  
+  if (document.getElementById('syncModal').classList.contains('show')) {
+    document.getElementById('syncStatusText').textContent = describeSyncStatus();
+  }
+}
+
+/**
+ * Describe the sync state in words
+ */
+function describeSyncStatus() {
+  const state = syncStatus?.state || 'off';
+  const lastSync = syncStatus?.lastSyncAt ? `Last synced: ${formatDate(syncStatus.lastSyncAt)}` : 'Not synced yet';
+  const conflicts = syncStatus?.conflicts || 0;
+  const conflictText = conflicts > 0 ? ` \u00b7 ${conflicts} note${conflicts !== 1 ? 's' : ''} edited on two devices` : '';
+  
+  if (state === 'syncing') return `Syncing\u2026${conflictText}`;
+  if (state === 'locked') return `Waiting for DotNCue to be unlocked${conflictText}`;
+  if (state === 'error') return `Sync failed: ${syncStatus.error}${conflictText}`;
+  if (state === 'synced') return `${lastSync}${conflictText}`;
+  return 'Sync is off';
+}
+
+/**
+ * Open the sync panel with the list of conflicting edits
+ */
+async function openSyncPanel() {
+  document.getElementById('syncStatusText').textContent = describeSyncStatus();
+  document.getElementById('syncModal').classList.add('show');
+  await renderSyncConflicts();
+}
+
+/**
+ * Close the sync panel
+ */
+function closeSyncPanel() {
+  document.getElementById('syncModal').classList.remove('show');
+}
+
+/**
+ * Open the context manager
+ */
+async function openContextManager() {
+  document.getElementById('contextSearchInput').value = '';
+  document.getElementById('contextsModal').classList.add('show');
+  await loadContexts();
+}
+
+/**
+ * Close the context manager
+ */
+function closeContextManager() {
+  document.getElementById('contextsModal').classList.remove('show');
+}
+
+/**
+ * Load every context with notes and list them
+ */
+async function loadContexts() {
+  try {
+    contexts = await callBackground('listContexts');
+    contextsStale = false;
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load contexts:', error);
+    return;
+  }
+  
+  renderContextList();
+}
+
+/**
+ * Reload the contexts after notes change if the context manager shows them,
+ * else the next time they are needed
+ */
+function refreshContexts() {
+  contextsStale = true;
+  if (document.getElementById('contextsModal').classList.contains('show')) {
+    loadContexts();
+  }
+}
+
+/**
+ * List the contexts matching the search box, each with Rename and Merge
+ */
+function renderContextList() {
+  const list = document.getElementById('contextList');
+  const query = document.getElementById('contextSearchInput').value.trim().toLowerCase();
+  const shown = contexts.filter(context => !query ||
+    context.title.toLowerCase().includes(query) || context.key.toLowerCase().includes(query));
+  
+  document.getElementById('contextCount').textContent =
+    `${contexts.length} context${contexts.length !== 1 ? 's' : ''} with notes`;
+  list.innerHTML = '';
+  
+  if (shown.length === 0) {
+    list.innerHTML = `<div class="settings-hint">${contexts.length === 0 ? 'No notes yet' : 'No contexts match'}</div>`;
+    return;
+  }
+  
+  shown.forEach(context => list.appendChild(createContextRow(context)));
+}
+
+/**
+ * Create a context manager row: title, key and note count, aliases, actions
+ */
+function createContextRow(context) {
+  const row = document.createElement('div');
+  row.className = 'context-row';
+  
+  const header = document.createElement('div');
+  header.className = 'context-row-header';
+  
+  const badge = document.createElement('span');
+  badge.className = 'note-badge';
+  badge.innerHTML = `<span>${getAppEmoji(context.app)}</span><span>${context.app.toUpperCase()}</span>`;
+  
+  const title = document.createElement('span');
+  title.className = 'context-row-title';
+  title.textContent = context.title || context.key;
+  if (context.renamed) {
+    title.title = 'Renamed';
+  }
+  
+  const count = document.createElement('span');
+  count.className = 'note-date';
+  count.textContent = `${context.count} note${context.count !== 1 ? 's' : ''}`;
+  
+  header.appendChild(badge);
+  header.appendChild(title);
+  header.appendChild(count);
+  
+  const key = document.createElement('div');
+  key.className = 'context-row-key';
+  key.textContent = context.key;
+  
+  row.appendChild(header);
+  row.appendChild(key);
+  
+  // Keys merged into this context, which open it too
+  if (context.aliases.length > 0) {
+    const aliases = document.createElement('div');
+    aliases.className = 'context-row-key';
+    aliases.textContent = 'Also opens for: ';
+    context.aliases.forEach(alias => {
+      const chip = document.createElement('span');
+      chip.className = 'note-tag';
+      chip.textContent = `${alias} \u00d7`;
+      chip.title = 'Forget this alias, so its page gets its own notes again';
+      chip.addEventListener('click', () => handleRemoveAlias(alias));
+      aliases.appendChild(chip);
+    });
+    row.appendChild(aliases);
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'note-actions context-row-actions';
+  
+  const renameButton = document.createElement('button');
+  renameButton.className = 'note-delete note-action';
+  renameButton.textContent = 'Rename';
+  renameButton.onclick = () => startRenamingContext(row, actions, context);
+  actions.appendChild(renameButton);
+  
+  const mergeButton = document.createElement('button');
+  mergeButton.className = 'note-delete note-action';
+  mergeButton.textContent = 'Merge into...';
+  mergeButton.disabled = contexts.length < 2;
+  mergeButton.onclick = () => startMergingContext(row, actions, context);
+  actions.appendChild(mergeButton);
+  
+  row.appendChild(actions);
+  return row;
+}
+
+/**
+ * Replace a context row's buttons with a title editor
+ * Enter saves, Escape cancels; an empty title goes back to the page's own.
+ */
+function startRenamingContext(row, actions, context) {
+  const editor = document.createElement('div');
+  editor.className = 'context-row-actions';
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'settings-input';
+  input.value = context.title;
+  input.placeholder = 'Empty to use the page\'s title';
+  
+  const save = async () => {
+    try {
+      await callBackground('renameContext', { key: context.key, title: input.value });
+    } catch (error) {
+      console.error('DotNCue Sidebar: Failed to rename context:', error);
+      alert(`Failed to rename context: ${error.message}`);
+      return;
+    }
+    
+    if (currentContext?.key === context.key && input.value.trim()) {
+      currentContext = { ...currentContext, title: input.value.trim() };
+      updateContextDisplay();
+    }
+    loadContexts();
+    refreshNoteLists();
+  };
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      save();
+    } else if (e.key === 'Escape') {
+      editor.replaceWith(actions);
+    }
+  });
+  
+  const buttons = document.createElement('div');
+  buttons.className = 'note-actions';
+  const saveButton = document.createElement('button');
+  saveButton.className = 'note-delete note-action';
+  saveButton.textContent = 'Save';
+  saveButton.onclick = save;
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'note-delete note-action';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.onclick = () => editor.replaceWith(actions);
+  buttons.appendChild(saveButton);
+  buttons.appendChild(cancelButton);
+  
+  editor.appendChild(input);
+  editor.appendChild(buttons);
+  actions.replaceWith(editor);
+  input.focus();
+  input.select();
+}
+
+/**
+ * Replace a context row's buttons with a picker for the context to merge it into
+ */
+function startMergingContext(row, actions, context) {
+  const picker = document.createElement('div');
+  picker.className = 'context-row-actions';
+  
+  const select = document.createElement('select');
+  select.className = 'settings-select';
+  contexts.filter(other => other.key !== context.key).forEach(other => {
+    select.appendChild(new Option(`${other.title} (${other.key})`, other.key));
+  });
+  
+  const buttons = document.createElement('div');
+  buttons.className = 'note-actions';
+  const mergeButton = document.createElement('button');
+  mergeButton.className = 'note-delete note-action';
+  mergeButton.textContent = 'Merge';
+  mergeButton.onclick = () => handleMergeContexts(context, contexts.find(other => other.key === select.value));
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'note-delete note-action';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.onclick = () => picker.replaceWith(actions);
+  buttons.appendChild(mergeButton);
+  buttons.appendChild(cancelButton);
+  
+  picker.appendChild(select);
+  picker.appendChild(buttons);
+  actions.replaceWith(picker);
+}
+
+/**
+ * Merge one context into another, after checking with the user
+ */
+async function handleMergeContexts(from, to) {
+  if (!confirm(`Move the ${from.count} note${from.count !== 1 ? 's' : ''} of "${from.title}" into "${to.title}"? ` +
+               'Its page will open the merged notes from now on.')) {
+    return;
+  }
+  
+  try {
+    await callBackground('mergeContexts', { fromKey: from.key, toKey: to.key });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to merge contexts:', error);
+    alert(`Failed to merge contexts: ${error.message}`);
+    return;
+  }
+  
+  // The page open here may be the one merged away
+  if (currentContext?.key === from.key) {
+    currentContext = { ...currentContext, key: to.key, title: to.title };
+    updateContextDisplay();
+  }
+  loadContexts();
+  refreshNoteLists();
+}
+
+/**
+ * Forget a merged key's alias
+ */
+async function handleRemoveAlias(alias) {
+  try {
+    await callBackground('removeContextAlias', { alias: alias });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to remove alias:', error);
+    return;
+  }
+  loadContexts();
+}
+
+/**
+ * Sync right away
+ */
+async function handleSyncNow() {
+  try {
+    await callBackground('syncNotes');
+  } catch (error) {
+    // The status line shows the error
+    console.error('DotNCue Sidebar: Sync failed:', error);
+  }
+  await renderSyncConflicts();
+}
+
+/**
+ * List notes edited on two devices, each with the version that was kept and
+ * the one that lost, and buttons to keep either
+ */
+async function renderSyncConflicts() {
+  const section = document.getElementById('syncConflictSection');
+  const list = document.getElementById('syncConflictList');
+  
+  let conflicts;
+  try {
+    conflicts = await callBackground('listSyncConflicts');
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load sync conflicts:', error);
+    return;
+  }
+  
+  section.style.display = conflicts.length > 0 ? 'block' : 'none';
+  list.innerHTML = '';
+  
+  conflicts.forEach(conflict => {
+    const item = document.createElement('div');
+    item.className = 'sync-conflict';
+    
+    const addVersion = (label, text) => {
+      const labelElement = document.createElement('div');
+      labelElement.className = 'sync-conflict-label';
+      labelElement.textContent = label;
+      const version = document.createElement('div');
+      version.className = 'sync-conflict-version';
+      version.textContent = text;
+      item.appendChild(labelElement);
+      item.appendChild(version);
+    };
+    
+    addVersion('Kept (newest)', conflict.text);
+    if (conflict.otherText !== null) {
+      addVersion(`Other version \u00b7 ${formatDate(conflict.otherUpdatedAt)}`, conflict.otherText);
+    } else {
+      addVersion('Other version', 'Deleted on this device');
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'note-actions';
+    [
+      ['Keep', false],
+      [conflict.otherText !== null ? 'Use Other Version' : 'Delete It', true]
+    ].forEach(([label, useOther]) => {
+      const button = document.createElement('button');
+      button.className = 'note-delete note-action';
+      button.textContent = label;
+      button.onclick = () => resolveSyncConflict(conflict.id, useOther);
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
+    
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Settle a sync conflict and refresh the list
+ */
+async function resolveSyncConflict(noteId, useOther) {
+  try {
+    await callBackground('resolveSyncConflict', { noteId: noteId, useOther: useOther });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to resolve sync conflict:', error);
+    alert(`Failed to resolve conflict: ${error.message}`);
+  }
+  await renderSyncConflicts();
+}
+
+/**
+ * Load the vault status, and show the unlock screen whenever the vault locks
+ * (the service worker forgets its key after inactivity, see vault.js)
+ */
+async function loadVaultStatus() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if ((areaName === 'session' && changes.vault_key) || (areaName === 'local' && changes.vault)) {
+      refreshVaultStatus();
+    }
+  });
+  
+  await refreshVaultStatus();
+}
+
+/**
+ * Fetch the vault status and update the lock screen, lock button and settings
+ */
+async function refreshVaultStatus() {
+  const wasLocked = vaultStatus ? vaultStatus.enabled && !vaultStatus.unlocked : false;
+  
+  try {
+    vaultStatus = await callBackground('getVaultStatus');
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load vault status:', error);
+    return;
+  }
+  
+  const locked = vaultStatus.enabled && !vaultStatus.unlocked;
+  document.getElementById('vaultModal').classList.toggle('show', locked);
+  document.getElementById('lockBtn').style.display = vaultStatus.unlocked ? 'flex' : 'none';
+  renderVaultSettings();
+  
+  if (locked) {
+    closeSettings();
+    closeHistory();
+    closeSyncPanel();
+    document.getElementById('vaultUnlockInput').focus();
+  } else if (wasLocked) {
+    reloadAfterUnlock();
+  }
+}
+
+/**
+ * Show the encryption section of the settings for the vault being on or off
+ */
+function renderVaultSettings() {
+  const enabled = Boolean(vaultStatus?.enabled);
+  
+  document.getElementById('vaultStatusText').textContent = enabled
+    ? 'Notes and your API key are encrypted. Enter your passphrase to turn encryption off.'
+    : 'Notes and your API key are stored unencrypted on this device.';
+  document.getElementById('vaultConfirmInput').style.display = enabled ? 'none' : 'block';
+  document.getElementById('vaultToggleBtn').textContent = enabled ? 'Turn Off Encryption' : 'Turn On Encryption';
+}
+
+/**
+ * Unlock the vault with the passphrase on the lock screen
+ */
+async function handleUnlock() {
+  const input = document.getElementById('vaultUnlockInput');
+  const errorText = document.getElementById('vaultUnlockError');
+  const unlockBtn = document.getElementById('vaultUnlockBtn');
+  
+  unlockBtn.disabled = true;
+  errorText.textContent = '';
+  try {
+    await callBackground('unlockVault', { passphrase: input.value });
+    input.value = '';
+  } catch (error) {
+    errorText.textContent = error.message;
+    input.select();
+  } finally {
+    unlockBtn.disabled = false;
+  }
+  
+  await refreshVaultStatus();
+}
+
+/**
+ * Lock the vault now
+ */
+async function lockVault() {
+  try {
+    await callBackground('lockVault');
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to lock:', error);
+  }
+  await refreshVaultStatus();
+}
+
+/**
+ * Turn encryption on (passphrase entered twice) or off (passphrase checked)
+ */
+async function handleVaultToggle() {
+  const passphraseInput = document.getElementById('vaultPassphraseInput');
+  const confirmInput = document.getElementById('vaultConfirmInput');
+  const enabled = Boolean(vaultStatus?.enabled);
+  
+  if (!enabled && passphraseInput.value !== confirmInput.value) {
+    alert('The passphrases don\'t match.');
+    return;
+  }
+  if (enabled && !confirm('Store your notes unencrypted again?')) {
+    return;
+  }
+  
+  try {
+    await callBackground(enabled ? 'disableVault' : 'enableVault', { passphrase: passphraseInput.value });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to change encryption:', error);
+    alert(`Failed to ${enabled ? 'turn off' : 'turn on'} encryption: ${error.message}`);
+    return;
+  }
+  
+  passphraseInput.value = '';
+  confirmInput.value = '';
+  await refreshVaultStatus();
+  loadSettings();
+}
+
+/**
+ * Load everything that couldn't be read while the vault was locked
+ */
+function reloadAfterUnlock() {
+  loadSettings();
+  loadKnownTags();
+  refreshContexts();
+  loadDueSoon();
+  refreshNoteLists();
+}
+
+/**
+ * Load user-defined context rules from storage
+ */
+async function loadCustomRules() {
+  try {
+    customRules = await callBackground('getCustomRules');
+    renderRules();
+    updateAppFilterOptions();
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to load custom rules:', error);
+  }
+}
+
+/**
+ * Render the custom site rules in settings
+ */
+function renderRules() {
+  const rulesList = document.getElementById('rulesList');
+  if (!rulesList) return;
+  
+  rulesList.innerHTML = '';
+  
+  customRules.forEach(rule => {
+    const li = document.createElement('li');
+    li.className = 'rule-item';
+    
+    const info = document.createElement('div');
+    info.className = 'rule-item-info';
+    
+    const name = document.createElement('div');
+    name.className = 'rule-item-name';
+    name.textContent = `${rule.name} \u2192 ${rule.keyTemplate}`;
+    
+    const pattern = document.createElement('div');
+    pattern.className = 'rule-item-pattern';
+    pattern.textContent = rule.pattern;
+    pattern.title = rule.titleSelector ? `Title: ${rule.titleSelector}` : '';
+    
+    info.appendChild(name);
+    info.appendChild(pattern);
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'note-delete';
+    deleteButton.textContent = 'Remove';
+    deleteButton.onclick = () => handleDeleteRule(rule.id);
+    
+    li.appendChild(info);
+    li.appendChild(deleteButton);
+    rulesList.appendChild(li);
+  });
+}
+
+/**
+ * Add an App filter option for each custom site
+ */
+function updateAppFilterOptions() {
+  const appFilterSelect = document.getElementById('appFilter');
+  if (!appFilterSelect) return;
+  
+  const existing = Array.from(appFilterSelect.options).map(option => option.value);
+  
+  customRules.forEach(rule => {
+    const app = getRuleApp(rule);
+    if (existing.includes(app)) return;
+    
+    const option = document.createElement('option');
+    option.value = app;
+    option.textContent = rule.name;
+    appFilterSelect.appendChild(option);
+    existing.push(app);
+  });
+}
+
+/**
+ * Add a custom site rule, requesting access to the site first
+ */
+function handleAddRule() {
+  const nameInput = document.getElementById('ruleNameInput');
+  const patternInput = document.getElementById('rulePatternInput');
+  const selectorInput = document.getElementById('ruleSelectorInput');
+  const keyInput = document.getElementById('ruleKeyInput');
+  
+  const name = nameInput.value.trim();
+  const pattern = patternInput.value.trim();
+  const titleSelector = selectorInput.value.trim();
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom';
+  let keyTemplate = keyInput.value.trim() || '{path}';
+  
+  if (!name || !pattern) {
+    alert('Please enter a name and a URL pattern.');
+    return;
+  }
+  
+  const origin = getPatternOrigin(pattern);
+  if (!origin || !matchPatternToRegExp(pattern)) {
+    alert('Invalid URL pattern. Use a form like https://jira.example.com/browse/*');
+    return;
+  }
+  
+  if (titleSelector) {
+    try {
+      document.querySelector(titleSelector);
+    } catch (e) {
+      alert('Invalid title CSS selector.');
+      return;
+    }
+  }
+  
+  // Keys are "app:..."; prefix templates that don't name an app
+  if (!keyTemplate.includes(':')) {
+    keyTemplate = `${slug}:${keyTemplate}`;
+  }
+  
+  // Must be called directly from the click to count as a user gesture
+  chrome.permissions.request({ origins: [origin] }, async (granted) => {
+    if (!granted) {
+      alert(`DotNCue needs access to ${origin} to show notes there.`);
+      return;
+    }
+    
+    try {
+      customRules = await callBackground('addCustomRule', {
+        rule: {
+          id: `rule-${Date.now()}`,
+          name: name,
+          pattern: pattern,
+          titleSelector: titleSelector,
+          keyTemplate: keyTemplate
+        }
+      });
+    } catch (error) {
+      console.error('DotNCue Sidebar: Failed to save rule:', error);
+      alert(`Failed to save rule: ${error.message}`);
+      return;
+    }
+    
+    nameInput.value = '';
+    patternInput.value = '';
+    selectorInput.value = '';
+    keyInput.value = '';
+    renderRules();
+    updateAppFilterOptions();
+  });
+}
+
+/**
+ * Remove a custom site rule, dropping the site permission if no other rule needs it
+ */
+async function handleDeleteRule(ruleId) {
+  const rule = customRules.find(r => r.id === ruleId);
+  if (!rule) return;
+  
+  try {
+    customRules = await callBackground('deleteCustomRule', { ruleId: ruleId });
+  } catch (error) {
+    console.error('DotNCue Sidebar: Failed to remove rule:', error);
+    return;
+  }
+  renderRules();
+  
+  const origin = getPatternOrigin(rule.pattern);
+  const stillUsed = customRules.some(r => getPatternOrigin(r.pattern) === origin);
+  const required = chrome.runtime.getManifest().host_permissions.includes(origin);
+  if (origin && !stillUsed && !required) {
+    chrome.permissions.remove({ origins: [origin] });
+  }
+}
+
+/**
+ * Analyze current page with Groq API (via the service worker)
+ */
+async function analyzePage() {
+  const analyzeBtn = document.getElementById('analyzeBtn');
+  
+  // Check if API key is set
+  if (!settings.apiKey) {
+    alert('Please set your Groq API key in Settings first.');
+    openSettings();
+    return;
+  }
+  
+  // Disable button and show loading
+  analyzeBtn.disabled = true;
+  const originalHTML = analyzeBtn.innerHTML;
+  analyzeBtn.innerHTML = '<span>&#9203;</span><span>Analyzing...</span>';
+  
+  try {
+    // Get page content from the content script
+    if (!contentChannel) {
+      throw new Error('Not connected to the page');
+    }
+    const pageContent = await contentChannel.request(MESSAGE_TYPES.GET_PAGE_CONTENT);
+    
+    // The service worker calls the Groq API with the saved settings
+    const summary = await callBackground('analyzeContent', { content: pageContent });
+    
+    // Add summary as a note
+    const noteInput = document.getElementById('noteInput');
+    noteInput.value = `AI Summary:\n${summary}`;
+    setNotePreview(false);
+    
+    // Auto-resize textarea
     noteInput.style.height = 'auto';
     noteInput.style.height = noteInput.scrollHeight + 'px';
     
     // Focus on textarea
     noteInput.focus();
-    
+  
   } catch (error) {
     console.error('Analysis failed:', error);
     alert(`Failed to analyze page: ${error.message}`);
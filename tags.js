@@ -0,0 +1,46 @@
+﻿/**
+ * Note Tags for DotNCue
+ * Shared by the sidebar and service worker: a note's tags are the #tags in its
+ * text plus any added as chips (stored in note.tags), lowercased without "#"
+ */
+
+// A #tag starts with a letter and isn't part of a word, URL fragment or entity
+const TAG_PATTERN = /(^|[^\p{L}\p{N}_&#/])#(\p{L}[\p{L}\p{N}_-]*)/gu;
+
+/**
+ * Normalize a tag as typed ("#Work", " work ") to its stored form ("work")
+ */
+function normalizeTag(tag) {
+  return String(tag || '').trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+}
+
+/**
+ * Normalize a list of tags, dropping empty ones and duplicates
+ */
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Blank out the code in Markdown text (fenced blocks and inline spans)
+ */
+function stripMarkdownCode(text) {
+  return String(text || '')
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/`[^`\n]*`/g, ' ');
+}
+
+/**
+ * Get the #tags written in a note's text (code is ignored)
+ */
+function parseTags(text) {
+  const prose = stripMarkdownCode(text);
+  return normalizeTags(Array.from(prose.matchAll(TAG_PATTERN), match => match[2]));
+}
+
+/**
+ * Get all of a note's tags: written in the text and added as chips
+ */
+function getNoteTags(note) {
+  return normalizeTags([...parseTags(note.text), ...(note.tags || [])]);
+}
@@ -0,0 +1,173 @@
+﻿/**
+ * Context detector tests for DotNCue
+ * Loads the detectors into a jsdom window the way the manifest loads them into
+ * a page, then checks what they detect on saved HTML fixtures (test/fixtures).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// The manifest's content scripts, minus the ones that talk to Chrome
+const DETECTOR_SCRIPTS = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8').replace(/^\uFEFF/, ''))
+  .content_scripts[0].js
+  .filter(file => file !== 'messaging.js' && file !== 'content.js');
+
+/**
+ * Open a fixture at a URL with the detectors loaded
+ * Scripts run as classic scripts in one context, so they share top-level
+ * declarations like they do on the page; customRules stands in for the rules
+ * content.js loads from storage.
+ */
+function loadPage(fixture, url, customRules = []) {
+  const html = fixture ? fs.readFileSync(path.join(__dirname, 'fixtures', fixture), 'utf8') : '<!DOCTYPE html><html><head><title></title></head><body></body></html>';
+  const dom = new JSDOM(html, { url: url, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+  
+  const context = dom.getInternalVMContext();
+  
+  new vm.Script(`let customRules = ${JSON.stringify(customRules)};`).runInContext(context);
+  DETECTOR_SCRIPTS.forEach(file => {
+    new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+  });
+  return dom.window;
+}
+
+/**
+ * Run the detector for the page's URL: { detector, context }
+ */
+function detect(window) {
+  const result = window.eval(`(() => {
+    const detector = findDetector(window.location.href);
+    return JSON.stringify({ detector: detector && detector.name, context: detector && detector.detect() });
+  })()`);
+  return JSON.parse(result);
+}
+
+test('gmail: an open thread is keyed by its thread ID with its writers as participants', () => {
+  const window = loadPage('gmail-thread.html', 'https://mail.google.com/mail/u/0/#inbox/FMfcgzQXJWDsKmcgzdnCkrSwQxqDklTv');
+  const { detector, context } = detect(window);
+  
+  assert.strictEqual(detector, 'gmail');
+  assert.strictEqual(context.key, 'gmail:thread:18c2f3a4b5d6e7f8');
+  assert.strictEqual(context.kind, 'thread');
+  assert.strictEqual(context.title, 'Q4 budget review');
+  assert.strictEqual(context.sender, 'alice@example.com');
+  assert.deepStrictEqual(context.participants, ['alice@example.com', 'bob@example.com']);
+  assert.deepStrictEqual(context.participantNames, { 'alice@example.com': 'Alice Archer', 'bob@example.com': 'Bob Baker' });
+  assert.strictEqual(context.account, 'me@example.com');
+});
+
+test('gmail: inbox and label views are list contexts', () => {
+  assert.deepStrictEqual(detect(loadPage(null, 'https://mail.google.com/mail/u/0/#inbox')).context, {
+    app: 'gmail',
+    kind: 'list',
+    title: 'Inbox',
+    participants: [],
+    url: 'https://mail.google.com/mail/u/0/#inbox',
+    key: 'gmail:list:inbox'
+  });
+  
+  const { context } = detect(loadPage(null, 'https://mail.google.com/mail/u/0/#label/Work+Projects'));
+  assert.strictEqual(context.key, 'gmail:list:label/Work+Projects');
+  assert.strictEqual(context.title, 'Label: Work Projects');
+});
+
+test('gmail: a thread has one key however it was opened', () => {
+  const urls = [
+    'https://mail.google.com/mail/u/0/#inbox/FMfcgzQXJWDsKmcgzdnCkrSwQxqDklTv',
+    'https://mail.google.com/mail/u/0/#label/Work/FMfcgzQXJWDsKmcgzdnCkrSwQxqDklTv',
+    'https://mail.google.com/mail/u/0/#search/budget/FMfcgzQXJWDsKmcgzdnCkrSwQxqDklTv'
+  ];
+  urls.forEach(url => {
+    assert.strictEqual(detect(loadPage('gmail-thread.html', url)).context.key, 'gmail:thread:18c2f3a4b5d6e7f8', url);
+  });
+});
+
+test('gmail: before the subject renders, only IDs after a mailbox or label count as threads', () => {
+  const labelThread = detect(loadPage(null, 'https://mail.google.com/mail/u/0/#label/Work/FMfcgzQXJWDsKmcgzdnCkrSwQxqDklTv')).context;
+  assert.strictEqual(labelThread.key, 'gmail:thread:FMfcgzQXJWDsKmcgzdnCkrSwQxqDklTv');
+  
+  // Long label names and search queries aren't thread IDs
+  assert.strictEqual(detect(loadPage(null, 'https://mail.google.com/mail/u/0/#label/QuarterlyPlanning2026')).context.key, 'gmail:list:label/QuarterlyPlanning2026');
+  assert.strictEqual(detect(loadPage(null, 'https://mail.google.com/mail/u/0/#search/invoicefromsupplier')).context.key, 'gmail:list:search/invoicefromsupplier');
+  assert.strictEqual(detect(loadPage(null, 'https://mail.google.com/mail/u/0/#label/Work/Longlabelname1234')).context.kind, 'list');
+  assert.strictEqual(detect(loadPage(null, 'https://mail.google.com/mail/u/0/#search/budget/FMfcgzQXJWDsKmcgzdnCkrSwQxqDklTv')).context.kind, 'list');
+});
+
+test('calendar: an event is keyed by its series and leaves out the signed-in account', () => {
+  const window = loadPage('calendar-event.html', 'https://calendar.google.com/calendar/u/0/r/week');
+  const { detector, context } = detect(window);
+  
+  assert.strictEqual(detector, 'calendar');
+  assert.strictEqual(context.key, 'calendar:event:7kq2f0bm3v1c5a8d9e4h6j');
+  assert.strictEqual(context.eventId, '7kq2f0bm3v1c5a8d9e4h6j_20261020T150000Z');
+  assert.strictEqual(context.title, 'Weekly sync');
+  assert.deepStrictEqual(context.participants, ['alice@example.com', 'bob@example.com']);
+  assert.deepStrictEqual(context.participantNames, { 'alice@example.com': 'Alice Archer' });
+  assert.strictEqual(context.account, 'me@example.com');
+  assert.strictEqual(context.meetLink, 'https://meet.google.com/abc-defg-hij');
+  assert.strictEqual(context.meetCode, 'abc-defg-hij');
+});
+
+test('calendar: with no event open the context is the calendar itself', () => {
+  const { context } = detect(loadPage(null, 'https://calendar.google.com/calendar/u/0/r/week'));
+  assert.strictEqual(context.key, 'calendar:general');
+});
+
+test('meet: a call is keyed by its meeting code with each participant once', () => {
+  const window = loadPage('meet-call.html', 'https://meet.google.com/abc-defg-hij');
+  const { detector, context } = detect(window);
+  
+  assert.strictEqual(detector, 'meet');
+  assert.strictEqual(context.key, 'meet:abc-defg-hij');
+  assert.strictEqual(context.title, 'Weekly sync');
+  assert.deepStrictEqual(context.participants, ['Alice Archer', 'You', 'Bob Baker']);
+  
+  assert.strictEqual(detect(loadPage(null, 'https://meet.google.com/landing')).context.key, 'meet:home');
+});
+
+test('docs: a file is keyed by its ID, not its title', () => {
+  const window = loadPage('docs-document.html', 'https://docs.google.com/document/u/1/d/1aBcD_eFgH-iJkLmNoPqRsTuVwXyZ/edit');
+  const { detector, context } = detect(window);
+  
+  assert.strictEqual(detector, 'docs');
+  assert.strictEqual(context.app, 'docs');
+  assert.strictEqual(context.key, 'docs:1aBcD_eFgH-iJkLmNoPqRsTuVwXyZ');
+  assert.strictEqual(context.title, 'Launch plan');
+  
+  const { context: sheet } = detect(loadPage(null, 'https://docs.google.com/spreadsheets/d/9zYx/edit#gid=0'));
+  assert.strictEqual(sheet.key, 'sheets:9zYx');
+});
+
+test('youtube: a video is keyed by its ID with its channel as participant', () => {
+  const window = loadPage('youtube-watch.html', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s');
+  const { detector, context } = detect(window);
+  
+  assert.strictEqual(detector, 'youtube');
+  assert.strictEqual(context.key, 'youtube:video:dQw4w9WgXcQ');
+  assert.strictEqual(context.title, 'Intro to IndexedDB');
+  assert.strictEqual(context.channel, 'Web Dev Channel');
+  assert.deepStrictEqual(context.participants, ['Web Dev Channel']);
+  assert.strictEqual(window.eval('isYouTubeContextSettled')(context), true);
+  
+  const { context: search } = detect(loadPage(null, 'https://www.youtube.com/results?search_query=indexeddb'));
+  assert.strictEqual(search.key, 'youtube:Search: indexeddb');
+});
+
+test('custom: a user rule keys pages on other sites from its template', () => {
+  const rules = [{ id: 'r1', name: 'Jira', pattern: 'https://jira.example.com/browse/*', keyTemplate: 'jira:{path[2]}', titleSelector: 'h1' }];
+  const window = loadPage('jira-issue.html', 'https://jira.example.com/browse/PROJ-42', rules);
+  const { detector, context } = detect(window);
+  
+  assert.strictEqual(detector, 'custom');
+  assert.strictEqual(context.app, 'jira');
+  assert.strictEqual(context.key, 'jira:PROJ-42');
+  assert.strictEqual(context.title, 'Login fails on Safari');
+  
+  assert.strictEqual(detect(loadPage(null, 'https://example.org/')).detector, null);
+});
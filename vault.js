@@ -0,0 +1,361 @@
+﻿/**
+ * Encrypted Vault for DotNCue
+ * Service worker side: when the vault is on, notes (with the trash and the
+ * sync conflicts' note text) and the Groq API key are stored encrypted with AES-GCM, under a key derived (PBKDF2) from a passphrase
+ * the user enters in the sidebar. Nothing is decrypted until it is unlocked,
+ * and it locks itself again after a spell without sidebar activity.
+ *
+ * A stored note keeps only its id, times and reminder readable (so alarms and
+ * "has notes" checks work while locked); every other field is sealed together:
+ * { id, createdAt, updatedAt, reminder?, sealed }.
+ */
+
+// Local: { salt, iterations, check } while the vault is on; check is VAULT_CHECK_TEXT sealed with the key
+const VAULT_KEY = 'vault';
+
+// Session: the unlocked key (raw, base64), so a suspended service worker stays
+// unlocked; session storage is never written to disk or shown to content scripts
+const VAULT_SESSION_KEY = 'vault_key';
+
+const VAULT_ITERATIONS = 310000;
+const VAULT_CHECK_TEXT = 'dotncue-vault';
+const VAULT_MIN_PASSPHRASE = 8;
+
+// Fires after the auto-lock delay (settings.vaultLockMinutes) without sidebar activity
+const VAULT_LOCK_ALARM = 'vault-lock';
+const VAULT_DEFAULT_LOCK_MINUTES = 15;
+
+// Note fields stored readable while the vault is on
+const VAULT_PLAIN_FIELDS = ['id', 'createdAt', 'updatedAt', 'reminder'];
+
+// Error code sent to clients with "DotNCue is locked" failures (see handleApiRequest)
+const VAULT_LOCKED = 'VAULT_LOCKED';
+
+// The unlocked key, or null; restored from session storage after a restart
+let vaultKey = null;
+
+// Last time the auto-lock alarm was pushed back
+let vaultTouchedAt = 0;
+
+/**
+ * Build the error thrown when notes are needed while the vault is locked
+ */
+function vaultLockedError() {
+  const error = new Error('DotNCue is locked');
+  error.code = VAULT_LOCKED;
+  return error;
+}
+
+/**
+ * Get the vault settings, or null when the vault is off
+ */
+async function getVaultConfig() {
+  const { [VAULT_KEY]: config = null } = await chrome.storage.local.get([VAULT_KEY]);
+  return config;
+}
+
+/**
+ * Get the unlocked key, or null when the vault is locked
+ */
+async function getVaultKey() {
+  if (vaultKey) return vaultKey;
+  
+  const { [VAULT_SESSION_KEY]: raw } = await chrome.storage.session.get([VAULT_SESSION_KEY]);
+  if (raw) {
+    vaultKey = await crypto.subtle.importKey('raw', base64ToBytes(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+  }
+  return vaultKey;
+}
+
+/**
+ * Get the unlocked key, throwing if the vault is locked
+ */
+async function requireVaultKey() {
+  const key = await getVaultKey();
+  if (!key) throw vaultLockedError();
+  return key;
+}
+
+/**
+ * Report whether the vault is on and unlocked: { enabled, unlocked, lockMinutes }
+ */
+async function getVaultStatus() {
+  const config = await getVaultConfig();
+  const settings = await getSettings();
+  return {
+    enabled: Boolean(config),
+    unlocked: Boolean(config) && Boolean(await getVaultKey()),
+    lockMinutes: settings.vaultLockMinutes
+  };
+}
+
+/**
+ * Check whether the vault is on but locked
+ */
+async function isVaultLocked() {
+  return Boolean(await getVaultConfig()) && !(await getVaultKey());
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ */
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations: iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Derive the key for a passphrase and check it against a vault's check value
+ * Resolves with the key, or null if the passphrase is wrong.
+ */
+async function openVaultKey(config, passphrase) {
+  const key = await deriveVaultKey(passphrase, config.salt, config.iterations);
+  try {
+    return await unsealText(key, config.check) === VAULT_CHECK_TEXT ? key : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Encrypt bytes: a random 12-byte IV followed by the ciphertext
+ */
+async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, bytes));
+  const sealed = new Uint8Array(iv.length + ciphertext.length);
+  sealed.set(iv);
+  sealed.set(ciphertext, iv.length);
+  return sealed;
+}
+
+/**
+ * Decrypt bytes written by encryptBytes()
+ */
+async function decryptBytes(key, sealed) {
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.subarray(0, 12) }, key, sealed.subarray(12)));
+}
+
+/**
+ * Encrypt text as base64
+ */
+async function sealText(key, text) {
+  return bytesToBase64(await encryptBytes(key, new TextEncoder().encode(text)));
+}
+
+/**
+ * Decrypt text written by sealText()
+ */
+async function unsealText(key, sealed) {
+  return new TextDecoder().decode(await decryptBytes(key, base64ToBytes(sealed)));
+}
+
+/**
+ * Encode bytes as base64
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ */
+function base64ToBytes(encoded) {
+  return Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+}
+
+/**
+ * Prepare notes for storage: sealed when the vault is on, as they are otherwise
+ * Notes that are still sealed are kept as they are.
+ */
+async function sealNotes(notes) {
+  if (notes.every(note => note.sealed) || !(await getVaultConfig())) return notes;
+  
+  const key = await requireVaultKey();
+  return Promise.all(notes.map(async note => {
+    if (note.sealed) return note;
+    
+    const stored = {};
+    const hidden = {};
+    Object.entries(note).forEach(([field, value]) => {
+      (VAULT_PLAIN_FIELDS.includes(field) ? stored : hidden)[field] = value;
+    });
+    stored.sealed = await sealText(key, JSON.stringify(hidden));
+    return stored;
+  }));
+}
+
+/**
+ * Decrypt stored notes (throws if any are sealed and the vault is locked)
+ */
+async function openNotes(notes) {
+  if (!notes.some(note => note.sealed)) return notes;
+  
+  const key = await requireVaultKey();
+  return Promise.all(notes.map(async note => {
+    if (!note.sealed) return note;
+    
+    const { sealed, ...plain } = note;
+    return { ...JSON.parse(await unsealText(key, sealed)), ...plain };
+  }));
+}
+
+/**
+ * Keep the key for this browser session and (re)start the auto-lock timer
+ */
+async function holdVaultKey(key) {
+  vaultKey = key;
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  await chrome.storage.session.set({ [VAULT_SESSION_KEY]: bytesToBase64(raw) });
+  vaultTouchedAt = 0;
+  await touchVault();
+}
+
+/**
+ * Push back the auto-lock, on sidebar activity
+ */
+async function touchVault() {
+  // Re-creating the alarm on every request isn't needed for minute-scale delays
+  if (Date.now() - vaultTouchedAt < 30000 || !(await getVaultKey())) return;
+  vaultTouchedAt = Date.now();
+  
+  const { vaultLockMinutes } = await getSettings();
+  if (vaultLockMinutes > 0) {
+    chrome.alarms.create(VAULT_LOCK_ALARM, { delayInMinutes: vaultLockMinutes });
+  } else {
+    chrome.alarms.clear(VAULT_LOCK_ALARM);
+  }
+}
+
+/**
+ * Turn the vault on: encrypt every note (trashed ones too), the sync conflicts
+ * and the API key under a passphrase
+ * If notes are already synced encrypted from another device, the passphrase
+ * has to match the one used there.
+ */
+async function enableVault(passphrase) {
+  if (await getVaultConfig()) {
+    throw new Error('Encryption is already on');
+  }
+  if (typeof passphrase !== 'string' || passphrase.length < VAULT_MIN_PASSPHRASE) {
+    throw new Error(`Use a passphrase of at least ${VAULT_MIN_PASSPHRASE} characters`);
+  }
+  
+  const { [SYNC_MANIFEST_KEY]: manifest } = await chrome.storage.sync.get([SYNC_MANIFEST_KEY]);
+  let config;
+  let key;
+  
+  if (manifest?.vault) {
+    config = manifest.vault;
+    key = await openVaultKey(config, passphrase);
+    if (!key) {
+      throw new Error('Your synced notes are encrypted with a different passphrase; use the one from your other devices');
+    }
+  } else {
+    const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+    key = await deriveVaultKey(passphrase, salt, VAULT_ITERATIONS);
+    config = { salt: salt, iterations: VAULT_ITERATIONS, check: await sealText(key, VAULT_CHECK_TEXT) };
+  }
+  
+  await holdVaultKey(key);
+  await withAllNoteLocks(async () => {
+    await chrome.storage.local.set({ [VAULT_KEY]: config });
+    await saveNoteBuckets(await getAllNoteBuckets());
+    await resealTrash();
+  });
+  await resealSyncConflicts();
+  await resealApiKey();
+  
+  console.log('DotNCue: Vault turned on');
+  return getVaultStatus();
+}
+
+/**
+ * Turn the vault off: store every note, the sync conflicts and the API key readable again
+ */
+async function disableVault(passphrase) {
+  const config = await getVaultConfig();
+  if (!config) return getVaultStatus();
+  
+  const key = await openVaultKey(config, passphrase || '');
+  if (!key) {
+    throw new Error('Wrong passphrase');
+  }
+  
+  await holdVaultKey(key);
+  const settings = await getSettings();
+  await withAllNoteLocks(async () => {
+    const buckets = await getAllNoteBuckets();
+    await chrome.storage.local.remove(VAULT_KEY);
+    await saveNoteBuckets(buckets);
+    await resealTrash();
+  });
+  await resealSyncConflicts();
+  await saveSettings({ apiKey: settings.apiKey });
+  await lockVault();
+  
+  console.log('DotNCue: Vault turned off');
+  return getVaultStatus();
+}
+
+/**
+ * Unlock the vault with its passphrase
+ */
+async function unlockVault(passphrase) {
+  const config = await getVaultConfig();
+  if (!config) return getVaultStatus();
+  
+  const key = await openVaultKey(config, passphrase || '');
+  if (!key) {
+    throw new Error('Wrong passphrase');
+  }
+  
+  await holdVaultKey(key);
+  console.log('DotNCue: Vault unlocked');
+  
+  // Anything that waited for the notes
+  scheduleSync();
+  openPendingNote().catch(error => {
+    console.error('DotNCue: Failed to open the note waiting for the unlock:', error);
+  });
+  return getVaultStatus();
+}
+
+/**
+ * Forget the key until the passphrase is entered again
+ */
+async function lockVault() {
+  vaultKey = null;
+  await chrome.storage.session.remove(VAULT_SESSION_KEY);
+  chrome.alarms.clear(VAULT_LOCK_ALARM);
+  
+  // The search and link indexes hold decrypted text
+  resetSearchIndex();
+  resetLinkIndex();
+  return getVaultStatus();
+}
+
+/**
+ * Run a task holding the lock of every note bucket in storage
+ */
+async function withAllNoteLocks(task) {
+  return withKeyLocks(await listNoteKeys(), task);
+}
+
+/**
+ * Re-save the API key so it is stored sealed (see saveSettings)
+ */
+async function resealApiKey() {
+  const settings = await getSettings();
+  await saveSettings({ apiKey: settings.apiKey });
+}
@@ -0,0 +1,51 @@
+﻿/**
+ * Wiki Links for DotNCue
+ * Shared by the sidebar and service worker: notes link to another context with
+ * [[Context title]] (or its key) and to a single note with [[note:<id>]].
+ * Either can show a label of its own: [[note:<id>|the budget numbers]].
+ */
+
+// [[target]] or [[target|label]], on one line
+const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/g;
+
+// Targets that point at a note rather than a context
+const WIKI_NOTE_PREFIX = 'note:';
+
+/**
+ * Get the [[links]] written in a note's text (code is ignored): [{ target, label }]
+ */
+function parseWikiLinks(text) {
+  return Array.from(stripMarkdownCode(text).matchAll(WIKI_LINK_PATTERN), match => ({
+    target: match[1].trim(),
+    label: (match[2] || '').trim()
+  })).filter(link => link.target);
+}
+
+/**
+ * Get the note ID a link target points at, or null for a context link
+ */
+function getWikiLinkNoteId(target) {
+  const value = String(target || '').trim();
+  return value.toLowerCase().startsWith(WIKI_NOTE_PREFIX) ? value.slice(WIKI_NOTE_PREFIX.length).trim() || null : null;
+}
+
+/**
+ * Normalize a context title for comparing with a link target
+ */
+function normalizeWikiTarget(target) {
+  return String(target || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Write a link to a note, labelled with the start of its text
+ */
+function createNoteLink(note) {
+  const firstLine = (note.text || '').split('\n').find(line => line.trim()) || '';
+  const label = firstLine
+    .replace(/[[\]|`*_~#>]/g, '')
+    .replace(/^\s*(?:[-+]|\d+[.)])\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 40);
+  return `[[${WIKI_NOTE_PREFIX}${note.id}${label ? `|${label}` : ''}]]`;
+}